@@ -0,0 +1,117 @@
+// 变换通道面板 - 设置当前元素是否朝向运动方向、缩放的来源，并逐帧修改缩放、不透明度和旋转
+// 逐帧修改的是节奏编辑面板中选中的关键帧
+
+import { DEFAULT_CHANNEL_SETTINGS, SCALE_SOURCES } from './channels.js';
+
+// onChange(patch, final): 通道设置被修改时调用，patch 为要合并到元素通道设置中的字段
+// onRecordRotation(): 点击“录制旋转”时调用，由调用方接管下一次拖动
+export function createChannelPanel({ orientToggle, scaleSourceSelect, scaleMinInput, scaleMaxInput, recordRotationButton, clearRotationButton, keyframeLabel, keyframeInputs, resetKeyframeButton, onChange, onRecordRotation }) {
+    let track = null;
+    let selectedIndex = null;
+
+    SCALE_SOURCES.forEach(source => {
+        const option = document.createElement('option');
+        option.value = source.id;
+        option.textContent = source.label;
+        scaleSourceSelect.appendChild(option);
+    });
+
+    orientToggle.addEventListener('change', () => {
+        onChange({ orient: orientToggle.checked }, true);
+    });
+
+    scaleSourceSelect.addEventListener('change', () => {
+        onChange({ scaleSource: scaleSourceSelect.value }, true);
+    });
+
+    [scaleMinInput, scaleMaxInput].forEach(input => {
+        input.addEventListener('change', () => {
+            const min = parseFloat(scaleMinInput.value);
+            const max = parseFloat(scaleMaxInput.value);
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < 0) {
+                render(track);
+                return;
+            }
+            onChange({ scaleRange: { min, max } }, true);
+        });
+    });
+
+    recordRotationButton.addEventListener('click', () => onRecordRotation());
+
+    clearRotationButton.addEventListener('click', () => {
+        onChange({ rotation: null }, true);
+    });
+
+    // 逐帧修改：空输入表示恢复该通道的计算值
+    Object.entries(keyframeInputs).forEach(([name, input]) => {
+        input.addEventListener('change', () => {
+            if (selectedIndex === null) return;
+
+            const value = parseFloat(input.value);
+            const edit = { ...currentEdits()[selectedIndex] };
+            if (Number.isFinite(value)) {
+                edit[name] = value;
+            } else {
+                delete edit[name];
+            }
+            setKeyframeEdit(edit);
+        });
+    });
+
+    resetKeyframeButton.addEventListener('click', () => {
+        if (selectedIndex === null) return;
+        setKeyframeEdit({});
+    });
+
+    function setKeyframeEdit(edit) {
+        const edits = { ...currentEdits() };
+        if (Object.keys(edit).length > 0) {
+            edits[selectedIndex] = edit;
+        } else {
+            delete edits[selectedIndex];
+        }
+        onChange({ edits }, true);
+    }
+
+    function currentEdits() {
+        return (track && track.channels && track.channels.edits) || {};
+    }
+
+    // 选中关键帧，index 为关键帧的 index（过滤后采样点序号）
+    function select(index) {
+        selectedIndex = index;
+        render(track);
+    }
+
+    // 显示某个元素的通道设置和选中关键帧的通道值
+    function render(nextTrack) {
+        track = nextTrack;
+        const settings = { ...DEFAULT_CHANNEL_SETTINGS, ...(track && track.channels) };
+
+        orientToggle.checked = settings.orient;
+        scaleSourceSelect.value = settings.scaleSource;
+        scaleMinInput.value = settings.scaleRange.min;
+        scaleMaxInput.value = settings.scaleRange.max;
+        scaleMinInput.disabled = scaleMaxInput.disabled = settings.scaleSource === 'none';
+        clearRotationButton.disabled = !settings.rotation;
+
+        const motion = track && track.motion;
+        const kf = motion && selectedIndex !== null ? motion.keyframes.find(k => k.index === selectedIndex) : null;
+        const edit = kf ? settings.edits[kf.index] || {} : {};
+
+        // 切换节奏方式后不在当前关键帧中的修改仍按原来的时间生效，提示用户这些修改的存在
+        const hidden = motion ? Object.keys(settings.edits).filter(index => !motion.keyframes.some(k => k.index === Number(index))).length : 0;
+        keyframeLabel.textContent = (kf ?
+            `关键帧 ${Math.round(kf.progress * 1000) / 10}%` :
+            '点击关键帧编辑该帧的通道') +
+            (hidden > 0 ? `（另有 ${hidden} 处修改在当前未显示的关键帧上，仍然生效）` : '');
+        Object.entries(keyframeInputs).forEach(([name, input]) => {
+            input.disabled = !kf;
+            input.value = kf ? kf[name] : '';
+            input.classList.toggle('edited', edit[name] != null);
+        });
+        resetKeyframeButton.disabled = !kf || Object.keys(edit).length === 0;
+    }
+
+    return { render, select };
+}
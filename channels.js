@@ -0,0 +1,195 @@
+// 变换通道 - 在位置之外为每个关键帧附加缩放、不透明度和旋转，以及元素是否朝向运动方向
+//
+// 通道设置（元素的 channels 字段，修改时整体替换）：
+//   orient: 为 true 时元素朝向运动方向（offset-rotate: auto）
+//   scaleSource: 缩放的来源，见 SCALE_SOURCES
+//   scaleRange: { min, max } 压感或速度从最小到最大映射到的缩放范围
+//   rotation: 旋转手势录制的旋转角度 [{ progress, angle }]（度），未录制时为 null
+//   edits: { [关键帧index]: { scale?, opacity?, rotate? } } 手动修改的关键帧通道值，优先于以上来源；
+//     切换节奏方式（例如分段拟合缓动）后关键帧不同，不在当前关键帧中的修改按该采样点的时间进度单独生效，见 channelKeyframes
+// 通道值按时间进度在关键帧之间线性变化，与路径的缓动无关
+
+// 通道名称，同时是CSS属性名（scale / opacity / rotate 三个独立属性可以和 offset-path 叠加）
+export const CHANNELS = ['scale', 'opacity', 'rotate'];
+
+export const CHANNEL_DEFAULTS = { scale: 1, opacity: 1, rotate: 0 };
+
+// 缩放的来源，顺序即选择框中的顺序
+export const SCALE_SOURCES = [
+    { id: 'none', label: '不缩放' },
+    { id: 'pressure', label: '压感' },
+    { id: 'speed', label: '速度' }
+];
+
+export const DEFAULT_CHANNEL_SETTINGS = {
+    orient: false,
+    scaleSource: 'none',
+    scaleRange: { min: 0.6, max: 1.4 },
+    rotation: null,
+    edits: {}
+};
+
+// 为关键帧附加通道值 { scale, opacity, rotate }，返回新的关键帧数组
+// rawKeyframes: 全部采样点的关键帧（createKeyframes 的结果），用于计算速度
+export function applyChannels(keyframes, rawKeyframes, settings) {
+    const config = { ...DEFAULT_CHANNEL_SETTINGS, ...settings };
+    const scaleAt = createScaleMapper(rawKeyframes, config);
+    const edits = config.edits || {};
+
+    return keyframes.map(kf => {
+        const values = {
+            scale: scaleAt(kf),
+            opacity: CHANNEL_DEFAULTS.opacity,
+            rotate: config.rotation ? interpolate(config.rotation, kf.progress, 'angle') : CHANNEL_DEFAULTS.rotate,
+            ...edits[kf.index]
+        };
+        return {
+            ...kf,
+            scale: round(values.scale, 1000),
+            opacity: round(Math.max(0, Math.min(1, values.opacity)), 1000),
+            rotate: round(values.rotate, 10)
+        };
+    });
+}
+
+// 通道按时间进度排列的关键帧：路径的关键帧（已附加通道值），加上修改过但不在其中的采样点
+// 通道动画与路径动画并列、单独插值，因此这些修改不需要对应路径的关键帧，在记录时的时间进度处生效
+export function channelKeyframes(keyframes, rawKeyframes, settings) {
+    const edits = (settings && settings.edits) || {};
+    const present = new Set(keyframes.map(kf => kf.index));
+    const orphans = Object.keys(edits)
+        .map(Number)
+        .filter(index => !present.has(index) && rawKeyframes[index])
+        .map(index => rawKeyframes[index]);
+    if (orphans.length === 0) return keyframes;
+
+    return [...keyframes, ...applyChannels(orphans, rawKeyframes, settings)].sort((a, b) => a.progress - b.progress);
+}
+
+// 动画中用到的通道：{ orient, offsetRotate, animated, keyframes }，animated 为值与默认值不同的通道名称
+// keyframes: 通道的关键帧，见 channelKeyframes
+export function describeChannels(keyframes, settings) {
+    const orient = !!(settings && settings.orient);
+    return {
+        orient,
+        offsetRotate: orient ? 'auto' : '0deg',
+        animated: CHANNELS.filter(name => keyframes.some(kf => kf[name] !== CHANNEL_DEFAULTS[name])),
+        keyframes
+    };
+}
+
+// 按时间进度插值关键帧上的通道值
+export function channelsAt(keyframes, progress) {
+    const result = {};
+    CHANNELS.forEach(name => {
+        result[name] = interpolate(keyframes, progress, name);
+    });
+    return result;
+}
+
+// 通道值的CSS写法
+export function formatChannel(name, value) {
+    return name === 'rotate' ? `${value}deg` : `${value}`;
+}
+
+// 通道值在 element.animate() 关键帧对象中的写法，例如 ["scale: '1.2'", "rotate: '30deg'"]
+// frame: { scale?, opacity?, rotate? }，只输出存在的通道
+export function formatChannelFields(frame) {
+    return CHANNELS
+        .filter(name => frame[name] != null)
+        .map(name => `${name}: '${formatChannel(name, frame[name])}'`);
+}
+
+// 从旋转手势的轨迹点生成旋转通道：以按下的位置为中心，指针绕中心转过的角度即元素的旋转角度
+// 指针离中心太近时方向不稳定，保持上一个角度；手势的时长被拉伸到整个动画
+export function recordRotation(points, minRadius = 12) {
+    if (!points || points.length < 2) return null;
+
+    const origin = points[0];
+    const startTime = origin.time;
+    const duration = points[points.length - 1].time - startTime;
+    if (duration <= 0) return null;
+
+    const samples = [];
+    let previous = null;
+    let angle = 0;
+
+    points.forEach(p => {
+        const dx = p.x - origin.x;
+        const dy = p.y - origin.y;
+
+        if (Math.sqrt(dx * dx + dy * dy) >= minRadius) {
+            const direction = Math.atan2(dy, dx) * 180 / Math.PI;
+            if (previous !== null) {
+                // 跨过 ±180° 时取最短的转动方向，使角度连续
+                let delta = direction - previous;
+                if (delta > 180) delta -= 360;
+                if (delta < -180) delta += 360;
+                angle += delta;
+            }
+            previous = direction;
+        }
+
+        const progress = round((p.time - startTime) / duration, 10000);
+        const last = samples[samples.length - 1];
+        // 相邻采样太密时只保留后一个，控制保存的数据量
+        if (last && progress - last.progress < 0.01 && progress < 1) return;
+        samples.push({ progress, angle: round(angle, 10) });
+    });
+
+    return samples;
+}
+
+// 缩放来源：压感为 0~1，速度按整段轨迹的最大速度归一化
+function createScaleMapper(rawKeyframes, config) {
+    const { min, max } = config.scaleRange || DEFAULT_CHANNEL_SETTINGS.scaleRange;
+    const map = (level) => min + (max - min) * Math.max(0, Math.min(1, level));
+
+    if (config.scaleSource === 'pressure') {
+        return (kf) => map(kf.point.pressure != null ? kf.point.pressure : 0.5);
+    }
+
+    if (config.scaleSource === 'speed') {
+        const speeds = smoothedSpeeds(rawKeyframes);
+        const maxSpeed = Math.max(0.001, ...speeds);
+        return (kf) => map((speeds[kf.index] || 0) / maxSpeed);
+    }
+
+    return () => CHANNEL_DEFAULTS.scale;
+}
+
+// 每个采样点的速度（像素/毫秒），取前后各两个点的平均，减少手抖带来的跳变
+function smoothedSpeeds(rawKeyframes) {
+    const reach = 2;
+    const points = rawKeyframes.map(kf => kf.point);
+
+    return points.map((p, i) => {
+        const a = points[Math.max(0, i - reach)];
+        const b = points[Math.min(points.length - 1, i + reach)];
+        const dt = b.time - a.time;
+        if (dt <= 0) return 0;
+        return Math.sqrt(Math.pow(b.x - a.x, 2) + Math.pow(b.y - a.y, 2)) / dt;
+    });
+}
+
+// 在按 progress 排序的列表中线性插值字段 key
+function interpolate(list, progress, key) {
+    if (list.length === 0) return CHANNEL_DEFAULTS[key] || 0;
+    if (progress <= list[0].progress) return list[0][key];
+
+    for (let i = 1; i < list.length; i++) {
+        const b = list[i];
+        if (progress <= b.progress) {
+            const a = list[i - 1];
+            const span = b.progress - a.progress;
+            const fraction = span > 0 ? (progress - a.progress) / span : 1;
+            return a[key] + (b[key] - a[key]) * fraction;
+        }
+    }
+
+    return list[list.length - 1][key];
+}
+
+function round(value, factor) {
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,264 @@
+// 框架组件导出 - 把已绘制路径的元素转换为可直接粘贴使用的 React / Vue / Svelte 组件
+//
+// 每个组件渲染一个沿路径移动的容器，内容由 children / 插槽传入，
+// 并接受 duration（秒）、delay（秒）、iterationCount（次数或 'infinite'）、direction（animation-direction 的值）、
+// playState（'running' | 'paused'）五个属性，iterationCount 和 direction 的默认值取自导出时的播放设置。
+// 关键帧与CSS导出使用同一份数据（keyframeStops），沿 offset-path 改变 offset-distance；
+// 变换通道（transformFrames）作为第二个按时间线性变化的动画，时长等属性同样作用于它。
+// 不支持 offset-path 的浏览器与CSS导出一样，改用沿路径采样的 top/left 关键帧（fallbackFrames），
+// 元素朝向运动方向时变换通道也换成计入方向角的关键帧（fallbackChannelFrames）。
+// tracks 的格式与 generateTimelineCSS 相同，未绘制路径的元素不生成组件。
+
+import { keyframeStops, transformFrames, fallbackFrames, fallbackChannelFrames, generateChannelKeyframes, generateFallbackKeyframes } from './motion-core.js';
+import { formatChannelFields } from './channels.js';
+
+const EMPTY_HINT = '请先绘制路径，再导出组件';
+
+// React：useRef 获取节点，自定义 hook 用 Web Animations API 播放
+export function generateReactComponent(tracks) {
+    const animated = tracks.filter(track => track.motion);
+    if (animated.length === 0) return `// ${EMPTY_HINT}`;
+
+    const components = animated.map((track, i) => {
+        const name = componentName(track, i);
+        const constant = `ELEMENT_${elementNumber(track, i)}`;
+        const motion = track.motion;
+        const { easing, stops } = keyframeStops(motion, true);
+        const keyframes = stops.map(s =>
+            `  { offset: ${s.progress}, offsetDistance: '${toPercent(s.distance)}'${s.easing ? `, easing: '${s.easing}'` : ''} },`
+        ).join('\n');
+        const fallback = fallbackFrames(motion).map(f =>
+            `  { offset: ${Math.round(f.progress * 10000) / 10000}, left: '${toPixels(track.position.left, f.dx)}', top: '${toPixels(track.position.top, f.dy)}' },`
+        ).join('\n');
+        const channelFrames = transformFrames(motion);
+        const channelKeyframes = (frames) => frames.length > 0 ?
+            `[\n${frames.map(f => `  { offset: ${Math.round(f.progress * 10000) / 10000}, ${formatChannelFields(f).join(', ')} },`).join('\n')}\n]` :
+            '[]';
+        // 朝向运动方向时回退分支没有 offset-rotate，改用计入方向角的通道关键帧
+        const orient = motion.channels.orient;
+        const channelConstant = (channelFrames.length > 0 || orient ? `\n\nconst ${constant}_CHANNELS = ${channelKeyframes(channelFrames)};` : '') +
+            (orient ? `\n\nconst ${constant}_FALLBACK_CHANNELS = ${channelKeyframes(fallbackChannelFrames(motion, track.names).frames)};` : '');
+        const channelSource = orient ? `SUPPORTS_OFFSET_PATH ? ${constant}_CHANNELS : ${constant}_FALLBACK_CHANNELS` : `${constant}_CHANNELS`;
+        const channelHook = channelFrames.length > 0 || orient ?
+            `\n  usePathAnimation(ref, ${channelSource}, { duration, delay, iterationCount, direction, playState, easing: 'linear' });` :
+            '';
+
+        return `// ${track.name}
+const ${constant}_KEYFRAMES = [
+${keyframes}
+];
+
+const ${constant}_FALLBACK = [
+${fallback}
+];${channelConstant}
+
+const ${constant}_STYLE = {
+  position: 'fixed',
+  top: '${track.position.top}',
+  left: '${track.position.left}',
+  offsetAnchor: 'center',
+  offsetPath: "path('${motion.path}')",
+  offsetRotate: '${motion.channels.offsetRotate}',
+};
+
+const ${constant}_FALLBACK_STYLE = {
+  position: 'fixed',
+  top: '${track.position.top}',
+  left: '${track.position.left}',
+  transform: 'translate(-50%, -50%)',
+};
+
+export function ${name}({ children, duration = ${motion.duration}, delay = ${track.delay || 0}, iterationCount = ${iterationDefault(motion)}, direction = '${motion.playback.direction}', playState = 'running' }) {
+  const ref = useRef(null);
+  usePathAnimation(ref, SUPPORTS_OFFSET_PATH ? ${constant}_KEYFRAMES : ${constant}_FALLBACK, { duration, delay, iterationCount, direction, playState, easing: ${easing === 'linear' ? "'linear'" : `SUPPORTS_OFFSET_PATH ? '${easing}' : 'linear'`} });${channelHook}
+  return (
+    <div ref={ref} style={SUPPORTS_OFFSET_PATH ? ${constant}_STYLE : ${constant}_FALLBACK_STYLE}>
+      {children}
+    </div>
+  );
+}`;
+    });
+
+    return `import { useEffect, useRef } from 'react';
+
+// 不支持 offset-path 的浏览器改用沿路径采样的 top/left 关键帧
+const SUPPORTS_OFFSET_PATH = typeof CSS !== 'undefined' && CSS.supports('offset-path', "path('')");
+
+// 用 Web Animations API 播放关键帧，参数变化时重新创建动画，playState 变化时暂停或继续
+function usePathAnimation(ref, keyframes, { duration, delay, iterationCount, direction, playState, easing }) {
+  const animationRef = useRef(null);
+  const playStateRef = useRef(playState);
+  playStateRef.current = playState;
+
+  useEffect(() => {
+    const animation = ref.current.animate(keyframes, {
+      duration: duration * 1000,
+      delay: delay * 1000,
+      iterations: iterationCount === 'infinite' ? Infinity : iterationCount,
+      direction,
+      easing,
+      fill: 'forwards',
+    });
+    if (playStateRef.current === 'paused') animation.pause();
+    animationRef.current = animation;
+    return () => animation.cancel();
+  }, [ref, keyframes, duration, delay, iterationCount, direction, easing]);
+
+  useEffect(() => {
+    const animation = animationRef.current;
+    if (!animation) return;
+    if (playState === 'paused') {
+      animation.pause();
+    } else {
+      animation.play();
+    }
+  }, [playState]);
+}
+
+${components.join('\n\n')}`;
+}
+
+// Vue：每个元素一个单文件组件，<style scoped> 中是与CSS导出相同的规则和@keyframes
+export function generateVueComponent(tracks) {
+    const animated = tracks.filter(track => track.motion);
+    if (animated.length === 0) return `<!-- ${EMPTY_HINT} -->`;
+
+    return animated.map((track, i) => {
+        const motion = track.motion;
+        const { easing } = keyframeStops(motion);
+
+        return `<!-- ${componentName(track, i)}.vue（${track.name}） -->
+<template>
+  <div class="path-motion" :style="animationStyle">
+    <slot />
+  </div>
+</template>
+
+<script setup>
+import { computed } from 'vue';
+
+const props = defineProps({
+  duration: { type: Number, default: ${motion.duration} },
+  delay: { type: Number, default: ${track.delay || 0} },
+  iterationCount: { type: [Number, String], default: ${iterationDefault(motion)} },
+  direction: { type: String, default: '${motion.playback.direction}' },
+  playState: { type: String, default: 'running' }
+});
+
+const animationStyle = computed(() => ({
+  animationDuration: \`\${props.duration}s\`,
+  animationDelay: \`\${props.delay}s\`,
+  animationIterationCount: props.iterationCount,
+  animationDirection: props.direction,
+  animationPlayState: props.playState
+}));
+</script>
+
+<style scoped>
+${componentCSS(track, easing)}
+</style>`;
+    }).join('\n\n');
+}
+
+// Svelte：每个元素一个组件，属性直接绑定到 animation-* 样式
+export function generateSvelteComponent(tracks) {
+    const animated = tracks.filter(track => track.motion);
+    if (animated.length === 0) return `<!-- ${EMPTY_HINT} -->`;
+
+    return animated.map((track, i) => {
+        const motion = track.motion;
+        const { easing } = keyframeStops(motion);
+
+        return `<!-- ${componentName(track, i)}.svelte（${track.name}） -->
+<script>
+  export let duration = ${motion.duration};
+  export let delay = ${track.delay || 0};
+  export let iterationCount = ${iterationDefault(motion)};
+  export let direction = '${motion.playback.direction}';
+  export let playState = 'running';
+</script>
+
+<div
+  class="path-motion"
+  style:animation-duration="{duration}s"
+  style:animation-delay="{delay}s"
+  style:animation-iteration-count={iterationCount}
+  style:animation-direction={direction}
+  style:animation-play-state={playState}
+>
+  <slot />
+</div>
+
+<style>
+${componentCSS(track, easing)}
+</style>`;
+    }).join('\n\n');
+}
+
+// 组件内的样式，时长等由组件属性覆盖
+function componentCSS(track, easing) {
+    const motion = track.motion;
+    const frames = keyframeStops(motion).stops.map(s =>
+        `  ${toPercent(s.progress)} {\n    offset-distance: ${toPercent(s.distance)};${s.easing ? `\n    animation-timing-function: ${s.easing};` : ''}\n  }`
+    ).join('\n');
+    const channelFrames = transformFrames(motion);
+    const channels = channelFrames.length > 0 ?
+        { animation: `, ${track.names.channels} ${motion.duration}s linear ${track.delay || 0}s forwards`, keyframes: `\n\n${generateChannelKeyframes(channelFrames, track.names.channels)}` } :
+        { animation: '', keyframes: '' };
+    // 回退分支的变换通道，朝向运动方向时是另一组计入方向角的关键帧
+    const fallbackChannels = fallbackChannelFrames(motion, track.names);
+    const fallback = fallbackChannels.frames.length > 0 ?
+        { name: `, ${fallbackChannels.name}`, keyframes: motion.channels.orient ? `\n\n${generateChannelKeyframes(fallbackChannels.frames, fallbackChannels.name, '  ')}` : '' } :
+        { name: '', keyframes: '' };
+
+    return `.path-motion {
+  position: fixed;
+  top: ${track.position.top};
+  left: ${track.position.left};
+  offset-anchor: center;
+  offset-path: path('${motion.path}');
+  offset-rotate: ${motion.channels.offsetRotate};
+  animation: ${track.names.path} ${motion.duration}s ${easing} ${track.delay || 0}s forwards${channels.animation};
+}
+
+@keyframes ${track.names.path} {
+${frames}
+}${channels.keyframes}
+
+/* 不支持 offset-path 时沿路径采样的点移动，时长等仍由组件属性控制 */
+@supports not (offset-path: path('')) {
+  .path-motion {
+    animation-name: ${track.names.fallback}${fallback.name};
+    animation-timing-function: linear;
+    transform: translate(-50%, -50%);
+  }
+
+${generateFallbackKeyframes(fallbackFrames(motion), track.position, track.names.fallback, '  ')}${fallback.keyframes}
+}`;
+}
+
+// iterationCount 属性的默认值
+function iterationDefault(motion) {
+    const { iterations } = motion.playback;
+    return iterations === 'infinite' ? "'infinite'" : iterations;
+}
+
+// 组件名，例如 Element1Motion
+function componentName(track, i) {
+    return `Element${elementNumber(track, i)}Motion`;
+}
+
+// 元素编号取自@keyframes名称的后缀，与CSS导出中的名称一致
+function elementNumber(track, i) {
+    const match = track.names.path.match(/-(\d+)$/);
+    return match ? match[1] : i + 1;
+}
+
+// 元素起始位置加上偏移的像素值，例如 '92.5px'
+function toPixels(start, delta) {
+    return `${Math.round((parseFloat(start) + delta) * 100) / 100}px`;
+}
+
+function toPercent(value) {
+    return `${Math.round(value * 1000) / 10}%`;
+}
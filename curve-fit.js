@@ -0,0 +1,378 @@
+// 三次贝塞尔曲线拟合 - 基于 Schneider 算法（Graphics Gems, 1990）
+// 将一组有序的采样点拟合为若干段首尾相接的三次贝塞尔曲线，
+// 每段曲线与采样点的最大偏差不超过给定的容差（像素）
+
+// 默认拟合容差（像素）
+export const DEFAULT_TOLERANCE = 2;
+
+// 单段拟合时牛顿迭代重新参数化的最大次数
+const MAX_ITERATIONS = 20;
+
+// 拟合曲线
+// points: [{ x, y }]，至少2个点
+// 返回 { segments, locations }
+//   segments: [{ p0, p1, p2, p3 }] 每段曲线的起点、两个控制点和终点
+//   locations: 与 points 一一对应的 { segment, t }，表示每个采样点在拟合曲线上的位置
+export function fitCurve(points, tolerance = DEFAULT_TOLERANCE) {
+    const segments = [];
+    const locations = new Array(points.length);
+
+    if (points.length < 2) {
+        return { segments, locations };
+    }
+
+    const leftTangent = normalize(subtract(points[1], points[0]));
+    const rightTangent = normalize(subtract(points[points.length - 2], points[points.length - 1]));
+
+    fitCubic(points, 0, points.length - 1, leftTangent, rightTangent, Math.max(tolerance, 0.1), segments, locations);
+
+    return { segments, locations };
+}
+
+// 拟合 first 到 last 之间的点，必要时在误差最大处拆分并递归
+function fitCubic(points, first, last, tHat1, tHat2, tolerance, segments, locations) {
+    const count = last - first + 1;
+
+    // 只有两个点时直接用启发式方法构造曲线
+    if (count === 2) {
+        const dist = distance(points[first], points[last]) / 3;
+        pushSegment(segments, locations, first, last, [0, 1], {
+            p0: points[first],
+            p1: add(points[first], scale(tHat1, dist)),
+            p2: add(points[last], scale(tHat2, dist)),
+            p3: points[last]
+        });
+        return;
+    }
+
+    // 按弦长参数化后尝试拟合
+    let u = chordLengthParameterize(points, first, last);
+    let curve = generateBezier(points, first, last, u, tHat1, tHat2);
+    let { maxError, splitPoint } = computeMaxError(points, first, last, curve, u);
+
+    if (maxError < tolerance * tolerance) {
+        pushSegment(segments, locations, first, last, u, curve);
+        return;
+    }
+
+    // 误差不太大时，通过牛顿迭代重新参数化再试
+    if (maxError < tolerance * tolerance * 4) {
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            const uPrime = reparameterize(points, first, last, u, curve);
+            curve = generateBezier(points, first, last, uPrime, tHat1, tHat2);
+            ({ maxError, splitPoint } = computeMaxError(points, first, last, curve, uPrime));
+            u = uPrime;
+
+            if (maxError < tolerance * tolerance) {
+                pushSegment(segments, locations, first, last, u, curve);
+                return;
+            }
+        }
+    }
+
+    // 拟合失败，在误差最大的点处拆分
+    let tHatCenter = normalize(subtract(points[splitPoint - 1], points[splitPoint + 1]));
+    if (tHatCenter.x === 0 && tHatCenter.y === 0) {
+        tHatCenter = normalize(perpendicular(subtract(points[splitPoint - 1], points[splitPoint])));
+    }
+
+    fitCubic(points, first, splitPoint, tHat1, tHatCenter, tolerance, segments, locations);
+    fitCubic(points, splitPoint, last, scale(tHatCenter, -1), tHat2, tolerance, segments, locations);
+}
+
+// 记录一段拟合结果以及其覆盖的采样点的位置
+function pushSegment(segments, locations, first, last, u, curve) {
+    const segmentIndex = segments.length;
+    segments.push(curve);
+
+    for (let i = first; i <= last; i++) {
+        locations[i] = { segment: segmentIndex, t: u[i - first] };
+    }
+}
+
+// 最小二乘法求解两个控制点沿切线方向的长度
+function generateBezier(points, first, last, u, tHat1, tHat2) {
+    const p0 = points[first];
+    const p3 = points[last];
+
+    const C = [[0, 0], [0, 0]];
+    const X = [0, 0];
+
+    for (let i = 0; i < u.length; i++) {
+        const t = u[i];
+        const b1 = 3 * t * (1 - t) * (1 - t);
+        const b2 = 3 * t * t * (1 - t);
+        const a1 = scale(tHat1, b1);
+        const a2 = scale(tHat2, b2);
+
+        C[0][0] += dot(a1, a1);
+        C[0][1] += dot(a1, a2);
+        C[1][0] = C[0][1];
+        C[1][1] += dot(a2, a2);
+
+        const tmp = subtract(points[first + i], bezierPoint({ p0, p1: p0, p2: p3, p3 }, t));
+        X[0] += dot(a1, tmp);
+        X[1] += dot(a2, tmp);
+    }
+
+    const detC0C1 = C[0][0] * C[1][1] - C[1][0] * C[0][1];
+    const detC0X = C[0][0] * X[1] - C[1][0] * X[0];
+    const detXC1 = X[0] * C[1][1] - X[1] * C[0][1];
+
+    const alphaL = detC0C1 === 0 ? 0 : detXC1 / detC0C1;
+    const alphaR = detC0C1 === 0 ? 0 : detC0X / detC0C1;
+
+    // 解不可靠时退回启发式方法
+    const segLength = distance(p0, p3);
+    const epsilon = 1e-6 * segLength;
+    if (alphaL < epsilon || alphaR < epsilon) {
+        const dist = segLength / 3;
+        return {
+            p0,
+            p1: add(p0, scale(tHat1, dist)),
+            p2: add(p3, scale(tHat2, dist)),
+            p3
+        };
+    }
+
+    return {
+        p0,
+        p1: add(p0, scale(tHat1, alphaL)),
+        p2: add(p3, scale(tHat2, alphaR)),
+        p3
+    };
+}
+
+// 用牛顿迭代更新每个点的参数值
+function reparameterize(points, first, last, u, curve) {
+    return u.map((t, i) => newtonRaphsonRootFind(curve, points[first + i], t));
+}
+
+function newtonRaphsonRootFind(curve, point, t) {
+    const d = subtract(bezierPoint(curve, t), point);
+    const q1 = bezierDerivative(curve, t);
+    const q2 = bezierSecondDerivative(curve, t);
+
+    const numerator = dot(d, q1);
+    const denominator = dot(q1, q1) + dot(d, q2);
+
+    if (denominator === 0) return t;
+    return Math.max(0, Math.min(1, t - numerator / denominator));
+}
+
+// 按累计弦长为点分配参数值
+function chordLengthParameterize(points, first, last) {
+    const u = [0];
+    for (let i = first + 1; i <= last; i++) {
+        u.push(u[u.length - 1] + distance(points[i], points[i - 1]));
+    }
+
+    const total = u[u.length - 1];
+    return u.map(value => total > 0 ? value / total : 0);
+}
+
+// 计算拟合曲线与采样点的最大平方误差及其位置
+function computeMaxError(points, first, last, curve, u) {
+    let maxError = 0;
+    let splitPoint = Math.floor((last - first + 1) / 2) + first;
+
+    for (let i = first + 1; i < last; i++) {
+        const p = bezierPoint(curve, u[i - first]);
+        const v = subtract(p, points[i]);
+        const error = dot(v, v);
+
+        if (error >= maxError) {
+            maxError = error;
+            splitPoint = i;
+        }
+    }
+
+    return { maxError, splitPoint };
+}
+
+// 计算曲线上参数 t 处的点
+export function bezierPoint(curve, t) {
+    const mt = 1 - t;
+    const a = mt * mt * mt;
+    const b = 3 * mt * mt * t;
+    const c = 3 * mt * t * t;
+    const d = t * t * t;
+
+    return {
+        x: a * curve.p0.x + b * curve.p1.x + c * curve.p2.x + d * curve.p3.x,
+        y: a * curve.p0.y + b * curve.p1.y + c * curve.p2.y + d * curve.p3.y
+    };
+}
+
+// 一阶导数
+export function bezierDerivative(curve, t) {
+    const mt = 1 - t;
+    return {
+        x: 3 * mt * mt * (curve.p1.x - curve.p0.x) + 6 * mt * t * (curve.p2.x - curve.p1.x) + 3 * t * t * (curve.p3.x - curve.p2.x),
+        y: 3 * mt * mt * (curve.p1.y - curve.p0.y) + 6 * mt * t * (curve.p2.y - curve.p1.y) + 3 * t * t * (curve.p3.y - curve.p2.y)
+    };
+}
+
+// 二阶导数
+function bezierSecondDerivative(curve, t) {
+    const mt = 1 - t;
+    return {
+        x: 6 * mt * (curve.p2.x - 2 * curve.p1.x + curve.p0.x) + 6 * t * (curve.p3.x - 2 * curve.p2.x + curve.p1.x),
+        y: 6 * mt * (curve.p2.y - 2 * curve.p1.y + curve.p0.y) + 6 * t * (curve.p3.y - 2 * curve.p2.y + curve.p1.y)
+    };
+}
+
+// 用 de Casteljau 算法在参数 t 处把一段曲线拆分为两段，形状保持不变
+export function splitBezier(curve, t) {
+    const lerp = (a, b) => ({ x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t });
+
+    const p01 = lerp(curve.p0, curve.p1);
+    const p12 = lerp(curve.p1, curve.p2);
+    const p23 = lerp(curve.p2, curve.p3);
+    const p012 = lerp(p01, p12);
+    const p123 = lerp(p12, p23);
+    const mid = lerp(p012, p123);
+
+    return [
+        { p0: curve.p0, p1: p01, p2: p012, p3: mid },
+        { p0: mid, p1: p123, p2: p23, p3: curve.p3 }
+    ];
+}
+
+// 查找曲线上距离 point 最近的位置，返回 { segment, t, distance }
+export function nearestLocation(segments, point) {
+    const samples = 24;
+    let best = { segment: 0, t: 0, distance: Infinity };
+
+    segments.forEach((seg, i) => {
+        for (let k = 0; k <= samples; k++) {
+            const t = k / samples;
+            const d = distance(bezierPoint(seg, t), point);
+            if (d < best.distance) {
+                best = { segment: i, t, distance: d };
+            }
+        }
+    });
+
+    // 用牛顿迭代在粗略结果附近精确求解
+    const seg = segments[best.segment];
+    if (seg) {
+        let t = best.t;
+        for (let i = 0; i < 5; i++) {
+            t = newtonRaphsonRootFind(seg, point, t);
+        }
+        const d = distance(bezierPoint(seg, t), point);
+        if (d < best.distance) {
+            best = { segment: best.segment, t, distance: d };
+        }
+    }
+
+    return best;
+}
+
+// 每段曲线计算弧长时的采样数
+const ARC_LENGTH_SAMPLES = 32;
+
+// 构建弧长查找表，用于在曲线参数与实际路径长度之间换算
+// 返回 { total, segments: [{ start, lengths }] }
+//   start: 该段之前的累计长度；lengths: 段内 t = k / ARC_LENGTH_SAMPLES 处的段内累计长度
+export function buildArcLengthTable(segments) {
+    const table = { total: 0, segments: [] };
+
+    for (const seg of segments) {
+        const lengths = [0];
+        let prev = seg.p0;
+
+        for (let k = 1; k <= ARC_LENGTH_SAMPLES; k++) {
+            const p = bezierPoint(seg, k / ARC_LENGTH_SAMPLES);
+            lengths.push(lengths[k - 1] + distance(prev, p));
+            prev = p;
+        }
+
+        table.segments.push({ start: table.total, lengths });
+        table.total += lengths[ARC_LENGTH_SAMPLES];
+    }
+
+    return table;
+}
+
+// 计算从路径起点到第 segment 段参数 t 处的弧长
+export function arcLengthAt(table, segment, t) {
+    const entry = table.segments[segment];
+    if (!entry) return table.total;
+
+    const scaled = Math.max(0, Math.min(1, t)) * ARC_LENGTH_SAMPLES;
+    const k = Math.min(Math.floor(scaled), ARC_LENGTH_SAMPLES - 1);
+    const fraction = scaled - k;
+
+    return entry.start + entry.lengths[k] + (entry.lengths[k + 1] - entry.lengths[k]) * fraction;
+}
+
+// arcLengthAt 的反函数：查找从路径起点走过 length 长度时所在的位置，返回 { segment, t }
+export function locationAtLength(table, length) {
+    const count = table.segments.length;
+    if (count === 0) return { segment: 0, t: 0 };
+
+    const target = Math.max(0, Math.min(table.total, length));
+    let segment = count - 1;
+    while (segment > 0 && table.segments[segment].start > target) {
+        segment--;
+    }
+
+    const { start, lengths } = table.segments[segment];
+    const local = target - start;
+    let k = 0;
+    while (k < ARC_LENGTH_SAMPLES - 1 && lengths[k + 1] < local) {
+        k++;
+    }
+
+    const span = lengths[k + 1] - lengths[k];
+    const fraction = span > 0 ? Math.max(0, Math.min(1, (local - lengths[k]) / span)) : 0;
+    return { segment, t: (k + fraction) / ARC_LENGTH_SAMPLES };
+}
+
+// 将曲线段转换为SVG路径，坐标减去 origin，使路径从 origin 处开始
+export function segmentsToPath(segments, origin = { x: 0, y: 0 }) {
+    if (segments.length === 0) return 'M 0 0';
+
+    const fmt = (value) => Math.round(value * 100) / 100;
+    const x = (p) => fmt(p.x - origin.x);
+    const y = (p) => fmt(p.y - origin.y);
+
+    let pathData = `M ${x(segments[0].p0)} ${y(segments[0].p0)}`;
+    for (const seg of segments) {
+        pathData += ` C ${x(seg.p1)} ${y(seg.p1)}, ${x(seg.p2)} ${y(seg.p2)}, ${x(seg.p3)} ${y(seg.p3)}`;
+    }
+
+    return pathData;
+}
+
+// 向量工具函数
+function add(a, b) {
+    return { x: a.x + b.x, y: a.y + b.y };
+}
+
+function subtract(a, b) {
+    return { x: a.x - b.x, y: a.y - b.y };
+}
+
+function scale(v, s) {
+    return { x: v.x * s, y: v.y * s };
+}
+
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y;
+}
+
+function distance(a, b) {
+    return Math.sqrt((a.x - b.x) * (a.x - b.x) + (a.y - b.y) * (a.y - b.y));
+}
+
+function normalize(v) {
+    const len = Math.sqrt(v.x * v.x + v.y * v.y);
+    return len === 0 ? { x: 0, y: 0 } : { x: v.x / len, y: v.y / len };
+}
+
+function perpendicular(v) {
+    return { x: -v.y, y: v.x };
+}
@@ -0,0 +1,227 @@
+// 缓动拟合 - 用 cubic-bezier() 缓动函数拟合记录的"路程-时间"曲线
+//
+// 整段拟合得到一条全局缓动（贝塞尔缓动节奏），分段拟合则在误差允许的范围内让每段尽量长，
+// 每段之间用一条 cubic-bezier 缓动代替许多个 linear 关键帧。
+// 误差按路程占路径总长的比例计算，例如 0.01 表示任意时刻元素的位置偏离记录不超过路径长度的1%。
+
+// 分段拟合的默认误差上限
+export const DEFAULT_FIT_ERROR = 0.01;
+
+// 拟合时每段最多使用的采样点数，超过时均匀抽取，误差仍按全部采样点检查
+const MAX_FIT_SAMPLES = 30;
+
+// 分段拟合：从关键帧（createKeyframes 的结果，已附加 distance）中选出尽量少的关键帧，
+// 每个关键帧的 easing 为它到下一个关键帧之间的缓动 { x1, y1, x2, y2 }，匀速时为 null
+// 返回新的关键帧数组，首尾关键帧始终保留
+export function fitEasingSegments(keyframes, maxError = DEFAULT_FIT_ERROR) {
+    const samples = monotoneSamples(keyframes);
+    const last = keyframes.length - 1;
+    const result = [];
+
+    let start = 0;
+    while (start < last) {
+        // 先按1、2、4、8……个间隔向后试探，再在最后一次成功和第一次失败之间二分
+        let good = start + 1;
+        let goodEasing = fitSegment(samples, start, good, maxError).easing;
+        let bad = null;
+        let span = 2;
+        while (bad === null && start + span <= last) {
+            const fit = fitSegment(samples, start, start + span, maxError);
+            if (fit) {
+                good = start + span;
+                goodEasing = fit.easing;
+                span *= 2;
+            } else {
+                bad = start + span;
+            }
+        }
+        if (bad === null && good < last) {
+            const fit = fitSegment(samples, start, last, maxError);
+            if (fit) {
+                good = last;
+                goodEasing = fit.easing;
+            } else {
+                bad = last;
+            }
+        }
+        while (bad !== null && bad - good > 1) {
+            const middle = Math.floor((good + bad) / 2);
+            const fit = fitSegment(samples, start, middle, maxError);
+            if (fit) {
+                good = middle;
+                goodEasing = fit.easing;
+            } else {
+                bad = middle;
+            }
+        }
+
+        result.push({ ...keyframes[start], easing: goodEasing });
+        start = good;
+    }
+
+    result.push({ ...keyframes[last], easing: null });
+    return result;
+}
+
+// 整段拟合一条 cubic-bezier 缓动，用于贝塞尔缓动节奏
+export function fitGlobalEasing(keyframes) {
+    const samples = monotoneSamples(keyframes);
+    return roundBezier(fitCubicBezier(normalize(samples, 0, samples.length - 1)).bezier);
+}
+
+// 用 cubic-bezier 拟合归一化的采样点 [{ x, y }]（x、y 均从0到1，x 递增），返回 { bezier, error }
+// x1、x2 限制在0~1之间（CSS要求），先在粗网格上搜索，再在最优值附近逐步细化；
+// 给定 x1、x2 时 y1、y2 是线性最小二乘问题，可以直接求解
+export function fitCubicBezier(points) {
+    const fitPoints = points.length > MAX_FIT_SAMPLES ?
+        Array.from({ length: MAX_FIT_SAMPLES }, (_, i) => points[Math.round(i * (points.length - 1) / (MAX_FIT_SAMPLES - 1))]) :
+        points;
+
+    let best = null;
+    const consider = (x1, x2) => {
+        if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) return;
+        const bezier = solveY(fitPoints, x1, x2);
+        const error = maxDeviation(fitPoints, bezier);
+        if (!best || error < best.error) {
+            best = { bezier, error };
+        }
+    };
+
+    for (let i = 0; i <= 8; i++) {
+        for (let j = 0; j <= 8; j++) {
+            consider(i / 8, j / 8);
+        }
+    }
+
+    for (let step = 1 / 16; step > 0.005; step /= 2) {
+        const { x1, x2 } = best.bezier;
+        for (let i = -1; i <= 1; i++) {
+            for (let j = -1; j <= 1; j++) {
+                if (i !== 0 || j !== 0) consider(x1 + i * step, x2 + j * step);
+            }
+        }
+    }
+
+    return { bezier: best.bezier, error: maxDeviation(points, best.bezier) };
+}
+
+// cubic-bezier 缓动在时间进度 x 处的输出值，bezier 为 null 时表示匀速
+export function evaluateEasing(bezier, x) {
+    if (!bezier) return x;
+    const u = solveU(bezier.x1, bezier.x2, x);
+    return cubic(bezier.y1, bezier.y2, u);
+}
+
+// 尝试用一条缓动拟合 start~end 之间的关键帧，误差超过上限时返回 null
+function fitSegment(samples, start, end, maxError) {
+    const a = samples[start];
+    const b = samples[end];
+    const rise = b.distance - a.distance;
+
+    // 只有两个关键帧，或者这段时间内几乎没有移动：匀速即可
+    if (end - start < 2 || rise < 1e-6) {
+        const flat = samples.slice(start, end + 1).every(s => s.distance - a.distance <= maxError);
+        return end - start < 2 || flat ? { easing: null } : null;
+    }
+
+    const points = normalize(samples, start, end);
+    if (maxDeviation(points, null) * rise <= maxError) {
+        return { easing: null };
+    }
+
+    const fit = fitCubicBezier(points);
+    const easing = roundBezier(fit.bezier);
+    return maxDeviation(points, easing) * rise <= maxError ? { easing } : null;
+}
+
+// 时间进度和路程比例，路程取到当前为止的最大值，去掉拟合曲线参数化带来的微小回退
+function monotoneSamples(keyframes) {
+    let distance = 0;
+    return keyframes.map(kf => {
+        distance = Math.max(distance, kf.distance);
+        return { progress: kf.progress, distance };
+    });
+}
+
+function normalize(samples, start, end) {
+    const a = samples[start];
+    const b = samples[end];
+    const duration = b.progress - a.progress;
+    const rise = b.distance - a.distance;
+    return samples.slice(start, end + 1).map(s => ({
+        x: duration > 0 ? (s.progress - a.progress) / duration : 0,
+        y: rise > 0 ? (s.distance - a.distance) / rise : 0
+    }));
+}
+
+// 给定 x1、x2，求使误差平方和最小的 y1、y2
+function solveY(points, x1, x2) {
+    let saa = 0;
+    let sab = 0;
+    let sbb = 0;
+    let sar = 0;
+    let sbr = 0;
+    points.forEach(p => {
+        const u = solveU(x1, x2, p.x);
+        const a = 3 * (1 - u) * (1 - u) * u;
+        const b = 3 * (1 - u) * u * u;
+        const r = p.y - u * u * u;
+        saa += a * a;
+        sab += a * b;
+        sbb += b * b;
+        sar += a * r;
+        sbr += b * r;
+    });
+
+    const det = saa * sbb - sab * sab;
+    if (Math.abs(det) < 1e-12) {
+        return { x1, y1: x1, x2, y2: x2 };
+    }
+    return {
+        x1,
+        y1: (sar * sbb - sbr * sab) / det,
+        x2,
+        y2: (sbr * saa - sar * sab) / det
+    };
+}
+
+// 采样点到缓动曲线的最大纵向偏差，bezier 为 null 时表示匀速
+function maxDeviation(points, bezier) {
+    return points.reduce((max, p) => Math.max(max, Math.abs(evaluateEasing(bezier, p.x) - p.y)), 0);
+}
+
+// 求 x(u) = x 的参数 u：先用牛顿法，导数太小时退回二分法
+function solveU(x1, x2, x) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    let u = x;
+    for (let i = 0; i < 6; i++) {
+        const error = cubic(x1, x2, u) - x;
+        if (Math.abs(error) < 1e-6) return u;
+        const slope = 3 * (1 - u) * (1 - u) * x1 + 6 * (1 - u) * u * (x2 - x1) + 3 * u * u * (1 - x2);
+        if (Math.abs(slope) < 1e-6) break;
+        u = Math.max(0, Math.min(1, u - error / slope));
+    }
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 30; i++) {
+        u = (low + high) / 2;
+        if (cubic(x1, x2, u) < x) {
+            low = u;
+        } else {
+            high = u;
+        }
+    }
+    return u;
+}
+
+function cubic(p1, p2, u) {
+    return 3 * (1 - u) * (1 - u) * u * p1 + 3 * (1 - u) * u * u * p2 + u * u * u;
+}
+
+function roundBezier({ x1, y1, x2, y2 }) {
+    const round = (value) => Math.round(value * 100) / 100;
+    return { x1: round(x1), y1: round(y1), x2: round(x2), y2: round(y2) };
+}
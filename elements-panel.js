@@ -0,0 +1,87 @@
+// 元素与时间轴面板 - 列出舞台上的所有元素，用横条显示每个元素在时间轴上的延迟和时长
+// 点击行选中元素，左右拖动横条调整开始延迟
+
+import { timelineDuration, trackDuration } from './timeline.js';
+
+// container: 放置时间轴行的容器
+// onSelect(id): 选中某个元素
+// onDelayChange(id, delay): 拖动横条结束后提交新的延迟（秒）
+export function createElementsPanel({ container, onSelect, onDelayChange }) {
+    // 时间轴刻度至少显示1秒，避免很短的动画横条过宽
+    const MIN_SCALE_SECONDS = 1;
+
+    function render(tracks, activeId) {
+        const total = Math.max(timelineDuration(tracks), MIN_SCALE_SECONDS);
+        container.innerHTML = '';
+
+        tracks.forEach(track => {
+            const duration = trackDuration(track);
+
+            const row = document.createElement('div');
+            row.className = 'timeline-row' + (track.id === activeId ? ' active' : '');
+            row.addEventListener('click', () => onSelect(track.id));
+
+            const label = document.createElement('span');
+            label.className = 'timeline-label';
+            label.dataset.color = track.node.dataset.color;
+            label.textContent = track.name;
+
+            const lane = document.createElement('div');
+            lane.className = 'timeline-lane';
+
+            const bar = document.createElement('div');
+            bar.className = 'timeline-bar' + (duration > 0 ? '' : ' static');
+            bar.dataset.color = track.node.dataset.color;
+            bar.style.left = `${(track.delay / total) * 100}%`;
+            bar.style.width = `${(duration / total) * 100}%`;
+            bar.title = describe(track.delay, duration);
+
+            bindBarDrag(bar, lane, track, total, duration);
+
+            lane.appendChild(bar);
+            row.appendChild(label);
+            row.appendChild(lane);
+            container.appendChild(row);
+        });
+    }
+
+    // 拖动横条时只更新样式，松开后再提交，避免拖动过程中面板重新渲染
+    function bindBarDrag(bar, lane, track, total, duration) {
+        bar.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+
+            const startX = e.clientX;
+            const startDelay = track.delay;
+            const secondsPerPixel = total / lane.getBoundingClientRect().width;
+            let delay = startDelay;
+
+            bar.setPointerCapture(e.pointerId);
+
+            const move = (ev) => {
+                delay = Math.max(0, startDelay + (ev.clientX - startX) * secondsPerPixel);
+                delay = Math.round(delay * 20) / 20; // 以0.05秒为步长
+                bar.style.left = `${(delay / total) * 100}%`;
+                bar.title = describe(delay, duration);
+            };
+
+            const up = () => {
+                bar.removeEventListener('pointermove', move);
+                bar.removeEventListener('pointerup', up);
+                bar.removeEventListener('pointercancel', up);
+                if (delay !== startDelay) {
+                    onDelayChange(track.id, delay);
+                }
+            };
+
+            bar.addEventListener('pointermove', move);
+            bar.addEventListener('pointerup', up);
+            bar.addEventListener('pointercancel', up);
+        });
+    }
+
+    function describe(delay, duration) {
+        return duration > 0 ? `延迟 ${delay}s，时长 ${duration}s` : `延迟 ${delay}s（未绘制路径）`;
+    }
+
+    return { render };
+}
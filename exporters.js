@@ -0,0 +1,505 @@
+// 导出格式 - 把时间轴上所有元素的动画转换为不同目标使用的代码
+//
+// 每种格式是 EXPORT_FORMATS 中的一项 { id, label, units, generate(tracks, options) }，
+// tracks 与 generateTimelineCSS 相同：[{ name, names, position, delay, motion, sequence }]，motion 为 null 的元素按定位输出，
+// 有定位序列（sequence，见 sequence.js）时输出在停靠点之间移动的 top/left 动画。
+// 变换通道（缩放、不透明度、旋转）作为与路径动画并列、按时间线性变化的第二个动画输出，见 channels.js
+// units 为 true 的格式支持相对坐标，options: { unit, reference }，见 responsive.js
+//
+// 用法：
+//   import { generateExport } from './exporters.js';
+//   const code = generateExport('js', timeline.tracks);
+
+import { keyframeStops, sampleMotion, sampleChannels, transformFrames, fallbackFrames, fallbackChannelFrames, generateChannelKeyframes, formatPlayback } from './motion-core.js';
+import { formatChannelFields } from './channels.js';
+import { generateTimelineCSS, describeTrack } from './timeline.js';
+import { generateReactComponent, generateVueComponent, generateSvelteComponent } from './component-exporters.js';
+import { createLayout, generateResponsiveCSS } from './responsive.js';
+import { STOP_EASINGS } from './sequence.js';
+
+// 可选的导出格式，顺序即选择框中的顺序
+export const EXPORT_FORMATS = [
+    { id: 'css', label: 'CSS', units: true, generate: generateCSS },
+    { id: 'js', label: 'JS (element.animate)', units: true, generate: generateWebAnimationsJS },
+    { id: 'scss', label: 'SCSS', generate: generateSCSS },
+    { id: 'tailwind', label: 'Tailwind 配置', generate: generateTailwindConfig },
+    { id: 'svg', label: 'SVG (animateMotion)', generate: generateSVG },
+    { id: 'react', label: 'React 组件', generate: generateReactComponent },
+    { id: 'vue', label: 'Vue 组件', generate: generateVueComponent },
+    { id: 'svelte', label: 'Svelte 组件', generate: generateSvelteComponent }
+];
+
+// 按格式id生成代码，未知格式时抛出错误
+export function generateExport(formatId, tracks, options = {}) {
+    const format = EXPORT_FORMATS.find(f => f.id === formatId);
+    if (!format) {
+        throw new Error(`未知的导出格式：${formatId}`);
+    }
+    return format.generate(tracks, options);
+}
+
+// 是否使用相对坐标导出
+function isRelative(options) {
+    return !!options.unit && options.unit !== 'px';
+}
+
+// CSS：像素坐标使用 offset-path，相对坐标使用按容器缩放的 top/left 关键帧
+export function generateCSS(tracks, options = {}) {
+    return isRelative(options) ? generateResponsiveCSS(tracks, options) : generateTimelineCSS(tracks);
+}
+
+// Web Animations API：每个元素调用一次 element.animate()
+export function generateWebAnimationsJS(tracks, options = {}) {
+    if (isRelative(options)) {
+        return generateResponsiveJS(tracks, options);
+    }
+
+    return tracks.map(track => {
+        const selector = track.motion ? track.names.selector : track.names.positioned;
+        const top = parseFloat(track.position.top);
+        const left = parseFloat(track.position.left);
+        const lines = [
+            `// ${describeTrack(track)}`,
+            '{',
+            `  const element = document.querySelector('${selector}');`
+        ];
+
+        if (track.sequence) {
+            const keyframes = track.sequence.frames.map(f =>
+                `    { offset: ${round(f.progress, 4)}, left: '${round(f.left)}px', top: '${round(f.top)}px'${f.easing ? `, easing: '${f.easing}'` : ''} }`
+            ).join(',\n');
+            lines.push(`  Object.assign(element.style, { position: 'fixed' });`);
+            lines.push(`  element.animate([\n${keyframes}\n  ], ${animateOptions(track, 'linear')});`);
+            lines.push('}');
+            return lines.join('\n');
+        }
+
+        if (!track.motion) {
+            lines.push(`  Object.assign(element.style, { position: 'fixed', top: '${track.position.top}', left: '${track.position.left}' });`);
+            lines.push('}');
+            return lines.join('\n');
+        }
+
+        // 与CSS的回退动画相同，沿曲线采样的 top/left 关键帧之间使用 linear
+        const keyframes = fallbackFrames(track.motion).map(f =>
+            `    { offset: ${round(f.progress, 4)}, left: '${round(left + f.dx)}px', top: '${round(top + f.dy)}px' }`
+        ).join(',\n');
+
+        lines.push(`  Object.assign(element.style, { position: 'fixed', transform: 'translate(-50%, -50%)' });`);
+        lines.push(`  element.animate([\n${keyframes}\n  ], ${animateOptions(track, 'linear')});`);
+
+        // 没有 offset-path，朝向运动方向的角度已计入 rotate
+        const channelFrames = transformFrames(track.motion, true);
+        if (channelFrames.length > 0) {
+            const frames = channelFrames.map(f =>
+                `    { offset: ${round(f.progress, 4)}, ${formatChannelFields(f).join(', ')} }`
+            ).join(',\n');
+            lines.push('  // 变换通道：缩放、不透明度、旋转');
+            lines.push(`  element.animate([\n${frames}\n  ], ${animateOptions(track, 'linear')});`);
+        }
+
+        lines.push('}');
+        return lines.join('\n');
+    }).join('\n\n');
+}
+
+// element.animate() 的第二个参数，播放次数和方向为默认值时省略
+function animateOptions(track, easing) {
+    const animation = track.motion || track.sequence;
+    const { iterations, direction } = animation.playback;
+    const lines = [
+        `duration: ${Math.round(animation.duration * 1000)},`,
+        `delay: ${Math.round((track.delay || 0) * 1000)},`,
+        ...(iterations !== 1 ? [`iterations: ${iterations === 'infinite' ? 'Infinity' : iterations},`] : []),
+        ...(direction !== 'normal' ? [`direction: '${direction}',`] : []),
+        `easing: '${easing}',`,
+        `fill: 'forwards'`
+    ];
+    return `{\n${lines.map(line => `    ${line}`).join('\n')}\n  }`;
+}
+
+// 相对坐标的 element.animate()，关键帧为沿路径按时间均匀采样的点
+function generateResponsiveJS(tracks, options) {
+    const layout = createLayout(options.unit, options.reference);
+    const header = `// 坐标相对于容器，参考尺寸 ${round(options.reference.width)}×${round(options.reference.height)}px${layout.note ? `；${layout.note}` : ''}`;
+
+    const blocks = tracks.map(track => {
+        const selector = track.motion ? track.names.selector : track.names.positioned;
+        const lines = [
+            `// ${describeTrack(track)}`,
+            '{',
+            `  const element = document.querySelector('${selector}');`
+        ];
+
+        if (track.sequence) {
+            const keyframes = track.sequence.frames.map(f =>
+                `    { offset: ${round(f.progress, 4)}, left: '${layout.x(f.left)}', top: '${layout.y(f.top)}'${f.easing ? `, easing: '${f.easing}'` : ''} }`
+            ).join(',\n');
+            lines.push(`  Object.assign(element.style, { position: '${layout.position}' });`);
+            lines.push(`  element.animate([\n${keyframes}\n  ], ${animateOptions(track, 'linear')});`);
+            lines.push('}');
+            return lines.join('\n');
+        }
+
+        if (!track.motion) {
+            const top = layout.y(parseFloat(track.position.top));
+            const left = layout.x(parseFloat(track.position.left));
+            lines.push(`  Object.assign(element.style, { position: '${layout.position}', top: '${top}', left: '${left}' });`);
+            lines.push('}');
+            return lines.join('\n');
+        }
+
+        // 采样点按时间均匀分布，从元素的起始位置出发，变换通道直接合并到同一组关键帧中
+        const top = parseFloat(track.position.top);
+        const left = parseFloat(track.position.left);
+        const keyframes = sampleMotion(track.motion).map(s => {
+            const fields = [`offset: ${s.progress}`, `left: '${layout.x(left + s.dx)}'`, `top: '${layout.y(top + s.dy)}'`,
+                ...formatChannelFields(sampleChannels(track.motion, s))];
+            return `    { ${fields.join(', ')} }`;
+        }).join(',\n');
+
+        lines.push(`  Object.assign(element.style, { position: '${layout.position}', transform: 'translate(-50%, -50%)' });`);
+        lines.push(`  element.animate([\n${keyframes}\n  ], ${animateOptions(track, 'linear')});`);
+        lines.push('}');
+        return lines.join('\n');
+    });
+
+    return [header, ...blocks].join('\n\n');
+}
+
+// SCSS：位置、路径和时间参数提取为变量，回退关键帧基于位置变量计算
+export function generateSCSS(tracks) {
+    return tracks.map((track, i) => {
+        const prefix = `$${variablePrefix(track, i)}`;
+        const header = [
+            `// ${describeTrack(track)}`,
+            `${prefix}-top: ${track.position.top};`,
+            `${prefix}-left: ${track.position.left};`
+        ];
+
+        if (track.sequence) {
+            return scssSequence(track, prefix);
+        }
+
+        if (!track.motion) {
+            return [
+                ...header,
+                '',
+                `${track.names.positioned} {`,
+                '  position: fixed;',
+                `  top: ${prefix}-top;`,
+                `  left: ${prefix}-left;`,
+                '}'
+            ].join('\n');
+        }
+
+        const motion = track.motion;
+        const { easing, stops } = keyframeStops(motion);
+        const names = track.names;
+        const channelFrames = transformFrames(motion);
+        // 回退分支没有 offset-rotate，元素朝向运动方向时使用计入方向角的通道关键帧
+        const fallbackChannels = fallbackChannelFrames(motion, names);
+        const playback = formatPlayback(motion.playback);
+        const channelAnimation = (name, frames) => frames.length > 0 ?
+            `, ${name} ${prefix}-duration linear ${prefix}-delay${playback} forwards` :
+            '';
+        const animation = (name, easing, channels) => `${name} ${prefix}-duration ${easing} ${prefix}-delay${playback} forwards${channels}`;
+
+        const pathFrames = stops.map(s =>
+            `  ${percent(s.progress)} {\n    offset-distance: ${round(s.distance * 100, 1)}%;${timingFunction(s, '    ')}\n  }`
+        ).join('\n');
+        // 回退关键帧与CSS导出相同，沿曲线采样，各帧之间 linear
+        const fallback = fallbackFrames(motion).map(f =>
+            `    ${percentage(f.progress)} {\n      top: ${offset(`${prefix}-top`, round(f.dy))};\n      left: ${offset(`${prefix}-left`, round(f.dx))};\n    }`
+        ).join('\n');
+
+        return [
+            ...header,
+            `${prefix}-path: '${motion.path}';`,
+            `${prefix}-duration: ${motion.duration}s;`,
+            `${prefix}-delay: ${track.delay || 0}s;`,
+            `${prefix}-easing: ${easing};`,
+            '',
+            `${names.selector} {`,
+            '  position: fixed;',
+            `  top: ${prefix}-top;`,
+            `  left: ${prefix}-left;`,
+            '  offset-anchor: center;',
+            `  offset-path: path(${prefix}-path);`,
+            `  offset-rotate: ${motion.channels.offsetRotate};`,
+            `  animation: ${animation(names.path, `${prefix}-easing`, channelAnimation(names.channels, channelFrames))};`,
+            '}',
+            '',
+            `@keyframes ${names.path} {\n${pathFrames}\n}`,
+            '',
+            ...(channelFrames.length > 0 ? [generateChannelKeyframes(channelFrames, names.channels), ''] : []),
+            `@supports not (offset-path: path('')) {`,
+            `  ${names.selector} {`,
+            `    animation: ${animation(names.fallback, 'linear', channelAnimation(fallbackChannels.name, fallbackChannels.frames))};`,
+            '    transform: translate(-50%, -50%);',
+            '  }',
+            '',
+            `  @keyframes ${names.fallback} {\n${fallback}\n  }`,
+            ...(motion.channels.orient ? ['', generateChannelKeyframes(fallbackChannels.frames, fallbackChannels.name, '  ')] : []),
+            '}'
+        ].join('\n');
+    }).join('\n\n');
+}
+
+// Tailwind：theme.extend 中的 keyframes 和 animation，元素上的定位和路径用任意值类名给出
+// 不支持 offset-path 时由 no-offset-path 变体（配置中的插件）换成沿曲线采样的 top/left 回退动画
+export function generateTailwindConfig(tracks) {
+    const animated = tracks.filter(track => track.motion);
+    const sequences = tracks.filter(track => track.sequence);
+    const usage = tracks.map(track => {
+        const position = `fixed top-[${track.position.top}] left-[${track.position.left}]`;
+        if (track.sequence) {
+            const first = track.sequence.frames[0];
+            return `//   ${track.name}: class="fixed top-[${round(first.top)}px] left-[${round(first.left)}px] animate-${track.names.sequence}"`;
+        }
+        if (!track.motion) {
+            return `//   ${track.name}: class="${position}"`;
+        }
+        const path = track.motion.path.replace(/,/g, '').replace(/ /g, '_');
+        const fallback = `no-offset-path:animate-${track.names.fallback} no-offset-path:-translate-x-1/2 no-offset-path:-translate-y-1/2`;
+        return `//   ${track.name}: class="${position} [offset-anchor:center] [offset-path:path('${path}')] [offset-rotate:${track.motion.channels.offsetRotate}] animate-${track.names.path} ${fallback}"`;
+    });
+
+    const keyframes = animated.map(track => {
+        const frames = keyframeStops(track.motion).stops.map(s =>
+            `          '${percent(s.progress)}': { offsetDistance: '${round(s.distance * 100, 1)}%'${s.easing ? `, animationTimingFunction: '${s.easing}'` : ''} },`
+        ).join('\n');
+        const fallback = fallbackFrames(track.motion).map(f =>
+            `          '${percentage(f.progress)}': { top: '${round(parseFloat(track.position.top) + f.dy)}px', left: '${round(parseFloat(track.position.left) + f.dx)}px' },`
+        ).join('\n');
+        const pathKeyframes = `        '${track.names.path}': {\n${frames}\n        },\n        '${track.names.fallback}': {\n${fallback}\n        },`;
+
+        // 变换通道的关键帧，动画名与路径动画一起写在 animation 中；朝向运动方向时回退动画另有计入方向角的一组
+        const channelKeyframes = (name, frames) => frames.length > 0 ?
+            `\n        '${name}': {\n${frames.map(f =>
+                `          '${percent(f.progress)}': { ${formatChannelFields(f).join(', ')} },`
+            ).join('\n')}\n        },` :
+            '';
+        const fallbackChannels = fallbackChannelFrames(track.motion, track.names);
+        return pathKeyframes + channelKeyframes(track.names.channels, transformFrames(track.motion)) +
+            (track.motion.channels.orient ? channelKeyframes(fallbackChannels.name, fallbackChannels.frames) : '');
+    }).concat(sequences.map(track => {
+        const frames = track.sequence.frames.map(f =>
+            `          '${percent(f.progress)}': { top: '${round(f.top)}px', left: '${round(f.left)}px'${f.easing ? `, animationTimingFunction: '${f.easing}'` : ''} },`
+        ).join('\n');
+        return `        '${track.names.sequence}': {\n${frames}\n        },`;
+    })).join('\n');
+
+    const animations = animated.map(track => {
+        const { easing } = keyframeStops(track.motion);
+        const timing = `${track.delay ? ` ${track.delay}s` : ''}${formatPlayback(track.motion.playback)}`;
+        const channelAnimation = (name, frames) => frames.length > 0 ?
+            `, ${name} ${track.motion.duration}s linear${timing} forwards` :
+            '';
+        const channels = channelAnimation(track.names.channels, transformFrames(track.motion));
+        const fallbackChannels = fallbackChannelFrames(track.motion, track.names);
+        const fallback = channelAnimation(fallbackChannels.name, fallbackChannels.frames);
+        return `        '${track.names.path}': '${track.names.path} ${track.motion.duration}s ${easing}${timing} forwards${channels}',\n` +
+            `        '${track.names.fallback}': '${track.names.fallback} ${track.motion.duration}s linear${timing} forwards${fallback}',`;
+    }).concat(sequences.map(track => {
+        const timing = `${track.delay ? ` ${track.delay}s` : ''}${formatPlayback(track.sequence.playback)}`;
+        return `        '${track.names.sequence}': '${track.names.sequence} ${track.sequence.duration}s linear${timing} forwards',`;
+    })).join('\n');
+
+    return `// tailwind.config.js
+// 元素上使用的类名：
+${usage.join('\n')}
+module.exports = {
+  theme: {
+    extend: {
+      keyframes: {
+${keyframes}
+      },
+      animation: {
+${animations}
+      },
+    },
+  },${animated.length > 0 ? `
+  plugins: [
+    // 不支持 offset-path 的浏览器
+    ({ addVariant }) => addVariant('no-offset-path', "@supports not (offset-path: path(''))"),
+  ],` : ''}
+};`;
+}
+
+// 独立的SVG文件：每个元素是一个圆，沿绘制的路径用 <animateMotion> 移动
+// 播放次数对应 repeatCount；SMIL 动画没有播放方向，往返和倒放不会导出
+// 定位序列的元素用两个 <animate> 改变圆心，在停靠点之间移动
+export function generateSVG(tracks) {
+    const radius = 25;
+    const bounds = { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+    const include = (x, y) => {
+        bounds.minX = Math.min(bounds.minX, x);
+        bounds.minY = Math.min(bounds.minY, y);
+        bounds.maxX = Math.max(bounds.maxX, x);
+        bounds.maxY = Math.max(bounds.maxY, y);
+    };
+
+    const body = tracks.map(track => {
+        if (track.sequence) {
+            return svgSequence(track, radius, include);
+        }
+
+        if (!track.motion) {
+            const cx = round(parseFloat(track.position.left) + radius);
+            const cy = round(parseFloat(track.position.top) + radius);
+            include(cx, cy);
+            return `  <!-- ${track.name} -->\n  <circle cx="${cx}" cy="${cy}" r="${radius}" fill="#2ecc71" />`;
+        }
+
+        const motion = track.motion;
+        motion.segments.forEach(seg => [seg.p0, seg.p1, seg.p2, seg.p3].forEach(p => include(p.x, p.y)));
+
+        // 关键帧节奏用 keyTimes/keyPoints 描述，贝塞尔缓动和分段拟合的缓动用 keySplines（SVG 要求控制点的y在0~1之间），
+        // 节奏预设没有对应的 SMIL 写法，按预设的采样点生成 keyTimes/keyPoints
+        let timing;
+        if (motion.timingMode === 'keyframes') {
+            const keyTimes = motion.keyframes.map(kf => round(kf.progress, 4)).join(';');
+            const keyPoints = motion.keyframes.map(kf => round(kf.distance, 4)).join(';');
+            if (motion.keyframes.some(kf => kf.easing)) {
+                const splines = motion.keyframes.slice(0, -1).map(kf => svgSpline(kf.easing || { x1: 0, y1: 0, x2: 1, y2: 1 })).join(';');
+                timing = `keyTimes="${keyTimes}" keyPoints="${keyPoints}" keySplines="${splines}" calcMode="spline"`;
+            } else {
+                timing = `keyTimes="${keyTimes}" keyPoints="${keyPoints}" calcMode="linear"`;
+            }
+        } else if (motion.timingMode === 'preset') {
+            const keyTimes = motion.preset.stops.map(s => round(s.progress, 4)).join(';');
+            const keyPoints = motion.preset.stops.map(s => round(clamp01(s.value), 4)).join(';');
+            timing = `keyTimes="${keyTimes}" keyPoints="${keyPoints}" calcMode="linear"`;
+        } else {
+            timing = `keyTimes="0;1" keyPoints="0;1" keySplines="${svgSpline(motion.bezier)}" calcMode="spline"`;
+        }
+
+        return `  <!-- ${track.name} -->
+  <path d="${motion.absolutePath}" fill="none" stroke="#ddd" stroke-width="2" />
+  <circle r="${radius}" fill="#2ecc71">
+    <animateMotion path="${motion.absolutePath}" dur="${motion.duration}s" begin="${track.delay || 0}s"${svgRepeat(motion)} fill="freeze" ${timing} />${svgChannelAnimations(track)}
+  </circle>`;
+    });
+
+    const margin = radius * 2;
+    const x = round(bounds.minX - margin);
+    const y = round(bounds.minY - margin);
+    const width = round(bounds.maxX - bounds.minX + margin * 2);
+    const height = round(bounds.maxY - bounds.minY + margin * 2);
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="${x} ${y} ${width} ${height}">
+${body.join('\n')}
+</svg>`;
+}
+
+// 变换通道：不透明度用 <animate>，缩放和旋转用叠加在 animateMotion 之上的 <animateTransform>
+// 朝向运动方向时方向角与 rotate 通道合成为同一个 <animateTransform>，与其他格式的回退动画一致
+function svgChannelAnimations(track) {
+    const frames = transformFrames(track.motion, true);
+    if (frames.length === 0) return '';
+
+    const keyTimes = frames.map(f => round(f.progress, 4)).join(';');
+    const timing = `dur="${track.motion.duration}s" begin="${track.delay || 0}s"${svgRepeat(track.motion)} fill="freeze" keyTimes="${keyTimes}" calcMode="linear"`;
+    const values = (name) => frames.map(f => f[name]).join(';');
+
+    return Object.keys(frames[0]).filter(name => name !== 'progress').map(name => name === 'opacity' ?
+        `\n    <animate attributeName="opacity" values="${values(name)}" ${timing} />` :
+        `\n    <animateTransform attributeName="transform" type="${name}" values="${values(name)}" additive="sum" ${timing} />`
+    ).join('');
+}
+
+// 播放次数对应的 repeatCount 属性，播放一次时省略
+function svgRepeat(motion) {
+    const { iterations } = motion.playback;
+    if (iterations === 1) return '';
+    return ` repeatCount="${iterations === 'infinite' ? 'indefinite' : iterations}"`;
+}
+
+// 定位序列：圆心的 cx/cy 分别用一个 <animate> 在停靠点之间移动，停靠点的缓动换算为 keySplines
+function svgSequence(track, radius, include) {
+    const sequence = track.sequence;
+    const frames = sequence.frames;
+    frames.forEach(f => include(f.left + radius, f.top + radius));
+
+    const keyTimes = frames.map(f => round(f.progress, 4)).join(';');
+    const splines = frames.slice(0, -1).map(f => {
+        const easing = STOP_EASINGS.find(e => e.id === f.easing);
+        return svgSpline(easing ? easing.bezier : { x1: 0, y1: 0, x2: 1, y2: 1 });
+    }).join(';');
+    const animate = (attribute, values) =>
+        `    <animate attributeName="${attribute}" values="${values.join(';')}" dur="${sequence.duration}s" begin="${track.delay || 0}s"${svgRepeat(sequence)} fill="freeze" keyTimes="${keyTimes}" keySplines="${splines}" calcMode="spline" />`;
+
+    const first = frames[0];
+    return `  <!-- ${track.name} -->
+  <circle cx="${round(first.left + radius)}" cy="${round(first.top + radius)}" r="${radius}" fill="#2ecc71">
+${animate('cx', frames.map(f => round(f.left + radius)))}
+${animate('cy', frames.map(f => round(f.top + radius)))}
+  </circle>`;
+}
+
+// SCSS 的定位序列：第一个停靠点的位置提取为变量，其余停靠点写为相对于它的偏移
+function scssSequence(track, prefix) {
+    const sequence = track.sequence;
+    const first = sequence.frames[0];
+    const frames = sequence.frames.map(f =>
+        `  ${percent(f.progress)} {\n    top: ${offset(`${prefix}-top`, round(f.top - first.top))};\n    left: ${offset(`${prefix}-left`, round(f.left - first.left))};${timingFunction(f, '    ')}\n  }`
+    ).join('\n');
+
+    return [
+        `// ${describeTrack(track)}`,
+        `${prefix}-top: ${round(first.top)}px;`,
+        `${prefix}-left: ${round(first.left)}px;`,
+        `${prefix}-duration: ${sequence.duration}s;`,
+        `${prefix}-delay: ${track.delay || 0}s;`,
+        '',
+        `${track.names.positioned} {`,
+        '  position: fixed;',
+        `  top: ${prefix}-top;`,
+        `  left: ${prefix}-left;`,
+        `  animation: ${track.names.sequence} ${prefix}-duration linear ${prefix}-delay${formatPlayback(sequence.playback)} forwards;`,
+        '}',
+        '',
+        `@keyframes ${track.names.sequence} {\n${frames}\n}`
+    ].join('\n');
+}
+
+// keySplines 中的一条缓动，SVG 要求控制点的y在0~1之间
+function svgSpline({ x1, y1, x2, y2 }) {
+    return [x1, clamp01(y1), x2, clamp01(y2)].map(v => round(v, 3)).join(' ');
+}
+
+// 分段拟合的缓动，写在关键帧中，作用于到下一关键帧之间
+function timingFunction(stop, indent) {
+    return stop.easing ? `\n${indent}animation-timing-function: ${stop.easing};` : '';
+}
+
+// SCSS变量名前缀，例如 element-1
+function variablePrefix(track, i) {
+    const match = track.names.path.match(/-(\d+)$/);
+    return `element-${match ? match[1] : i + 1}`;
+}
+
+function percent(progress) {
+    return `${round(progress * 100, 1)}%`;
+}
+
+// 回退关键帧的百分比，采样点较密，保留两位小数
+function percentage(progress) {
+    return `${round(progress * 100, 2)}%`;
+}
+
+// SCSS中基于变量的偏移，例如 $element-1-top + 12.5px
+function offset(variable, delta) {
+    if (delta === 0) return variable;
+    return delta > 0 ? `${variable} + ${delta}px` : `${variable} - ${-delta}px`;
+}
+
+function clamp01(value) {
+    return Math.max(0, Math.min(1, value));
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,82 @@
+// 撤销/重做历史 - 保存编辑前的状态快照，按 Ctrl+Z / Ctrl+Shift+Z 在快照间切换
+//
+// 快照由调用方生成，历史记录只负责存取。快照之间应共享未改动的数据（轨迹点数组、节奏设置等
+// 都是整体替换而不是原地修改的），再加上条数上限，历史记录占用的内存是有界的。
+
+// 默认最多保留的撤销步数
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+// onChange(): 可撤销/可重做状态变化时调用，用于更新按钮
+export function createHistory({ limit = DEFAULT_HISTORY_LIMIT, onChange = () => {} } = {}) {
+    const undoStack = [];
+    const redoStack = [];
+
+    // 连续修改（拖动等）开始前的状态，修改完成时才写入历史
+    let pending = null;
+
+    // 记录一次修改前的状态
+    function record(state) {
+        undoStack.push(state);
+        if (undoStack.length > limit) {
+            undoStack.shift();
+        }
+        redoStack.length = 0;
+        pending = null;
+        onChange();
+    }
+
+    // 开始一次连续修改，多次调用只保留第一次的状态
+    function begin(state) {
+        if (!pending) pending = state;
+    }
+
+    // 连续修改完成，写入开始前的状态
+    function commit() {
+        if (pending) record(pending);
+    }
+
+    // 放弃未完成的连续修改（例如只点击没有拖动）
+    function cancel() {
+        pending = null;
+    }
+
+    // 撤销：传入当前状态，返回要恢复的状态，没有可撤销的修改时返回 null
+    function undo(current) {
+        if (undoStack.length === 0) return null;
+        pending = null;
+        redoStack.push(current);
+        const state = undoStack.pop();
+        onChange();
+        return state;
+    }
+
+    // 重做：传入当前状态，返回要恢复的状态，没有可重做的修改时返回 null
+    function redo(current) {
+        if (redoStack.length === 0) return null;
+        pending = null;
+        undoStack.push(current);
+        const state = redoStack.pop();
+        onChange();
+        return state;
+    }
+
+    // 清空历史（例如恢复自动保存的项目后）
+    function clear() {
+        undoStack.length = 0;
+        redoStack.length = 0;
+        pending = null;
+        onChange();
+    }
+
+    return {
+        record,
+        begin,
+        commit,
+        cancel,
+        undo,
+        redo,
+        clear,
+        canUndo: () => undoStack.length > 0,
+        canRedo: () => redoStack.length > 0
+    };
+}
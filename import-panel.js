@@ -0,0 +1,144 @@
+// 导入面板 - 粘贴或打开SVG路径、SVG文件或包含 @keyframes 的CSS，作为当前元素的起始动画
+// 导入的路径从元素当前的中心出发，节奏可以选择匀速、节奏预设或当前元素记录的手势节奏
+
+import { listSVGPaths, parsePathData } from './svg-import.js';
+import { SHAPE_EASINGS } from './shapes.js';
+
+// 导入路径可选的节奏：匀速、节奏预设，或沿用当前元素手势的节奏（只取节奏，不取形状）
+const IMPORT_TIMINGS = [
+    ...SHAPE_EASINGS,
+    { id: 'gesture', label: '当前元素的手势节奏' }
+];
+
+// input: 粘贴内容的文本框，fileInput/openFileButton: 打开文件，pathSelect: 选择SVG中的 <path>，
+// timingSelect/durationInput/scaleInput: 导入路径使用的节奏、时长（秒）和缩放，info: 显示解析结果
+// onImportPath({ segments, timing, duration, scale }): 导入路径，segments 为解析得到的曲线段（SVG坐标），
+//   timing 为 IMPORT_TIMINGS 的id
+// onImportKeyframes(css): 导入 @keyframes
+export function createImportPanel({ input, fileInput, openFileButton, pathSelect, timingSelect, durationInput, scaleInput,
+    importPathButton, importKeyframesButton, info, onImportPath, onImportKeyframes }) {
+    let track = null;
+    let candidates = [];
+
+    IMPORT_TIMINGS.forEach(timing => {
+        const option = document.createElement('option');
+        option.value = timing.id;
+        option.textContent = timing.label;
+        timingSelect.appendChild(option);
+    });
+
+    // 手势节奏使用手势的时长
+    timingSelect.addEventListener('change', () => {
+        durationInput.disabled = timingSelect.value === 'gesture';
+    });
+
+    input.addEventListener('input', refresh);
+
+    openFileButton.addEventListener('click', () => fileInput.click());
+
+    fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+
+        file.text()
+            .then(text => {
+                input.value = text;
+                refresh();
+            })
+            .catch(err => {
+                console.error('读取文件失败：', err);
+                alert('读取文件失败');
+            });
+    });
+
+    importPathButton.addEventListener('click', () => {
+        const candidate = candidates[parseInt(pathSelect.value, 10)];
+        if (!track || !candidate) return;
+
+        onImportPath({
+            segments: candidate.segments,
+            timing: timingSelect.value,
+            duration: positive(durationInput, 2),
+            scale: positive(scaleInput, 1)
+        });
+    });
+
+    importKeyframesButton.addEventListener('click', () => {
+        if (!track) return;
+        const css = input.value.trim();
+        if (!css) {
+            alert('请粘贴包含 @keyframes 的CSS');
+            return;
+        }
+        onImportKeyframes(css);
+    });
+
+    // 重新解析粘贴的内容，列出其中的路径
+    function refresh() {
+        const text = input.value.trim();
+        pathSelect.innerHTML = '';
+        candidates = [];
+
+        if (!text) {
+            info.textContent = '';
+        } else if (/@(?:-webkit-)?keyframes\b/.test(text) && !text.startsWith('<')) {
+            info.textContent = '检测到 @keyframes，点击“导入关键帧”重新编辑该动画';
+        } else {
+            try {
+                candidates = parseCandidates(listSVGPaths(text));
+                info.textContent = candidates.length > 1 ? `找到 ${candidates.length} 条路径，请选择要使用的路径` : '';
+            } catch (err) {
+                info.textContent = err.message;
+            }
+        }
+
+        candidates.forEach((candidate, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = candidate.label;
+            pathSelect.appendChild(option);
+        });
+        pathSelect.disabled = candidates.length < 2;
+        importPathButton.disabled = !track || candidates.length === 0;
+    }
+
+    // 显示某个元素的导入选项：还没有记录手势的元素不能使用手势节奏
+    function render(next) {
+        track = next;
+        const gesture = timingSelect.querySelector('option[value="gesture"]');
+        gesture.disabled = !track || track.points.length < 3;
+        if (gesture.disabled && timingSelect.value === 'gesture') {
+            timingSelect.value = IMPORT_TIMINGS[0].id;
+        }
+        durationInput.disabled = timingSelect.value === 'gesture';
+        importPathButton.disabled = !track || candidates.length === 0;
+        importKeyframesButton.disabled = !track;
+    }
+
+    // 解析每条路径，跳过无法解析的路径，全部无法解析时抛出第一条的错误
+    function parseCandidates(list) {
+        const parsed = [];
+        let error = null;
+        list.forEach(candidate => {
+            try {
+                parsed.push({ label: candidate.label, segments: parsePathData(candidate.d, candidate.matrix) });
+            } catch (err) {
+                error = error || err;
+            }
+        });
+        if (parsed.length === 0) throw error;
+        return parsed;
+    }
+
+    // 正数输入框的值，无效时恢复为 fallback
+    function positive(field, fallback) {
+        const value = parseFloat(field.value);
+        if (Number.isFinite(value) && value > 0) return value;
+        field.value = fallback;
+        return fallback;
+    }
+
+    refresh();
+    return { render };
+}
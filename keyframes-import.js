@@ -0,0 +1,355 @@
+// 导入 @keyframes - 把已有的CSS关键帧动画转换为轨迹点，重新编辑它的路径和节奏
+//
+// 按优先级选择第一个可用的 @keyframes：
+//   offset-distance 关键帧（需要引用该动画的规则中有 offset-path: path(...)，例如本工具导出的代码）：路径形状取自该规则的 offset-path，
+//     节奏取自各关键帧的 offset-distance；
+//   left/top 关键帧，或 transform 中 translate 的关键帧：按关键帧之间的插值得到元素中心的运动轨迹。
+// 关键帧之间按 animation-timing-function 插值（关键帧中的设置优先，其次是引用该动画的规则，默认为 ease），
+// 支持 cubic-bezier()、linear()、steps() 和对应的关键字。导入的动画从元素当前的中心出发。
+
+import { cubicBezierEasing } from './motion-core.js';
+import { parsePathData } from './svg-import.js';
+
+// 每秒的采样数和采样数的下限
+const SAMPLES_PER_SECOND = 60;
+const MIN_SAMPLES = 30;
+
+// 没有找到动画时长时使用的时长（秒）
+export const DEFAULT_IMPORT_DURATION = 1;
+
+const KEYWORD_EASINGS = {
+    ease: { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 },
+    'ease-in': { x1: 0.42, y1: 0, x2: 1, y2: 1 },
+    'ease-out': { x1: 0, y1: 0, x2: 0.58, y2: 1 },
+    'ease-in-out': { x1: 0.42, y1: 0, x2: 0.58, y2: 1 }
+};
+
+// 解析CSS并生成轨迹：{ name, duration, segments, samples, points }
+// 按 offset-distance 导入时 segments 为 offset-path 的曲线段（从 (0, 0) 出发），samples 为进度采样（见 retime.js），points 为 null；
+// 否则 segments/samples 为 null，points 为从 (0, 0) 出发的轨迹点 [{ time, x, y, pressure, tiltX, tiltY }]
+// options.duration: CSS中没有动画时长时使用的时长（秒）
+export function importKeyframes(css, options = {}) {
+    const source = stripComments(css || '');
+    const blocks = keyframesBlocks(source);
+    if (blocks.length === 0) {
+        throw new Error('没有找到 @keyframes');
+    }
+
+    // 每个 @keyframes 使用引用它的规则，导出了多个元素时路径和时长都取自同一个元素
+    const usable = blocks.map(block => {
+        const rule = animationRule(source, block.name);
+        const pathData = (rule['offset-path'] || '').match(/^path\(\s*(['"])(.*?)\1\s*\)$/);
+        return { ...block, rule, pathData: pathData && pathData[2], kind: motionKind(block.frames, !!pathData) };
+    }).filter(block => block.kind);
+    const priority = ['distance', 'position', 'translate'];
+    usable.sort((a, b) => priority.indexOf(a.kind) - priority.indexOf(b.kind));
+    const block = usable[0];
+    if (!block) {
+        throw new Error('没有找到可导入的 @keyframes（需要 offset-distance、left/top 或 translate 关键帧）');
+    }
+
+    const animation = animationSettings(block.rule, block.name);
+    const duration = animation.duration || options.duration || DEFAULT_IMPORT_DURATION;
+    const frames = block.frames.map(frame => ({
+        progress: frame.progress,
+        easing: parseEasing(frame.declarations['animation-timing-function'] || animation.easing)
+    }));
+    const count = Math.max(MIN_SAMPLES, Math.ceil(duration * SAMPLES_PER_SECOND));
+    const times = [];
+    for (let k = 0; k <= count; k++) {
+        times.push(k / count);
+    }
+
+    if (block.kind === 'distance') {
+        const distance = channel(block.frames, frames, frame => percentage(frame.declarations['offset-distance']), 0);
+        return {
+            name: block.name,
+            duration,
+            segments: parsePathData(block.pathData),
+            samples: times.map(t => ({ time: t * duration * 1000, progress: distance(t) })),
+            points: null
+        };
+    }
+
+    // left/top 为元素左上角的位置，与中心相差固定的偏移，只需要相对于第一帧的变化
+    const value = (name) => (frame) => length(frame.declarations[name]);
+    const axes = block.kind === 'position' ?
+        { x: channel(block.frames, frames, value('left'), null), y: channel(block.frames, frames, value('top'), null) } :
+        {
+            x: channel(block.frames, frames, frame => translate(frame.declarations.transform, 'x'), 0),
+            y: channel(block.frames, frames, frame => translate(frame.declarations.transform, 'y'), 0)
+        };
+    const start = { x: axes.x(0), y: axes.y(0) };
+    return {
+        name: block.name,
+        duration,
+        segments: null,
+        samples: null,
+        points: times.map(t => ({
+            time: t * duration * 1000,
+            x: axes.x(t) - start.x,
+            y: axes.y(t) - start.y,
+            pressure: 0.5,
+            tiltX: 0,
+            tiltY: 0
+        }))
+    };
+}
+
+// 缓动函数在时间进度 progress 处的输出值
+// easing: parseEasing 的结果
+export function easingValue(easing, progress) {
+    switch (easing.type) {
+        case 'bezier':
+            return cubicBezierEasing(easing.bezier, progress);
+        case 'steps': {
+            const { count, start } = easing;
+            const step = start ? Math.ceil(progress * count) : Math.floor(progress * count);
+            return Math.max(0, Math.min(1, step / count));
+        }
+        case 'linear-stops': {
+            const stops = easing.stops;
+            if (progress <= stops[0].progress) return stops[0].value;
+            for (let i = 1; i < stops.length; i++) {
+                const a = stops[i - 1];
+                const b = stops[i];
+                if (progress <= b.progress) {
+                    const span = b.progress - a.progress;
+                    return a.value + (b.value - a.value) * (span > 0 ? (progress - a.progress) / span : 1);
+                }
+            }
+            return stops[stops.length - 1].value;
+        }
+        default:
+            return progress;
+    }
+}
+
+// 解析缓动函数：{ type: 'linear' } | { type: 'bezier', bezier } | { type: 'steps', count, start } | { type: 'linear-stops', stops }
+// 未指定时为 ease，无法识别时按 linear 处理
+export function parseEasing(text) {
+    const value = (text || 'ease').trim();
+    if (KEYWORD_EASINGS[value]) {
+        return { type: 'bezier', bezier: KEYWORD_EASINGS[value] };
+    }
+    if (value === 'step-start' || value === 'step-end') {
+        return { type: 'steps', count: 1, start: value === 'step-start' };
+    }
+
+    const fn = value.match(/^([\w-]+)\((.*)\)$/);
+    if (fn && fn[1] === 'cubic-bezier') {
+        const [x1, y1, x2, y2] = fn[2].split(',').map(parseFloat);
+        if ([x1, y1, x2, y2].every(Number.isFinite)) {
+            return { type: 'bezier', bezier: { x1, y1, x2, y2 } };
+        }
+    }
+    if (fn && fn[1] === 'steps') {
+        const [count, position = 'end'] = fn[2].split(',').map(part => part.trim());
+        const n = parseInt(count, 10);
+        if (n > 0) {
+            return { type: 'steps', count: n, start: position === 'start' || position === 'jump-start' };
+        }
+    }
+    if (fn && fn[1] === 'linear') {
+        const stops = linearStops(fn[2]);
+        if (stops.length >= 2) {
+            return { type: 'linear-stops', stops };
+        }
+    }
+    return { type: 'linear' };
+}
+
+// linear() 的参数转换为 [{ progress, value }]，省略的进度在前后已知的进度之间均匀分布
+function linearStops(args) {
+    const stops = [];
+    args.split(',').forEach(part => {
+        const numbers = part.trim().split(/\s+/);
+        const value = parseFloat(numbers[0]);
+        if (!Number.isFinite(value)) return;
+        const positions = numbers.slice(1).map(percentage).filter(Number.isFinite);
+        if (positions.length === 0) {
+            stops.push({ value, progress: null });
+        } else {
+            positions.forEach(progress => stops.push({ value, progress }));
+        }
+    });
+    if (stops.length < 2) return [];
+
+    if (stops[0].progress === null) stops[0].progress = 0;
+    if (stops[stops.length - 1].progress === null) stops[stops.length - 1].progress = 1;
+    for (let i = 1; i < stops.length; i++) {
+        if (stops[i].progress !== null) {
+            stops[i].progress = Math.max(stops[i].progress, stops[i - 1].progress);
+            continue;
+        }
+        let j = i;
+        while (stops[j].progress === null) j++;
+        const from = stops[i - 1].progress;
+        for (let k = i; k < j; k++) {
+            stops[k].progress = from + (stops[j].progress - from) * (k - i + 1) / (j - i + 1);
+        }
+    }
+    return stops;
+}
+
+function stripComments(css) {
+    return css.replace(/\/\*[\s\S]*?\*\//g, '');
+}
+
+// 找出所有 @keyframes：[{ name, frames: [{ progress, declarations }] }]，frames 按进度排序
+function keyframesBlocks(css) {
+    const blocks = [];
+    const pattern = /@(?:-webkit-)?keyframes\s+([^\s{]+)\s*\{/g;
+    let match;
+
+    while ((match = pattern.exec(css)) !== null) {
+        const body = matchingBlock(css, pattern.lastIndex);
+        const frames = [];
+        const framePattern = /([^{}]+)\{([^{}]*)\}/g;
+        let frame;
+        while ((frame = framePattern.exec(body)) !== null) {
+            const declarations = parseDeclarations(frame[2]);
+            frame[1].split(',').forEach(selector => {
+                const key = selector.trim().toLowerCase();
+                const progress = key === 'from' ? 0 : key === 'to' ? 1 : percentage(key);
+                if (Number.isFinite(progress)) {
+                    frames.push({ progress: Math.max(0, Math.min(1, progress)), declarations });
+                }
+            });
+        }
+        frames.sort((a, b) => a.progress - b.progress);
+        blocks.push({ name: match[1].replace(/^['"]|['"]$/g, ''), frames });
+    }
+
+    return blocks;
+}
+
+// 从 start（左花括号之后）开始取到与之匹配的右花括号之前的内容
+function matchingBlock(css, start) {
+    let depth = 1;
+    for (let i = start; i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        if (css[i] === '}' && --depth === 0) return css.slice(start, i);
+    }
+    return css.slice(start);
+}
+
+function parseDeclarations(text) {
+    const declarations = {};
+    text.split(';').forEach(part => {
+        const colon = part.indexOf(':');
+        if (colon === -1) return;
+        declarations[part.slice(0, colon).trim().toLowerCase()] = part.slice(colon + 1).trim();
+    });
+    return declarations;
+}
+
+// 关键帧描述的运动：'distance' | 'position' | 'translate'，没有运动时为 null
+function motionKind(frames, hasPath) {
+    const has = (test) => frames.some(frame => test(frame.declarations));
+    if (hasPath && has(d => Number.isFinite(percentage(d['offset-distance'])))) return 'distance';
+    if (has(d => Number.isFinite(length(d.left)) || Number.isFinite(length(d.top)))) return 'position';
+    if (has(d => /translate/.test(d.transform || ''))) return 'translate';
+    return null;
+}
+
+// animation 或 animation-name 中引用动画 name 的第一条规则的声明，没有时为空对象
+function animationRule(css, name) {
+    const rulePattern = /([^{}]*)\{([^{}]*)\}/g;
+    let rule;
+
+    while ((rule = rulePattern.exec(css)) !== null) {
+        const declarations = parseDeclarations(rule[2]);
+        if (animationShorthand(declarations, name) ||
+            (declarations['animation-name'] || '').split(',').map(item => item.trim()).includes(name)) {
+            return declarations;
+        }
+    }
+
+    return {};
+}
+
+// animation 简写中使用动画 name 的一项，没有时为 undefined
+function animationShorthand(declarations, name) {
+    return (declarations.animation || '').split(/,(?![^(]*\))/).find(item => item.trim().split(/\s+/).includes(name));
+}
+
+// 规则（animationRule 的结果）中动画 name 的时长（秒）和缓动，没有时为 null
+function animationSettings(declarations, name) {
+    const settings = { duration: null, easing: null };
+    const shorthand = animationShorthand(declarations, name);
+    if (shorthand) {
+        const time = shorthand.match(/(?:^|\s)(\d*\.?\d+)(m?s)(?=\s|$)/);
+        if (time) settings.duration = parseFloat(time[1]) / (time[2] === 'ms' ? 1000 : 1);
+        const easing = shorthand.match(/cubic-bezier\([^)]*\)|linear\([^)]*\)|steps\([^)]*\)|\b(?:ease-in-out|ease-in|ease-out|ease|linear|step-start|step-end)\b/);
+        if (easing) settings.easing = easing[0];
+        return settings;
+    }
+    if (declarations['animation-name']) {
+        const time = (declarations['animation-duration'] || '').match(/(\d*\.?\d+)(m?s)/);
+        if (time) settings.duration = parseFloat(time[1]) / (time[2] === 'ms' ? 1000 : 1);
+        settings.easing = declarations['animation-timing-function'] || null;
+    }
+    return settings;
+}
+
+// 某个属性随时间进度变化的函数：在定义了该属性的关键帧之间按前一帧的缓动插值
+// read(frame) 读取关键帧中的值，无效时为 NaN；fallback 为首尾帧缺少该属性时的值，为 null 时取最近的关键帧的值
+function channel(blockFrames, frames, read, fallback) {
+    let stops = blockFrames
+        .map((frame, i) => ({ progress: frame.progress, value: read(frame), easing: frames[i].easing }))
+        .filter(stop => Number.isFinite(stop.value));
+    if (stops.length === 0) return () => fallback || 0;
+
+    const edge = (stop, progress) => ({ progress, value: fallback === null ? stop.value : fallback, easing: stop.easing });
+    if (stops[0].progress > 0) stops = [edge(stops[0], 0), ...stops];
+    if (stops[stops.length - 1].progress < 1) stops = [...stops, edge(stops[stops.length - 1], 1)];
+
+    return (progress) => {
+        let i = 1;
+        while (i < stops.length - 1 && stops[i].progress < progress) i++;
+        const a = stops[i - 1];
+        const b = stops[i];
+        const span = b.progress - a.progress;
+        const fraction = span > 0 ? Math.max(0, Math.min(1, (progress - a.progress) / span)) : 1;
+        return a.value + (b.value - a.value) * easingValue(a.easing, fraction);
+    };
+}
+
+// 百分比转换为 0~1，无效时为 NaN
+function percentage(text) {
+    const match = (text || '').trim().match(/^(-?\d*\.?\d+)%$/);
+    return match ? parseFloat(match[1]) / 100 : NaN;
+}
+
+// 像素长度（可以省略单位，0 可以不带单位），无效时为 NaN
+function length(text) {
+    const match = (text || '').trim().match(/^(-?\d*\.?\d+)(px)?$/);
+    return match ? parseFloat(match[1]) : NaN;
+}
+
+// transform 中 translate/translateX/translateY/translate3d 的位移之和，百分比的位移（相对于元素自身）忽略
+function translate(transform, axis) {
+    if (!transform) return NaN;
+    const pattern = /translate(3d|X|Y)?\(([^)]*)\)/g;
+    let total = 0;
+    let found = false;
+    let match;
+
+    while ((match = pattern.exec(transform)) !== null) {
+        const args = match[2].split(',').map(part => part.trim());
+        const kind = match[1] || '';
+        let text;
+        if (kind === 'X') text = axis === 'x' ? args[0] : '0';
+        else if (kind === 'Y') text = axis === 'y' ? args[0] : '0';
+        else text = axis === 'x' ? args[0] : (args[1] || '0');
+
+        const value = length(text);
+        if (Number.isFinite(value)) {
+            total += value;
+            found = true;
+        }
+    }
+
+    return found ? total : NaN;
+}
@@ -0,0 +1,815 @@
+// 运动轨迹处理管线 - 纯函数实现，不依赖DOM，可在浏览器和Node中使用
+//
+// 用法：
+//   import { createMotion } from './motion-core.js';
+//   const motion = createMotion(points, { position: { top: '100px', left: '200px' } });
+//   console.log(motion.css);
+
+import { fitCurve, bezierPoint, bezierDerivative, segmentsToPath, buildArcLengthTable, arcLengthAt, locationAtLength, DEFAULT_TOLERANCE } from './curve-fit.js';
+import { applyChannels, channelKeyframes, describeChannels, channelsAt, formatChannel } from './channels.js';
+import { smoothPoints, smoothSpeeds, speedSmoothingRadius } from './smoothing.js';
+import { fitEasingSegments, fitGlobalEasing } from './easing-fit.js';
+import { compilePreset, presetValue } from './presets.js';
+
+// 默认贝塞尔曲线参数（等同于 ease-in-out）
+export const DEFAULT_BEZIER = { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
+
+// 动画时长的来源，顺序即选择框中的顺序
+export const DURATION_MODES = [
+    { id: 'recorded', label: '按记录时长' },
+    { id: 'custom', label: '自定义时长' },
+    { id: 'token', label: '吸附到设计时长' }
+];
+
+// 设计规范中常用的动画时长（毫秒），吸附时取与记录时长比例最接近的一个
+export const DURATION_TOKENS = [100, 150, 200, 300, 500, 700, 1000, 1500, 2000, 3000, 5000, 8000];
+
+// 贝塞尔缓动的回退动画按时间均匀采样的帧数
+const BEZIER_FALLBACK_SAMPLES = 30;
+
+// 生成CSS时使用的选择器和@keyframes名称
+// 同一页面上有多个动画元素时，传入不同的后缀避免名称冲突
+export function animationNames(suffix = '') {
+    return {
+        selector: `.element-animation${suffix}`,
+        path: `followPath${suffix}`,
+        fallback: `moveAlongPath${suffix}`,
+        channels: `transformChannels${suffix}`,
+        fallbackChannels: `orientedChannels${suffix}`,
+        sequence: `jumpBetweenStops${suffix}`,
+        positioned: `.positioned-element${suffix}`
+    };
+}
+
+// 从记录的点生成完整的动画数据
+// points: [{ time, x, y, pressure?, tiltX?, tiltY? }]，time 单位为毫秒
+// options.position: 元素起始位置 { top, left }（CSS长度字符串）
+// options.tolerance: 曲线拟合容差（像素），越大路径越简洁，越小越贴近原始轨迹
+// options.names: 选择器和@keyframes名称，默认为 animationNames()
+// options.delay: 动画开始前的延迟（秒）
+// options.path: 手动编辑过的路径 { segments, locations }，格式同 fitCurve 的返回值，
+//   提供时不再重新拟合曲线，关键帧按 locations 定位到编辑后的曲线上
+// options.timing: 手动调整的节奏，见 applyTimingEdits
+//   { progress: { [关键帧index]: 新的时间进度 }, bezier: { x1, y1, x2, y2 }, mode: 'keyframes' | 'fitted' | 'bezier' | 'preset',
+//     duration: 动画时长的设置，见 resolveDuration, fitError: 分段拟合缓动的误差上限，见 easing-fit.js,
+//     preset: 节奏预设 { id, params }，见 presets.js }
+//   mode 为 'fitted' 时按记录的速度分段拟合缓动，关键帧的 easing 为到下一关键帧之间的 cubic-bezier 参数
+//   mode 为 'preset' 时用预设代替记录的节奏，动画整体使用预设编译得到的缓动函数（motion.preset）
+// options.channels: 缩放、不透明度、旋转等变换通道的设置，见 channels.js
+// options.smoothing: 手势平滑设置 { filter, strength }，见 smoothing.js，默认不平滑
+// options.playback: 播放设置 { iterations: 次数或 'infinite', direction: animation-direction 的值 }，默认播放一次
+export function createMotion(points, options = {}) {
+    if (!points || points.length < 3) {
+        throw new Error('需要至少3个点来创建路径');
+    }
+
+    const position = options.position || { top: '0px', left: '0px' };
+    const tolerance = options.tolerance != null ? options.tolerance : DEFAULT_TOLERANCE;
+    const playback = normalizePlayback(options.playback);
+    const output = { names: options.names || animationNames(), delay: options.delay || 0, playback };
+    const timing = options.timing || {};
+
+    // 1. 预处理点数据：去除过近的点，再按设置平滑
+    const filteredPoints = smoothPoints(filterPoints(points), options.smoothing);
+    const speedRadius = speedSmoothingRadius(options.smoothing);
+
+    // 2. 拟合平滑曲线（已手动编辑的路径直接使用）
+    const { segments, locations } = options.path || fitCurve(filteredPoints, tolerance);
+
+    // 3. 创建关键帧，并记录每个关键帧在拟合曲线上的位置
+    const { keyframes: rawKeyframes } = createKeyframes(filteredPoints);
+    const arcTable = attachCurveLocations(rawKeyframes, segments, locations);
+
+    // 4. 智能关键帧处理（或分段拟合缓动），再应用手动调整过的时间，最后附加变换通道的值
+    const fitted = timing.mode === 'fitted';
+    const processedKeyframes = fitted ?
+        fitEasingSegments(rawKeyframes, timing.fitError) :
+        processKeyframes(rawKeyframes, filteredPoints.length, speedRadius);
+    const timedKeyframes = applyTimingEdits(processedKeyframes, timing.progress);
+    const keyframes = applyChannels(timedKeyframes, rawKeyframes, options.channels);
+    const channels = describeChannels(channelKeyframes(keyframes, rawKeyframes, options.channels), options.channels);
+
+    // 5. 同时计算贝塞尔曲线参数作为备选方案
+    const bezier = timing.bezier || calculateBezierParameters(rawKeyframes);
+    const preset = timing.mode === 'preset' ? compilePreset(timing.preset) : null;
+    let timingMode = timing.mode !== 'bezier' && keyframes.length >= (fitted ? 2 : 3) ? 'keyframes' : 'bezier';
+    if (preset) timingMode = 'preset';
+
+    // 6. 生成路径与CSS
+    const path = generateSVGPath(segments);
+    const recordedDuration = points[points.length - 1].time - points[0].time;
+    const duration = resolveDuration(recordedDuration, timing.duration);
+
+    // 不支持 offset-path 时的回退关键帧，与各导出格式使用同一份数据（见 fallbackFrames）
+    const motionFitted = fitted && timingMode === 'keyframes';
+    const timed = { segments, keyframes, timingMode, fitted: motionFitted, preset, bezier, channels };
+    const frames = fallbackFrames(timed);
+    output.channels = {
+        offsetRotate: channels.offsetRotate,
+        frames: transformFrames(timed),
+        fallback: fallbackChannelFrames(timed, output.names)
+    };
+
+    let css;
+    if (timingMode === 'keyframes') {
+        css = generateKeyframeCSS(keyframes, duration, path, position, { ...output, fallback: frames });
+    } else if (timingMode === 'preset') {
+        css = generatePresetCSS(preset.easing, frames, duration, path, position, output);
+    } else {
+        css = generateBezierCSS(duration, path, bezier, position, frames, output);
+    }
+
+    return {
+        filteredPoints,
+        segments,
+        locations,
+        length: arcTable.total,
+        keyframes,
+        speeds: smoothSpeeds(calculateSpeeds(rawKeyframes), speedRadius),
+        bezier,
+        timingMode,
+        fitted: motionFitted,
+        preset,
+        channels,
+        playback,
+        path,
+        absolutePath: generateAbsoluteSVGPath(segments),
+        recordedDuration,
+        duration,
+        css
+    };
+}
+
+// 将记录时长（毫秒）换算为动画时长（秒），保留两位小数，不短于0.01秒
+export function roundDuration(durationMs) {
+    return Math.max(0.01, Math.round(durationMs / 10) / 100);
+}
+
+// 按时长设置得到动画时长（秒）。关键帧的时间都是0~1的进度，改变时长时整体缩放，相对节奏不变
+// setting: { mode: 'recorded' | 'custom' | 'token', seconds }，seconds 为自定义时长（秒），默认按记录时长
+export function resolveDuration(recordedMs, setting) {
+    const mode = setting && setting.mode;
+    if (mode === 'custom' && setting.seconds > 0) {
+        return Math.round(setting.seconds * 1000) / 1000;
+    }
+    if (mode === 'token') {
+        return snapDuration(recordedMs) / 1000;
+    }
+    return roundDuration(recordedMs);
+}
+
+// 吸附到最接近的设计时长（毫秒），按比例比较，避免长时长总是吸附到较大的值
+export function snapDuration(durationMs) {
+    const target = Math.log(Math.max(1, durationMs));
+    return DURATION_TOKENS.reduce((best, token) =>
+        Math.abs(Math.log(token) - target) < Math.abs(Math.log(best) - target) ? token : best);
+}
+
+// 过滤点，去除太近的点以减少抖动
+export function filterPoints(inputPoints) {
+    // 减小最小距离阈值，保留更多原始点
+    const minDistance = 2; // 从3减小到2，保留更多细节
+    let result = [inputPoints[0]]; // 始终保留第一个点
+
+    for (let i = 1; i < inputPoints.length; i++) {
+        const lastPoint = result[result.length - 1];
+        const distance = getDistance(inputPoints[i], lastPoint);
+
+        // 只添加移动距离超过阈值的点
+        if (distance >= minDistance) {
+            result.push(inputPoints[i]);
+        }
+    }
+
+    // 确保最后一个点被保留
+    const lastOriginalPoint = inputPoints[inputPoints.length - 1];
+    const lastFilteredPoint = result[result.length - 1];
+
+    if (lastFilteredPoint !== lastOriginalPoint) {
+        result.push(lastOriginalPoint);
+    }
+
+    return result;
+}
+
+// 计算两点之间的距离
+export function getDistance(point1, point2) {
+    return Math.sqrt(
+        Math.pow(point1.x - point2.x, 2) +
+        Math.pow(point1.y - point2.y, 2)
+    );
+}
+
+// 为过滤后的点创建关键帧
+export function createKeyframes(filteredPoints) {
+    const totalDuration = filteredPoints[filteredPoints.length - 1].time - filteredPoints[0].time;
+    const keyframes = [];
+
+    // 计算每个点对应的进度百分比
+    for (let i = 0; i < filteredPoints.length; i++) {
+        const progress = (filteredPoints[i].time - filteredPoints[0].time) / totalDuration;
+        keyframes.push({
+            index: i,
+            progress: progress,
+            point: filteredPoints[i]
+        });
+    }
+
+    return { keyframes, totalDuration };
+}
+
+// 把关键帧映射到拟合曲线上：segment/t 为所在曲线段及参数，position 为曲线上的坐标，
+// distance 为该位置沿路径的弧长占总长的比例（0~1），对应 offset-distance
+// 关键帧的 point 仍保留原始采样点，用于速度分析；返回路径的弧长查找表
+export function attachCurveLocations(keyframes, segments, locations) {
+    const table = buildArcLengthTable(segments);
+
+    for (let i = 0; i < keyframes.length; i++) {
+        const { segment, t } = locations[i];
+        keyframes[i].segment = segment;
+        keyframes[i].t = t;
+        keyframes[i].position = bezierPoint(segments[segment], t);
+        keyframes[i].distance = table.total > 0 ? arcLengthAt(table, segment, t) / table.total : 0;
+    }
+
+    return table;
+}
+
+// 应用手动调整的关键帧时间
+// edits: { [关键帧index]: 新的时间进度(0~1) }，index 为关键帧对应的过滤后采样点序号
+// 返回新的关键帧数组，不修改传入的关键帧，结果按时间进度排序
+export function applyTimingEdits(keyframes, edits) {
+    if (!edits || Object.keys(edits).length === 0) return keyframes;
+
+    return keyframes
+        .map(kf => edits[kf.index] != null ? { ...kf, progress: edits[kf.index] } : kf)
+        .sort((a, b) => a.progress - b.progress);
+}
+
+// 处理关键帧，进行速度分析和平滑化
+// speedRadius: 速度序列移动平均的半径（点数），为0时直接使用相邻点之间的速度
+export function processKeyframes(keyframes, pointCount, speedRadius = 0) {
+    // 1. 计算每个点的速度
+    const speeds = smoothSpeeds(calculateSpeeds(keyframes), speedRadius);
+
+    // 2. 提取速度变化显著的关键帧
+    let speedKeyframes = extractKeySpeedPoints(keyframes, speeds);
+
+    // 3. 确保关键帧数量适当
+    speedKeyframes = normalizeKeyframeCount(speedKeyframes, keyframes);
+
+    // 4. 平滑化关键帧之间的过渡
+    if (pointCount > 5 && speedKeyframes.length >= 3) {
+        speedKeyframes = smoothKeyframes(speedKeyframes, keyframes);
+    }
+
+    return speedKeyframes;
+}
+
+// 计算每个点的速度
+export function calculateSpeeds(keyframes) {
+    let speeds = [];
+
+    for (let i = 1; i < keyframes.length; i++) {
+        const timeDiff = keyframes[i].point.time - keyframes[i-1].point.time;
+        if (timeDiff <= 0) continue; // 防止除以0
+
+        const distance = getDistance(keyframes[i].point, keyframes[i-1].point);
+        const speed = distance / timeDiff;
+
+        speeds.push({
+            index: i,
+            speed: speed,
+            progress: keyframes[i].progress
+        });
+    }
+
+    return speeds;
+}
+
+// 提取速度变化显著的关键帧
+function extractKeySpeedPoints(keyframes, speeds) {
+    let result = [keyframes[0]]; // 始终保留第一个关键帧
+    const threshold = 0.2; // 速度变化阈值
+
+    let lastSpeed = speeds.length > 0 ? speeds[0].speed : 0;
+
+    for (let i = 1; i < speeds.length; i++) {
+        const speedChange = Math.abs(speeds[i].speed - lastSpeed) / Math.max(lastSpeed, 0.1);
+
+        if (speedChange > threshold) {
+            // 速度变化超过阈值，添加这个点及其前一点作为控制点
+            result.push(keyframes[speeds[i-1].index]);
+            result.push(keyframes[speeds[i].index]);
+            lastSpeed = speeds[i].speed;
+        }
+    }
+
+    // 添加最后一个关键帧
+    const lastKeyframe = keyframes[keyframes.length - 1];
+    if (result[result.length - 1].point.time !== lastKeyframe.point.time) {
+        result.push(lastKeyframe);
+    }
+
+    return result;
+}
+
+// 关键帧数量标准化
+function normalizeKeyframeCount(speedKeyframes, originalKeyframes) {
+    // 关键帧太少时增加
+    if (speedKeyframes.length < 5 && originalKeyframes.length > 10) {
+        const result = [originalKeyframes[0]];
+        const step = Math.floor(originalKeyframes.length / 8);
+
+        for (let i = step; i < originalKeyframes.length - step; i += step) {
+            result.push(originalKeyframes[i]);
+        }
+
+        result.push(originalKeyframes[originalKeyframes.length - 1]);
+        return result;
+    }
+    // 关键帧太多时减少
+    else if (speedKeyframes.length > 20) {
+        const result = [speedKeyframes[0]];
+        const step = Math.floor(speedKeyframes.length / 20);
+
+        for (let i = step; i < speedKeyframes.length - step; i += step) {
+            result.push(speedKeyframes[i]);
+        }
+
+        result.push(speedKeyframes[speedKeyframes.length - 1]);
+        return result;
+    }
+
+    return speedKeyframes;
+}
+
+// 平滑化关键帧之间的过渡
+function smoothKeyframes(keyframes, originalKeyframes) {
+    let result = [];
+
+    for (let i = 0; i < keyframes.length - 1; i++) {
+        const current = keyframes[i];
+        const next = keyframes[i + 1];
+
+        // 添加当前关键帧
+        result.push(current);
+
+        // 如果与下一个关键帧间隔超过10%，添加中间点
+        if (next.progress - current.progress > 0.1) {
+            const middleProgress = (current.progress + next.progress) / 2;
+
+            // 找到最接近这个进度的实际点
+            const closestKeyframe = findClosestKeyframeByProgress(originalKeyframes, middleProgress);
+            result.push(closestKeyframe);
+        }
+    }
+
+    // 添加最后一个关键帧
+    result.push(keyframes[keyframes.length - 1]);
+
+    return result;
+}
+
+// 找到最接近指定进度的关键帧
+function findClosestKeyframeByProgress(keyframes, targetProgress) {
+    let closestIndex = 0;
+    let minDiff = 1.0;
+
+    for (let i = 0; i < keyframes.length; i++) {
+        const diff = Math.abs(keyframes[i].progress - targetProgress);
+        if (diff < minDiff) {
+            minDiff = diff;
+            closestIndex = i;
+        }
+    }
+
+    return keyframes[closestIndex];
+}
+
+// 计算贝塞尔曲线参数：用一条 cubic-bezier 拟合记录的"路程-时间"曲线
+// keyframes: 全部采样点的关键帧，需已附加 distance（见 attachCurveLocations）
+export function calculateBezierParameters(keyframes) {
+    return fitGlobalEasing(keyframes);
+}
+
+// 计算 cubic-bezier 缓动在时间进度 progress 处的输出值
+export function cubicBezierEasing({ x1, y1, x2, y2 }, progress) {
+    if (progress <= 0) return 0;
+    if (progress >= 1) return 1;
+
+    const curve = (p1, p2, u) => 3 * (1 - u) * (1 - u) * u * p1 + 3 * (1 - u) * u * u * p2 + u * u * u;
+
+    // x(u) 单调递增，用二分法求 x(u) = progress
+    let low = 0;
+    let high = 1;
+    let u = progress;
+    for (let i = 0; i < 30; i++) {
+        u = (low + high) / 2;
+        if (curve(x1, x2, u) < progress) {
+            low = u;
+        } else {
+            high = u;
+        }
+    }
+
+    return curve(y1, y2, u);
+}
+
+// 按时间均匀采样动画，返回 [{ progress, distance, x, y, dx, dy, angle, scale, opacity, rotate }]，x/y 为路径上的绝对坐标，
+// dx/dy 为相对于路径起点的偏移（与 keyframeStops 相同，导出时加上元素的起始位置），
+// angle 为运动方向（度，前后连续不跳变），scale/opacity/rotate 为该时刻的变换通道值
+// 关键帧节奏下额外包含每个关键帧的时间点，保证速度变化的位置准确；贝塞尔缓动的效果直接计入采样；
+// 有变换通道时额外包含通道关键帧的时间点
+// 用于无法使用 offset-path 的导出（例如按容器缩放的路径），导出时各采样点之间使用 linear 即可
+export function sampleMotion(motion, count = 50) {
+    const table = buildArcLengthTable(motion.segments);
+    const keyframes = motion.keyframes;
+    const byKeyframes = motion.timingMode === 'keyframes';
+    const origin = motion.segments[0].p0;
+
+    const times = [];
+    for (let k = 0; k <= count; k++) {
+        times.push(k / count);
+    }
+    if (byKeyframes) {
+        keyframes.forEach(kf => times.push(kf.progress));
+    }
+    // 变换通道的关键帧（包括不在路径关键帧中的修改）同样加入采样，保证通道的值准确
+    if (motion.channels.animated.length > 0) {
+        motion.channels.keyframes.forEach(kf => times.push(kf.progress));
+    }
+    const unique = [...new Set(times.map(t => Math.round(t * 10000) / 10000))].sort((a, b) => a - b);
+
+    let previousAngle = null;
+    return unique.map(progress => {
+        const distance = distanceAtProgress(motion, progress);
+        const loc = locationAtLength(table, distance * table.total);
+        const segment = motion.segments[loc.segment];
+        const point = bezierPoint(segment, loc.t);
+        const tangent = bezierDerivative(segment, loc.t);
+
+        // 切线长度为0（例如端点处控制点与端点重合）时沿用上一个方向
+        let angle = tangent.x === 0 && tangent.y === 0 && previousAngle !== null ?
+            previousAngle :
+            Math.atan2(tangent.y, tangent.x) * 180 / Math.PI;
+        if (previousAngle !== null) {
+            angle = previousAngle + ((angle - previousAngle + 540) % 360 - 180);
+        }
+        previousAngle = angle;
+
+        return {
+            progress,
+            distance,
+            x: point.x,
+            y: point.y,
+            dx: point.x - origin.x,
+            dy: point.y - origin.y,
+            angle,
+            ...channelsAt(motion.channels.keyframes, progress)
+        };
+    });
+}
+
+// 动画在时间进度 progress 处沿路径走过的路程比例
+// 关键帧之间路程随时间线性变化（分段拟合时按该段的缓动变化），与CSS关键帧的插值一致
+// 预设超出0~1的部分（回弹、弹簧）在路径的两端停住
+export function distanceAtProgress(motion, progress) {
+    if (motion.timingMode === 'preset') return Math.max(0, Math.min(1, presetValue(motion.preset, progress)));
+    if (motion.timingMode !== 'keyframes') return cubicBezierEasing(motion.bezier, progress);
+
+    const keyframes = motion.keyframes;
+    let i = 1;
+    while (i < keyframes.length - 1 && keyframes[i].progress < progress) {
+        i++;
+    }
+    const a = keyframes[i - 1];
+    const b = keyframes[i];
+    const span = b.progress - a.progress;
+    const fraction = span > 0 ? Math.max(0, Math.min(1, (progress - a.progress) / span)) : 1;
+    const eased = a.easing ? cubicBezierEasing(a.easing, fraction) : fraction;
+    return a.distance + (b.distance - a.distance) * eased;
+}
+
+// 变换通道的关键帧：[{ progress, scale?, opacity?, rotate? }]，只包含有变化的通道，没有时返回空数组
+// withOrientation 为 true 时把运动方向计入 rotate 并按时间均匀采样，用于不使用 offset-path（offset-rotate: auto）的动画
+export function transformFrames(motion, withOrientation = false) {
+    const { animated, orient } = motion.channels;
+
+    if (withOrientation && orient) {
+        return sampleMotion(motion).map(s => ({ progress: s.progress, ...sampleChannels(motion, s) }));
+    }
+
+    if (animated.length === 0) return [];
+    return motion.channels.keyframes.map(kf => {
+        const frame = { progress: kf.progress };
+        animated.forEach(name => {
+            frame[name] = kf[name];
+        });
+        return frame;
+    });
+}
+
+// 不支持 offset-path 时回退动画使用的变换通道：{ name, frames }
+// 回退分支没有 offset-rotate，元素朝向运动方向时改用计入方向角的 transformFrames(motion, true)，
+// 以 names.fallbackChannels 为名单独输出；否则与路径动画共用 names.channels
+export function fallbackChannelFrames(motion, names) {
+    if (motion.channels.orient) {
+        return { name: names.fallbackChannels, frames: transformFrames(motion, true) };
+    }
+    return { name: names.channels, frames: transformFrames(motion) };
+}
+
+// sampleMotion 采样点上有变化的通道值，元素朝向运动方向时把方向计入 rotate
+export function sampleChannels(motion, sample) {
+    const { animated, orient } = motion.channels;
+    const frame = {};
+    animated.forEach(name => {
+        frame[name] = Math.round(sample[name] * 1000) / 1000;
+    });
+    if (orient) {
+        frame.rotate = Math.round((sample.rotate + sample.angle) * 10) / 10;
+    }
+    return frame;
+}
+
+// 变换通道的@keyframes，frames 为 transformFrames 的结果，indent 为每行的缩进
+export function generateChannelKeyframes(frames, name, indent = '') {
+    const body = frames.map(frame => {
+        const declarations = Object.keys(frame)
+            .filter(key => key !== 'progress')
+            .map(key => `${indent}    ${key}: ${formatChannel(key, frame[key])};`)
+            .join('\n');
+        return `${indent}  ${Math.round(frame.progress * 1000) / 10}% {\n${declarations}\n${indent}  }`;
+    }).join('\n');
+    return `${indent}@keyframes ${name} {\n${body}\n${indent}}`;
+}
+
+// 回退动画的 top/left @keyframes，frames 为 fallbackFrames 的结果，dx/dy 加上元素的起始位置 position，
+// 各帧之间线性移动，indent 为每行的缩进
+export function generateFallbackKeyframes(frames, position, name, indent = '') {
+    const body = frames.map(frame => {
+        const percent = Math.round(frame.progress * 10000) / 100;
+        const top = Math.round((parseFloat(position.top) + frame.dy) * 100) / 100;
+        const left = Math.round((parseFloat(position.left) + frame.dx) * 100) / 100;
+        return `${indent}  ${percent}% {\n${indent}    top: ${top}px;\n${indent}    left: ${left}px;\n${indent}  }`;
+    }).join('\n');
+    return `${indent}@keyframes ${name} {\n${body}\n${indent}}`;
+}
+
+// 生成SVG路径 - 使用拟合后的贝塞尔曲线，坐标相对于路径起点
+export function generateSVGPath(segments) {
+    if (segments.length === 0) return 'M 0 0';
+    return segmentsToPath(segments, segments[0].p0);
+}
+
+// 生成绝对SVG路径（用于可视化显示）
+export function generateAbsoluteSVGPath(segments) {
+    return segmentsToPath(segments);
+}
+
+// cubic-bezier() 缓动函数字符串
+export function formatCubicBezier({ x1, y1, x2, y2 }) {
+    return `cubic-bezier(${x1.toFixed(2)}, ${y1.toFixed(2)}, ${x2.toFixed(2)}, ${y2.toFixed(2)})`;
+}
+
+// 导出用的关键帧数据：{ easing, stops: [{ progress, distance, dx, dy, easing? }] }，dx/dy 相对于路径起点，
+// 分段拟合缓动时 stop 的 easing 为到下一关键帧之间的缓动函数
+// wholeIteration 为 false 时按 CSS @keyframes 的语义，缓动函数作用于每两个关键帧之间，
+//   因此贝塞尔缓动只输出首尾两帧；
+// 为 true 时按 Web Animations API easing 选项的语义，缓动函数作用于整个动画，
+//   贝塞尔缓动下每帧的时间进度取路程比例，使元素沿曲线而不是直线移动
+export function keyframeStops(motion, wholeIteration = false) {
+    const keyframes = motion.keyframes;
+    const first = keyframes[0].position;
+    const round = (value, factor) => Math.round(value * factor) / factor;
+    const stop = (kf, progress) => ({
+        progress: round(progress, 10000),
+        distance: round(kf.distance, 10000),
+        dx: round(kf.position.x - first.x, 100),
+        dy: round(kf.position.y - first.y, 100)
+    });
+
+    // 分段拟合的缓动写在关键帧上（easing 为到下一关键帧之间的缓动函数），整体仍为 linear
+    if (motion.timingMode === 'keyframes') {
+        return {
+            easing: 'linear',
+            stops: keyframes.map(kf => kf.easing ? { ...stop(kf, kf.progress), easing: formatCubicBezier(kf.easing) } : stop(kf, kf.progress))
+        };
+    }
+
+    const easing = motionEasing(motion);
+    if (wholeIteration) {
+        return { easing, stops: keyframes.map(kf => stop(kf, kf.distance)) };
+    }
+    return { easing, stops: [stop(keyframes[0], 0), stop(keyframes[keyframes.length - 1], 1)] };
+}
+
+// 不支持 offset-path 时 top/left 回退动画的关键帧：[{ progress, dx, dy }]，dx/dy 相对于路径起点，各帧之间使用 linear
+// 记录的关键帧足够密，直接使用关键帧的位置；分段拟合缓动的关键帧稀疏，节奏预设和贝塞尔缓动只有首尾两帧，
+// 这些情况按时间采样曲线上的位置，使元素沿曲线而不是在关键帧之间直线移动。
+// CSS 和各导出格式的回退动画都使用这份数据，见 generateFallbackKeyframes
+export function fallbackFrames(motion) {
+    const origin = motion.keyframes[0].position;
+    if (motion.timingMode === 'keyframes') {
+        if (!motion.fitted) return keyframePositions(motion.keyframes);
+        return sampleMotion(motion).map(s => ({ progress: s.progress, dx: s.dx, dy: s.dy }));
+    }
+
+    const stops = motion.timingMode === 'preset' ? motion.preset.stops : bezierStops(motion.bezier);
+    return pathFrames(stops, motion.segments, buildArcLengthTable(motion.segments), origin);
+}
+
+// 整个动画使用的缓动函数：预设编译得到的缓动，或贝塞尔缓动；关键帧节奏为 linear
+export function motionEasing(motion) {
+    if (motion.timingMode === 'preset') return motion.preset.easing;
+    if (motion.timingMode === 'keyframes') return 'linear';
+    return formatCubicBezier(motion.bezier);
+}
+
+// 补全播放设置，次数无效时按播放一次处理
+export function normalizePlayback(playback) {
+    const iterations = playback && playback.iterations;
+    return {
+        iterations: iterations === 'infinite' || (Number.isFinite(iterations) && iterations > 0) ? iterations : 1,
+        direction: (playback && playback.direction) || 'normal'
+    };
+}
+
+// animation 简写中的播放次数和方向，均为默认值时返回空字符串，例如 ' infinite alternate'
+export function formatPlayback(playback) {
+    const { iterations, direction } = normalizePlayback(playback);
+    return `${iterations !== 1 ? ` ${iterations}` : ''}${direction !== 'normal' ? ` ${direction}` : ''}`;
+}
+
+// 生成 animation 简写属性的值
+function formatAnimation(name, duration, timing, delay, playback) {
+    const options = `${delay ? ` ${delay}s` : ''}${formatPlayback(playback)}`;
+    return `${name} ${duration}s ${timing}${options} forwards`;
+}
+
+// 变换通道对应的CSS片段：offset-rotate 的值、追加到 animation 列表的动画和它的@keyframes
+// 通道按时间线性变化，作为与路径动画并列的第二个动画，不受路径缓动的影响；
+// 回退分支使用 channels.fallback（见 fallbackChannelFrames），名称与路径动画的通道不同时另外输出它的@keyframes
+function channelCSS(output, duration) {
+    const names = output.names || animationNames();
+    const channels = output.channels || { offsetRotate: '0deg', frames: [] };
+    const fallback = channels.fallback || { name: names.channels, frames: channels.frames };
+    const rotateComment = channels.offsetRotate === 'auto' ? '元素朝向运动方向' : '保持元素方向不变';
+    const animation = (name, frames) => frames.length > 0 ?
+        `, ${formatAnimation(name, duration, 'linear', output.delay || 0, output.playback)}` :
+        '';
+    const keyframes = (name, frames, indent) => frames.length > 0 ?
+        `${indent}/* 变换通道：缩放、不透明度、旋转 */\n${generateChannelKeyframes(frames, name, indent)}` :
+        '';
+
+    return {
+        offsetRotate: channels.offsetRotate,
+        rotateComment,
+        animation: animation(names.channels, channels.frames),
+        keyframes: keyframes(names.channels, channels.frames, ''),
+        fallbackAnimation: animation(fallback.name, fallback.frames),
+        fallbackKeyframes: fallback.name !== names.channels ? keyframes(fallback.name, fallback.frames, '  ') : ''
+    };
+}
+
+// 沿路径移动的完整CSS：元素规则和路径动画、变换通道，以及不支持 offset-path 时按 frames 逐帧移动的回退
+// motion: { pathKeyframes, easing, comment, fallbackComment }，pathKeyframes 为路径动画的 offset-distance @keyframes，
+//   easing 为路径动画整体的缓动，comment/fallbackComment 为路径动画和回退分支的说明
+// frames: 回退动画的关键帧 [{ progress, dx, dy }]（见 fallbackFrames），output 同 generateKeyframeCSS
+function pathMotionCSS(motion, duration, pathData, position, frames, output) {
+    const names = output.names || animationNames();
+    const delay = output.delay || 0;
+    const channels = channelCSS(output, duration);
+
+    return `${names.selector} {
+  /* 起始属性 */
+  position: fixed;
+  top: ${position.top};
+  left: ${position.left};
+
+  /* 元素居中调整：offset-anchor 把元素中心放在路径上，不再叠加 translate，
+     回退分支用 translate(-50%, -50%) 得到相同的位置 */
+  offset-anchor: center;
+
+  /* ${motion.comment} */
+  offset-path: path('${pathData}');
+  offset-rotate: ${channels.offsetRotate}; /* ${channels.rotateComment} */
+  animation: ${formatAnimation(names.path, duration, motion.easing, delay, output.playback)}${channels.animation};
+}
+
+${motion.pathKeyframes}${channels.keyframes ? `\n\n${channels.keyframes}` : ''}
+
+/* ${motion.fallbackComment} */
+@supports not (offset-path: path('')) {
+  ${names.selector} {
+    animation: ${formatAnimation(names.fallback, duration, 'linear', delay, output.playback)}${channels.fallbackAnimation};
+    transform: translate(-50%, -50%);
+    transform-origin: center center;
+  }
+
+${generateFallbackKeyframes(frames, position, names.fallback, '  ')}${channels.fallbackKeyframes ? `\n\n${channels.fallbackKeyframes}` : ''}
+}
+`;
+}
+
+// 分段拟合的缓动：写在关键帧中的 animation-timing-function，作用于到下一关键帧之间
+function segmentEasing(kf, indent) {
+    return kf.easing ? `\n${indent}animation-timing-function: ${formatCubicBezier(kf.easing)};` : '';
+}
+
+// 生成关键帧动画CSS
+// output: { names, delay, playback, channels, fallback }，names/delay/playback 见 createMotion 的同名选项，
+//   channels 为 { offsetRotate, frames, fallback }，frames 为 transformFrames 的结果，
+//   fallback 为回退分支的通道 { name, frames }（见 fallbackChannelFrames），省略时与 frames 相同，
+//   fallback 为回退动画的关键帧 [{ progress, dx, dy }]（见 fallbackFrames），默认使用 keyframes 的位置
+export function generateKeyframeCSS(keyframes, duration, pathData, position, output = {}) {
+    const names = output.names || animationNames();
+
+    // 生成offset-distance关键帧：时间进度对应该时刻沿路径已走过的弧长比例，保留记录时的速度变化
+    const frames = keyframes.map(kf => {
+        const percent = Math.round(kf.progress * 1000) / 10; // 提高精度
+        const distance = Math.round(kf.distance * 1000) / 10;
+        return `  ${percent}% {\n    offset-distance: ${distance}%;${segmentEasing(kf, '    ')}\n  }`;
+    }).join('\n');
+
+    return pathMotionCSS({
+        pathKeyframes: `@keyframes ${names.path} {\n${frames}\n}`,
+        easing: 'linear',
+        comment: '使用offset-path实现元素沿曲线移动',
+        fallbackComment: '兼容性回退：按关键帧在曲线上的位置逐帧移动'
+    }, duration, pathData, position, output.fallback || keyframePositions(keyframes), output);
+}
+
+// 关键帧在拟合曲线上的位置：[{ progress, dx, dy }]，dx/dy 相对于第一个关键帧
+function keyframePositions(keyframes) {
+    const first = keyframes[0].position;
+    return keyframes.map(kf => ({ progress: kf.progress, dx: kf.position.x - first.x, dy: kf.position.y - first.y }));
+}
+
+// 按时间采样的"路程-时间"曲线在每个采样点的位置：[{ progress, dx, dy }]，dx/dy 相对于路径起点 origin
+// stops: [{ progress, value }]，value 为路程比例，超出0~1的部分在路径的两端停住
+function pathFrames(stops, segments, arcTable, origin) {
+    return stops.map(stop => {
+        const distance = Math.max(0, Math.min(1, stop.value));
+        const loc = locationAtLength(arcTable, distance * arcTable.total);
+        const point = bezierPoint(segments[loc.segment], loc.t);
+        return { progress: stop.progress, dx: point.x - origin.x, dy: point.y - origin.y };
+    });
+}
+
+// 贝塞尔缓动按时间均匀采样的路程比例：[{ progress, value }]，用于生成沿曲线移动的回退关键帧
+function bezierStops(bezier) {
+    const stops = [];
+    for (let k = 0; k <= BEZIER_FALLBACK_SAMPLES; k++) {
+        const progress = k / BEZIER_FALLBACK_SAMPLES;
+        stops.push({ progress, value: cubicBezierEasing(bezier, progress) });
+    }
+    return stops;
+}
+
+// 生成节奏预设的CSS：offset-path 动画使用预设编译得到的缓动函数（linear() 或关键字），
+// 回退动画按同一组采样点生成 top/left 关键帧，因为不支持 offset-path 的浏览器通常也不支持 linear()
+// frames: [{ progress, dx, dy }]，dx/dy 为相对于路径起点的位置
+export function generatePresetCSS(easing, frames, duration, pathData, position, output = {}) {
+    return pathMotionCSS({
+        pathKeyframes: wholePathKeyframes(output),
+        easing,
+        comment: '使用offset-path实现元素沿曲线移动，节奏由预设的缓动函数决定',
+        fallbackComment: '兼容性回退：按预设的采样点逐帧移动'
+    }, duration, pathData, position, frames, output);
+}
+
+// 生成贝塞尔曲线CSS
+// offset-path 动画整体使用 cubic-bezier 缓动；回退动画与节奏预设相同，按缓动在曲线上的采样点逐帧移动，
+// frames: [{ progress, dx, dy }]，dx/dy 为相对于路径起点的位置
+export function generateBezierCSS(duration, pathData, bezier, position, frames, output = {}) {
+    return pathMotionCSS({
+        pathKeyframes: wholePathKeyframes(output),
+        easing: formatCubicBezier(bezier),
+        comment: '使用offset-path实现元素沿曲线移动',
+        fallbackComment: '兼容性回退：按缓动在曲线上的采样点逐帧移动'
+    }, duration, pathData, position, frames, output);
+}
+
+// 整体使用一个缓动函数时的路径动画：从路径起点到终点
+function wholePathKeyframes(output) {
+    const names = output.names || animationNames();
+    return `@keyframes ${names.path} {
+  0% {
+    offset-distance: 0%;
+  }
+  100% {
+    offset-distance: 100%;
+  }
+}`;
+}
+
+// 生成定位模式CSS代码，只输出定位属性，元素的尺寸和外观保持页面上原有的样式
+export function generatePositionCSS(position, selector = '.positioned-element') {
+    return `${selector} {
+  position: fixed;
+  top: ${position.top};
+  left: ${position.left};
+}`;
+}
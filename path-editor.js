@@ -0,0 +1,243 @@
+// 路径节点编辑 - 在 #debugPath 图层上显示拟合曲线的锚点和控制柄，支持拖动、插入和删除节点
+//
+// 路径用 { segments, locations } 表示（同 fitCurve 的返回值），locations 记录每个采样点在哪一段、参数 t 是多少。
+// 编辑只改变曲线的形状，关键帧的时间不变；插入和删除节点时同步换算 locations，
+// 使未改动的曲线段上的关键帧仍然落在原来的位置。
+
+import { splitBezier, nearestLocation } from './curve-fit.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 在第 segmentIndex 段的参数 t 处插入一个锚点
+export function insertAnchor(path, segmentIndex, t) {
+    const [first, second] = splitBezier(path.segments[segmentIndex], t);
+    const segments = [
+        ...path.segments.slice(0, segmentIndex),
+        first,
+        second,
+        ...path.segments.slice(segmentIndex + 1)
+    ];
+
+    const locations = path.locations.map(loc => {
+        if (loc.segment < segmentIndex) return loc;
+        if (loc.segment > segmentIndex) return { segment: loc.segment + 1, t: loc.t };
+        return loc.t < t ?
+            { segment: segmentIndex, t: loc.t / t } :
+            { segment: segmentIndex + 1, t: (loc.t - t) / (1 - t) };
+    });
+
+    return { segments, locations };
+}
+
+// 删除第 anchorIndex 个锚点（首尾锚点不可删除），把两侧的曲线段合并为一段
+export function removeAnchor(path, anchorIndex) {
+    if (anchorIndex <= 0 || anchorIndex >= path.segments.length) return path;
+
+    const a = path.segments[anchorIndex - 1];
+    const b = path.segments[anchorIndex];
+
+    // 沿原控制柄方向延长，使合并后的曲线大致保持两段的走势
+    const merged = {
+        p0: a.p0,
+        p1: { x: a.p0.x + (a.p1.x - a.p0.x) * 2, y: a.p0.y + (a.p1.y - a.p0.y) * 2 },
+        p2: { x: b.p3.x + (b.p2.x - b.p3.x) * 2, y: b.p3.y + (b.p2.y - b.p3.y) * 2 },
+        p3: b.p3
+    };
+
+    const segments = [
+        ...path.segments.slice(0, anchorIndex - 1),
+        merged,
+        ...path.segments.slice(anchorIndex + 1)
+    ];
+
+    const locations = path.locations.map(loc => {
+        if (loc.segment < anchorIndex - 1) return loc;
+        if (loc.segment > anchorIndex) return { segment: loc.segment - 1, t: loc.t };
+        return loc.segment === anchorIndex - 1 ?
+            { segment: anchorIndex - 1, t: loc.t / 2 } :
+            { segment: anchorIndex - 1, t: 0.5 + loc.t / 2 };
+    });
+
+    return { segments, locations };
+}
+
+// 移动第 anchorIndex 个锚点，相邻的控制柄跟随平移
+export function moveAnchor(path, anchorIndex, point) {
+    const segments = path.segments.map(seg => ({ ...seg }));
+    const before = segments[anchorIndex - 1];
+    const after = segments[anchorIndex];
+    const current = after ? after.p0 : before.p3;
+    const dx = point.x - current.x;
+    const dy = point.y - current.y;
+
+    if (before) {
+        before.p3 = { x: point.x, y: point.y };
+        before.p2 = { x: before.p2.x + dx, y: before.p2.y + dy };
+    }
+    if (after) {
+        after.p0 = { x: point.x, y: point.y };
+        after.p1 = { x: after.p1.x + dx, y: after.p1.y + dy };
+    }
+
+    return { segments, locations: path.locations };
+}
+
+// 移动第 segmentIndex 段的控制点（which 为 1 或 2）
+export function moveHandle(path, segmentIndex, which, point) {
+    const segments = path.segments.map((seg, i) => i === segmentIndex ?
+        { ...seg, [`p${which}`]: { x: point.x, y: point.y } } :
+        seg);
+
+    return { segments, locations: path.locations };
+}
+
+// 路径编辑器图层
+// onChange(path, final): 路径被修改时调用，final 为 true 表示一次拖动或插入/删除已完成
+export function createPathEditor({ svg, onChange }) {
+    const layer = createSvg('g', { class: 'path-editor' });
+    layer.style.display = 'none';
+    svg.appendChild(layer);
+
+    let path = null;
+    let nodes = null;
+
+    // 显示路径的节点
+    function show(nextPath) {
+        path = nextPath;
+        build();
+        layer.style.display = '';
+    }
+
+    function hide() {
+        path = null;
+        nodes = null;
+        layer.innerHTML = '';
+        layer.style.display = 'none';
+    }
+
+    // 节点数量变化时重新创建全部节点
+    function build() {
+        layer.innerHTML = '';
+
+        const curve = createSvg('path', { class: 'path-editor-curve' });
+        curve.addEventListener('dblclick', (e) => {
+            const loc = nearestLocation(path.segments, toLocal(e));
+            if (loc.t <= 0.01 || loc.t >= 0.99) return;
+            commit(insertAnchor(path, loc.segment, loc.t));
+        });
+        layer.appendChild(curve);
+
+        nodes = { curve, arms: [], handles: [], anchors: [] };
+
+        path.segments.forEach((seg, i) => {
+            [1, 2].forEach(which => {
+                const arm = createSvg('line', { class: 'path-editor-arm' });
+                const handle = createSvg('circle', { class: 'path-editor-handle', r: 4 });
+                bindDrag(handle, (point) => moveHandle(path, i, which, point));
+                nodes.arms.push(arm);
+                nodes.handles.push(handle);
+                layer.appendChild(arm);
+            });
+        });
+
+        // 控制柄画在连线之上，锚点画在最上层
+        nodes.handles.forEach(handle => layer.appendChild(handle));
+
+        for (let i = 0; i <= path.segments.length; i++) {
+            const anchor = createSvg('rect', { class: 'path-editor-anchor', width: 8, height: 8 });
+            anchor.dataset.index = i;
+            bindDrag(anchor, (point) => moveAnchor(path, i, point));
+            anchor.addEventListener('dblclick', (e) => {
+                e.stopPropagation();
+                if (i > 0 && i < path.segments.length) {
+                    commit(removeAnchor(path, i));
+                }
+            });
+            nodes.anchors.push(anchor);
+            layer.appendChild(anchor);
+        }
+
+        refresh();
+    }
+
+    // 只更新节点坐标，拖动过程中保持同一组DOM节点
+    function refresh() {
+        const segments = path.segments;
+        const d = segments.map((seg, i) =>
+            `${i === 0 ? `M ${seg.p0.x} ${seg.p0.y} ` : ''}C ${seg.p1.x} ${seg.p1.y}, ${seg.p2.x} ${seg.p2.y}, ${seg.p3.x} ${seg.p3.y}`
+        ).join(' ');
+        nodes.curve.setAttribute('d', d);
+
+        segments.forEach((seg, i) => {
+            setLine(nodes.arms[i * 2], seg.p0, seg.p1);
+            setLine(nodes.arms[i * 2 + 1], seg.p3, seg.p2);
+            setAttrs(nodes.handles[i * 2], { cx: seg.p1.x, cy: seg.p1.y });
+            setAttrs(nodes.handles[i * 2 + 1], { cx: seg.p2.x, cy: seg.p2.y });
+        });
+
+        nodes.anchors.forEach((anchor, i) => {
+            const p = i < segments.length ? segments[i].p0 : segments[segments.length - 1].p3;
+            setAttrs(anchor, { x: p.x - 4, y: p.y - 4 });
+        });
+    }
+
+    // 拖动节点，update(point) 返回修改后的路径
+    function bindDrag(node, update) {
+        node.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            e.stopPropagation();
+            node.setPointerCapture(e.pointerId);
+
+            let moved = false;
+
+            const move = (ev) => {
+                moved = true;
+                path = update(toLocal(ev));
+                refresh();
+                onChange(path, false);
+            };
+
+            const up = () => {
+                node.removeEventListener('pointermove', move);
+                node.removeEventListener('pointerup', up);
+                node.removeEventListener('pointercancel', up);
+                if (moved) {
+                    onChange(path, true);
+                }
+            };
+
+            node.addEventListener('pointermove', move);
+            node.addEventListener('pointerup', up);
+            node.addEventListener('pointercancel', up);
+        });
+    }
+
+    // 插入或删除节点后重建图层并提交
+    function commit(nextPath) {
+        path = nextPath;
+        build();
+        onChange(path, true);
+    }
+
+    // #debugPath 铺满视口，指针坐标即为路径坐标
+    function toLocal(e) {
+        return { x: e.clientX, y: e.clientY };
+    }
+
+    return { show, hide };
+}
+
+function setLine(line, a, b) {
+    setAttrs(line, { x1: a.x, y1: a.y, x2: b.x, y2: b.y });
+}
+
+function createSvg(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    setAttrs(el, attrs);
+    return el;
+}
+
+function setAttrs(el, attrs) {
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+}
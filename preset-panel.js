@@ -0,0 +1,62 @@
+// 节奏预设面板 - 选择当前元素使用的预设并修改预设的参数
+// 只在节奏编辑面板切换到“节奏预设”时显示
+
+import { PRESETS, normalizePreset } from './presets.js';
+
+// onChange(preset): 预设或参数被修改时调用，preset 为 { id, params }
+export function createPresetPanel({ presetSelect, paramsContainer, onChange }) {
+    let preset = null;
+
+    PRESETS.forEach(definition => {
+        const option = document.createElement('option');
+        option.value = definition.id;
+        option.textContent = definition.label;
+        presetSelect.appendChild(option);
+    });
+
+    // 切换预设时参数恢复默认值
+    presetSelect.addEventListener('change', () => {
+        onChange({ id: presetSelect.value, params: {} });
+    });
+
+    // 显示某个元素的预设设置
+    function render(track) {
+        const timing = (track && track.timing) || {};
+        const next = normalizePreset(timing.preset);
+        const definition = PRESETS.find(p => p.id === next.id);
+
+        presetSelect.value = next.id;
+
+        // 预设和参数都没变时保留输入框，避免打断正在进行的输入
+        if (preset && JSON.stringify(preset) === JSON.stringify(next)) return;
+        preset = next;
+
+        paramsContainer.innerHTML = '';
+        definition.params.forEach(param => {
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = param.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = preset.params[param.name];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < param.min || value > param.max) {
+                    input.value = preset.params[param.name];
+                    return;
+                }
+                onChange({ id: preset.id, params: { ...preset.params, [param.name]: value } });
+            });
+
+            label.appendChild(name);
+            label.appendChild(input);
+            paramsContainer.appendChild(label);
+        });
+    }
+
+    return { render };
+}
@@ -0,0 +1,189 @@
+// 节奏预设 - 保留绘制的路径形状，用标准的运动手感代替记录的节奏
+//
+// 预设设置（元素节奏设置中的 preset 字段）：{ id, params }，params 为该预设的参数，缺省的参数取默认值
+// 预设编译为按时间采样的"路程-时间"曲线：CSS 中输出为 linear() 缓动函数（ease-in-out 直接用关键字），
+// 无法使用 linear() 的场合（SVG、预览、不支持 offset-path 的回退）按同一组采样点生成关键帧。
+// 路径是开放的，回弹、弹簧等超出终点的部分在终点处停住（offset-distance 不会超过100%）。
+
+import { evaluateEasing } from './easing-fit.js';
+
+// 预设列表，顺序即选择框中的顺序
+// params: [{ name, label, min, max, step, value }]，value 为默认值
+export const PRESETS = [
+    { id: 'ease-in-out', label: '缓入缓出', params: [] },
+    { id: 'overshoot', label: '回弹', params: [
+        { name: 'amount', label: '回弹幅度', min: 0, max: 5, step: 0.1, value: 1.7 }
+    ] },
+    { id: 'bounce', label: '弹跳', params: [] },
+    { id: 'spring', label: '弹簧', params: [
+        { name: 'stiffness', label: '刚度', min: 1, max: 1000, step: 10, value: 100 },
+        { name: 'damping', label: '阻尼', min: 0, max: 100, step: 1, value: 10 },
+        { name: 'mass', label: '质量', min: 0.1, max: 10, step: 0.1, value: 1 }
+    ] },
+    { id: 'decay', label: '衰减', params: [
+        { name: 'rate', label: '衰减速度', min: 0.5, max: 20, step: 0.5, value: 5 }
+    ] }
+];
+
+export const DEFAULT_PRESET = { id: 'ease-in-out', params: {} };
+
+// 采样数，编译 linear() 时再去掉可以由相邻两点插值得到的采样点
+const SAMPLE_COUNT = 120;
+const LINEAR_TOLERANCE = 0.002;
+
+// 补全预设的参数，未知的预设时抛出错误
+export function normalizePreset(preset) {
+    const id = (preset && preset.id) || DEFAULT_PRESET.id;
+    const definition = PRESETS.find(p => p.id === id);
+    if (!definition) {
+        throw new Error(`未知的节奏预设：${id}`);
+    }
+
+    const params = {};
+    definition.params.forEach(param => {
+        const value = preset && preset.params ? parseFloat(preset.params[param.name]) : NaN;
+        params[param.name] = Number.isFinite(value) ? value : param.value;
+    });
+    return { id, params };
+}
+
+// 编译预设：{ id, params, easing, stops }
+// easing 为 CSS 缓动函数，stops 为 [{ progress, value }]，value 为路程比例（可能超出0~1）
+export function compilePreset(preset) {
+    const { id, params } = normalizePreset(preset);
+    const curve = presetCurve(id, params);
+
+    const samples = [];
+    for (let k = 0; k <= SAMPLE_COUNT; k++) {
+        const progress = k / SAMPLE_COUNT;
+        samples.push({ progress, value: k === SAMPLE_COUNT ? 1 : curve(progress) });
+    }
+    const stops = simplifyStops(samples, LINEAR_TOLERANCE);
+
+    return {
+        id,
+        params,
+        easing: id === 'ease-in-out' ? 'ease-in-out' : formatLinearEasing(stops),
+        stops
+    };
+}
+
+// 预设在时间进度 progress 处的路程比例，按编译后的采样点线性插值，与 linear() 的效果一致
+export function presetValue(compiled, progress) {
+    const stops = compiled.stops;
+    if (progress <= 0) return stops[0].value;
+
+    for (let i = 1; i < stops.length; i++) {
+        const b = stops[i];
+        if (progress <= b.progress) {
+            const a = stops[i - 1];
+            const span = b.progress - a.progress;
+            return a.value + (b.value - a.value) * (span > 0 ? (progress - a.progress) / span : 1);
+        }
+    }
+
+    return stops[stops.length - 1].value;
+}
+
+// linear() 缓动函数，例如 linear(0, 0.42 20%, 1)
+export function formatLinearEasing(stops) {
+    const round = (value, factor) => Math.round(value * factor) / factor;
+    const parts = stops.map((stop, i) => {
+        const value = round(stop.value, 10000);
+        return i === 0 || i === stops.length - 1 ? `${value}` : `${value} ${round(stop.progress * 100, 100)}%`;
+    });
+    return `linear(${parts.join(', ')})`;
+}
+
+// 各预设的"路程-时间"函数，输入和输出都以0~1为主
+function presetCurve(id, params) {
+    switch (id) {
+        case 'ease-in-out':
+            return (t) => evaluateEasing({ x1: 0.42, y1: 0, x2: 0.58, y2: 1 }, t);
+        case 'overshoot': {
+            // 即 easeOutBack，amount 越大超出终点越多
+            const c1 = params.amount;
+            const c3 = c1 + 1;
+            return (t) => 1 + c3 * Math.pow(t - 1, 3) + c1 * Math.pow(t - 1, 2);
+        }
+        case 'bounce':
+            return bounceOut;
+        case 'spring':
+            return springCurve(params);
+        case 'decay': {
+            // 指数衰减：初速度最大，之后按 e^(-rate·t) 减慢，末尾归一到终点
+            const total = 1 - Math.exp(-params.rate);
+            return (t) => (1 - Math.exp(-params.rate * t)) / total;
+        }
+        default:
+            throw new Error(`未知的节奏预设：${id}`);
+    }
+}
+
+// 即 easeOutBounce：落到终点后弹起三次，每次高度减小
+function bounceOut(t) {
+    const n1 = 7.5625;
+    const d1 = 2.75;
+    if (t < 1 / d1) return n1 * t * t;
+    if (t < 2 / d1) return n1 * (t -= 1.5 / d1) * t + 0.75;
+    if (t < 2.5 / d1) return n1 * (t -= 2.25 / d1) * t + 0.9375;
+    return n1 * (t -= 2.625 / d1) * t + 0.984375;
+}
+
+// 阻尼弹簧从0拉向1，初速度为0：m·x'' = -k·(x - 1) - c·x'
+// 按物理时间模拟到静止（偏差和速度都足够小），动画的时间进度对应整段模拟时间
+function springCurve({ stiffness, damping, mass }) {
+    const dt = 1 / 1000;
+    const maxSteps = 20000;
+    const positions = [0];
+    let x = 0;
+    let v = 0;
+    let settled = 0;
+
+    for (let step = 1; step <= maxSteps; step++) {
+        const a = (-stiffness * (x - 1) - damping * v) / Math.max(mass, 0.001);
+        v += a * dt;
+        x += v * dt;
+        positions.push(x);
+        if (Math.abs(x - 1) > 0.001 || Math.abs(v) > 0.01) {
+            settled = step;
+        }
+    }
+
+    const end = Math.max(1, settled);
+    return (t) => {
+        const position = t * end;
+        const i = Math.min(end - 1, Math.floor(position));
+        return positions[i] + (positions[i + 1] - positions[i]) * (position - i);
+    };
+}
+
+// 去掉可以由前后保留点线性插值得到的采样点（误差不超过 tolerance），首尾始终保留
+function simplifyStops(samples, tolerance) {
+    const keep = new Array(samples.length).fill(false);
+    keep[0] = keep[samples.length - 1] = true;
+
+    const stack = [[0, samples.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const a = samples[first];
+        const b = samples[last];
+        let maxError = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const s = samples[i];
+            const expected = a.value + (b.value - a.value) * (s.progress - a.progress) / (b.progress - a.progress);
+            const error = Math.abs(s.value - expected);
+            if (error > maxError) {
+                maxError = error;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxError > tolerance) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return samples.filter((_, i) => keep[i]);
+}
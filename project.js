@@ -0,0 +1,125 @@
+// 项目文件 - 把舞台上的元素、轨迹和设置保存为带版本号的JSON文档，并从文档恢复
+//
+// 文档结构（version 1）：
+// {
+//   format: 'animdraw-project',
+//   version: 1,
+//   savedAt: ISO时间字符串,
+//   settings: { mode: 'path' | 'position', tolerance, background, smoothing, playback, snapping },
+//             background 为舞台背景的HTML，smoothing 为手势平滑设置（见 smoothing.js），
+//             playback 为循环次数和播放方向 { iterations, direction }，
+//             snapping 为网格和吸附设置（见 snapping.js），均可省略
+//   activeId: 当前选中元素的id,
+//   elements: [{
+//     id, name, delay, placed,
+//     position: { top, left }, size: { width, height },
+//     points: [{ time, x, y, pressure, tiltX, tiltY }],   原始轨迹点
+//     timing: 手动调整的节奏（见 createMotion 的 options.timing）,
+//     channels: 缩放、不透明度、旋转等变换通道的设置（见 channels.js），可省略,
+//     path: 手动编辑过的路径 { segments, locations }，未编辑时为 null,
+//     shape: 生成路径的几何图形 { id, params, duration, easing, origin }（见 shapes.js），手绘的路径为 null,
+//     stops: 定位模式的停靠点 [{ position, hold, duration, easing }]（见 sequence.js），可省略,
+//     target: 背景页面中的目标元素 { selector, width, height }，使用默认元素时为 null,
+//     keyframes: [{ progress, distance, x, y }]            导出时的关键帧，仅供外部读取，打开项目时会重新计算
+//   }]
+// }
+
+export const PROJECT_FORMAT = 'animdraw-project';
+export const PROJECT_VERSION = 1;
+
+// localStorage 中自动保存的键名
+export const AUTOSAVE_KEY = 'animdraw:autosave';
+
+// 旧版本文档的迁移函数，键为旧版本号，返回升级一个版本后的文档
+// 以后修改文档结构时增加 PROJECT_VERSION，并在这里添加从上一版本升级的函数，例如：
+//   1: (doc) => ({ ...doc, version: 2, elements: doc.elements.map(...) })
+const MIGRATIONS = {};
+
+// 生成项目文档
+// elements: [{ id, name, delay, placed, position, size, points, timing, channels, pathEdit, shape, stops, target, motion }]
+export function serializeProject({ elements, activeId, isPathMode, tolerance, background, smoothing, playback, snapping }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        settings: {
+            mode: isPathMode ? 'path' : 'position',
+            tolerance,
+            background: background || '',
+            smoothing: smoothing || null,
+            playback: playback || null,
+            snapping: snapping || null
+        },
+        activeId,
+        elements: elements.map(el => ({
+            id: el.id,
+            name: el.name,
+            delay: el.delay,
+            placed: el.placed,
+            position: el.position,
+            size: el.size,
+            points: el.points,
+            timing: el.timing,
+            channels: el.channels || {},
+            path: el.pathEdit || null,
+            shape: el.shape || null,
+            stops: el.stops || [],
+            target: el.target || null,
+            keyframes: el.motion ? el.motion.keyframes.map(kf => ({
+                progress: kf.progress,
+                distance: kf.distance,
+                x: kf.position.x,
+                y: kf.position.y
+            })) : []
+        }))
+    };
+}
+
+// 解析项目文档（JSON字符串或对象），必要时迁移到当前版本
+// 文档无效时抛出错误，错误信息可直接显示给用户
+export function parseProject(input) {
+    let doc = input;
+    if (typeof input === 'string') {
+        try {
+            doc = JSON.parse(input);
+        } catch (err) {
+            throw new Error('项目文件不是有效的JSON');
+        }
+    }
+
+    if (!doc || doc.format !== PROJECT_FORMAT || typeof doc.version !== 'number') {
+        throw new Error('不是AnimDraw项目文件');
+    }
+
+    doc = migrateProject(doc);
+
+    if (!Array.isArray(doc.elements) || doc.elements.length === 0) {
+        throw new Error('项目中没有元素');
+    }
+
+    doc.elements.forEach(el => {
+        if (typeof el.id !== 'number' || !Array.isArray(el.points) || !el.position) {
+            throw new Error('项目文件中的元素数据不完整');
+        }
+    });
+
+    return doc;
+}
+
+// 逐个版本执行迁移函数，直到文档升级到当前版本
+export function migrateProject(doc) {
+    if (doc.version > PROJECT_VERSION) {
+        throw new Error(`项目文件版本 ${doc.version} 高于当前支持的版本 ${PROJECT_VERSION}，请更新AnimDraw`);
+    }
+
+    let current = doc;
+    while (current.version < PROJECT_VERSION) {
+        const migrate = MIGRATIONS[current.version];
+        if (!migrate) {
+            throw new Error(`无法升级版本 ${current.version} 的项目文件`);
+        }
+        current = migrate(current);
+    }
+
+    return current;
+}
@@ -0,0 +1,137 @@
+// 相对坐标导出 - 把舞台上的像素坐标换算为相对于容器的单位，使动画随容器尺寸缩放
+//
+// 舞台（绘制时的视口）被看作容器，参考尺寸 reference 为舞台的宽高：
+//   %        相对于最近的定位祖先元素，元素使用 position: absolute
+//   vw / vh  相对于视口，元素使用 position: fixed
+//   cqw/cqh  相对于最近的尺寸查询容器（container-type: size），元素使用 position: absolute
+// offset-path 的 path() 只能使用像素，无法随容器缩放，因此相对坐标下改为沿路径采样的 top/left 关键帧，
+// 变换通道合并在同一组关键帧中，朝向运动方向时方向角计入 rotate。
+
+import { sampleMotion, sampleChannels, formatPlayback } from './motion-core.js';
+import { formatChannel } from './channels.js';
+import { describeTrack } from './timeline.js';
+
+// 可选的坐标单位，顺序即选择框中的顺序
+export const COORDINATE_UNITS = [
+    { id: 'px', label: '像素 (px)' },
+    { id: '%', label: '百分比 (%)' },
+    { id: 'vw', label: '视口 (vw / vh)' },
+    { id: 'cq', label: '容器查询 (cqw / cqh)' }
+];
+
+const LAYOUTS = {
+    px: { position: 'fixed', x: 'px', y: 'px', note: '' },
+    '%': { position: 'absolute', x: '%', y: '%', note: '容器需要设置 position: relative' },
+    vw: { position: 'fixed', x: 'vw', y: 'vh', note: '' },
+    cq: { position: 'absolute', x: 'cqw', y: 'cqh', note: '容器需要设置 container-type: size 和 position: relative' }
+};
+
+// 创建坐标换算：{ unit, position, note, x(px), y(px) }，x/y 返回带单位的CSS长度
+// reference: 参考尺寸 { width, height }（像素）
+export function createLayout(unit = 'px', reference = { width: 1, height: 1 }) {
+    const layout = LAYOUTS[unit];
+    if (!layout) {
+        throw new Error(`未知的坐标单位：${unit}`);
+    }
+
+    const convert = (value, size, suffix) => unit === 'px' ?
+        `${round(value)}px` :
+        `${round(value / size * 100, 3)}${suffix}`;
+
+    return {
+        unit,
+        position: layout.position,
+        note: layout.note,
+        x: (value) => convert(value, reference.width, layout.x),
+        y: (value) => convert(value, reference.height, layout.y)
+    };
+}
+
+// 生成相对坐标的CSS，tracks 格式同 generateTimelineCSS
+// options: { unit, reference }
+export function generateResponsiveCSS(tracks, options) {
+    const layout = createLayout(options.unit, options.reference);
+    const { width, height } = options.reference;
+    const header = `/* 坐标相对于容器，参考尺寸 ${round(width)}×${round(height)}px${layout.note ? `；${layout.note}` : ''} */`;
+
+    const rules = tracks.map(track => {
+        let css;
+        if (track.motion) {
+            css = responsiveMotionCSS(track, layout);
+        } else if (track.sequence) {
+            css = responsiveSequenceCSS(track, layout);
+        } else {
+            css = responsivePositionCSS(track, layout);
+        }
+        return `/* ${describeTrack(track)} */\n${css}`;
+    });
+
+    return [header, ...rules].join('\n\n');
+}
+
+// 有路径的元素：元素中心沿采样点移动，translate(-50%, -50%) 使 top/left 对应元素中心
+// 与像素坐标的导出相同，路径从元素的起始位置出发，采样点按相对于路径起点的偏移换算
+function responsiveMotionCSS(track, layout) {
+    const motion = track.motion;
+    const names = track.names;
+    const top = parseFloat(track.position.top);
+    const left = parseFloat(track.position.left);
+    const samples = sampleMotion(motion);
+    const delay = track.delay ? ` ${track.delay}s` : '';
+
+    const frames = samples.map(s => {
+        const channels = sampleChannels(motion, s);
+        const declarations = [`top: ${layout.y(top + s.dy)};`, `left: ${layout.x(left + s.dx)};`,
+            ...Object.keys(channels).map(name => `${name}: ${formatChannel(name, channels[name])};`)];
+        return `  ${round(s.progress * 100, 2)}% {\n${declarations.map(d => `    ${d}`).join('\n')}\n  }`;
+    }).join('\n');
+
+    return `${names.selector} {
+  position: ${layout.position};
+  top: ${layout.y(top)};
+  left: ${layout.x(left)};
+  transform: translate(-50%, -50%);
+  animation: ${names.fallback} ${motion.duration}s linear${delay}${formatPlayback(motion.playback)} forwards;
+}
+
+@keyframes ${names.fallback} {
+${frames}
+}`;
+}
+
+// 定位序列：停靠点之间的 top/left 关键帧，与定位的元素一样 top/left 为元素左上角
+function responsiveSequenceCSS(track, layout) {
+    const sequence = track.sequence;
+    const first = sequence.frames[0];
+    const delay = track.delay ? ` ${track.delay}s` : '';
+
+    const frames = sequence.frames.map(f => {
+        const easing = f.easing ? `\n    animation-timing-function: ${f.easing};` : '';
+        return `  ${round(f.progress * 100, 2)}% {\n    top: ${layout.y(f.top)};\n    left: ${layout.x(f.left)};${easing}\n  }`;
+    }).join('\n');
+
+    return `${track.names.positioned} {
+  position: ${layout.position};
+  top: ${layout.y(first.top)};
+  left: ${layout.x(first.left)};
+  animation: ${track.names.sequence} ${sequence.duration}s linear${delay}${formatPlayback(sequence.playback)} forwards;
+}
+
+@keyframes ${track.names.sequence} {
+${frames}
+}`;
+}
+
+// 定位的元素：top/left 为元素左上角
+function responsivePositionCSS(track, layout) {
+    return `${track.names.positioned} {
+  position: ${layout.position};
+  top: ${layout.y(parseFloat(track.position.top))};
+  left: ${layout.x(parseFloat(track.position.left))};
+}`;
+}
+
+function round(value, digits = 2) {
+    const factor = Math.pow(10, digits);
+    return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,144 @@
+// 重新定时 - 保留路径形状，按"路程-时间"的采样重新生成沿路径移动的轨迹点
+//
+// 进度采样：[{ time, progress }]，time 为毫秒，progress 为沿路径走过的弧长占总长的比例（0~1）
+// 生成的轨迹点和曲线段（作为编辑过的路径）交给 createMotion，速度分析和关键帧提取与手绘路径相同。
+// 用于几何图形、导入的SVG路径，以及用手势的节奏代替原来的节奏。
+//
+// 重新定时的手势只记录一维的进度：沿路径拖动时取指针在路径上最近的位置，按住按键时元素沿路径加速前进、
+// 松开后减速停下。手势结束的位置视为路径的终点，进度按比例拉伸到0~1。
+
+import { bezierPoint, buildArcLengthTable, locationAtLength } from './curve-fit.js';
+import { filterPoints, getDistance } from './motion-core.js';
+
+// 拖动时在上一个位置前后多远的弧长（像素）内查找最近的位置，避免路径自身交叉或首尾重合时跳到另一段
+const FOLLOW_WINDOW = 40;
+
+// 按住按键时的最高速度、加速度和松开后的减速度（以路径全长为单位，每秒）
+const HOLD_MAX_SPEED = 0.8;
+const HOLD_ACCELERATION = 3;
+const HOLD_DECELERATION = 4;
+
+// 轨迹点之间的最大弧长（像素）和轨迹点数的上限，路径很长时按上限放宽间距
+const SAMPLE_SPACING = 5;
+const MAX_SAMPLES = 400;
+
+// 沿路径按进度采样生成轨迹点：{ segments, locations, points }
+// segments/locations 的格式同 fitCurve 的返回值，可以直接作为 createMotion 的 options.path
+// 相邻两个进度采样之间走过的路程较长时，按时间线性插入中间的点，使轨迹点贴合曲线
+export function pathPoints(segments, samples) {
+    const table = buildArcLengthTable(segments);
+    if (table.total < SAMPLE_SPACING * 2) {
+        throw new Error('路径太短，无法生成动画');
+    }
+    if (!samples || samples.length < 2) {
+        throw new Error('至少需要两个进度采样');
+    }
+
+    const spacing = Math.max(SAMPLE_SPACING, table.total / MAX_SAMPLES);
+    const clamp = (progress) => Math.max(0, Math.min(1, progress));
+    const dense = [samples[0]];
+    for (let i = 1; i < samples.length; i++) {
+        const a = samples[i - 1];
+        const b = samples[i];
+        const steps = Math.ceil(Math.abs(clamp(b.progress) - clamp(a.progress)) * table.total / spacing);
+        for (let k = 1; k < steps; k++) {
+            const f = k / steps;
+            dense.push({ time: a.time + (b.time - a.time) * f, progress: a.progress + (b.progress - a.progress) * f });
+        }
+        dense.push(b);
+    }
+
+    // 按与 createMotion 相同的规则去掉过近的点，使 locations 与过滤后的点一一对应
+    const start = dense[0].time;
+    const located = dense.map(sample => {
+        const location = locationAtLength(table, clamp(sample.progress) * table.total);
+        const point = bezierPoint(segments[location.segment], location.t);
+        return { time: sample.time - start, x: point.x, y: point.y, pressure: 0.5, tiltX: 0, tiltY: 0, location };
+    });
+    const points = filterPoints(located);
+    if (points.length < 3) {
+        throw new Error('路径太短，无法生成动画');
+    }
+
+    return {
+        segments,
+        locations: points.map(p => p.location),
+        points: points.map(({ location, ...point }) => point)
+    };
+}
+
+// 记录的手势轨迹对应的进度采样：按手势走过的路程占总路程的比例，只保留手势的节奏，不保留形状
+export function gestureProgress(points) {
+    if (!points || points.length < 2) {
+        throw new Error('手势太短，无法提取节奏');
+    }
+
+    const lengths = [0];
+    for (let i = 1; i < points.length; i++) {
+        lengths.push(lengths[i - 1] + getDistance(points[i - 1], points[i]));
+    }
+    const total = lengths[lengths.length - 1];
+    if (total === 0) {
+        throw new Error('手势没有移动，无法提取节奏');
+    }
+
+    const start = points[0].time;
+    return points.map((point, i) => ({ time: point.time - start, progress: lengths[i] / total }));
+}
+
+// 沿路径拖动的进度跟踪：follow(point) 返回指针对应的进度（0~1），只在上一个位置附近查找，
+// 查找范围随两次之间指针移动的距离扩大，从路径起点开始
+export function createPathFollower(segments) {
+    const table = buildArcLengthTable(segments);
+    const count = Math.max(2, Math.min(2000, Math.ceil(table.total / 2)));
+    const samples = [];
+    for (let k = 0; k <= count; k++) {
+        const location = locationAtLength(table, table.total * k / count);
+        samples.push(bezierPoint(segments[location.segment], location.t));
+    }
+
+    let index = 0;
+    let last = null;
+
+    function follow(point) {
+        const moved = last ? getDistance(point, last) : 0;
+        const reach = Math.ceil((FOLLOW_WINDOW + moved * 2) / Math.max(table.total / count, 0.001));
+        let best = index;
+        for (let k = Math.max(0, index - reach); k <= Math.min(count, index + reach); k++) {
+            if (getDistance(samples[k], point) < getDistance(samples[best], point)) best = k;
+        }
+        index = best;
+        last = point;
+        return index / count;
+    }
+
+    return { follow, pointAt: (progress) => samples[Math.round(Math.max(0, Math.min(1, progress)) * count)] };
+}
+
+// 按住按键时前进一步：state 为 { progress, speed }，held 为按键是否按住，dt 为经过的时间（秒），返回新的 state
+export function holdStep(state, held, dt) {
+    const speed = held ?
+        Math.min(HOLD_MAX_SPEED, state.speed + HOLD_ACCELERATION * dt) :
+        Math.max(0, state.speed - HOLD_DECELERATION * dt);
+    return { progress: Math.min(1, state.progress + (state.speed + speed) / 2 * dt), speed };
+}
+
+// 整理重新定时的手势：去掉开始移动之前和到达最终位置之后的等待，进度按最终位置拉伸到0~1
+// samples: [{ time, progress }]，返回新的数组；手势没有沿路径前进时抛出错误
+export function normalizeGesture(samples) {
+    const end = samples.length > 0 ? samples[samples.length - 1].progress : 0;
+    if (end <= 0) {
+        throw new Error('手势没有沿路径前进，请从路径起点开始沿路径拖动');
+    }
+
+    let first = 0;
+    while (first < samples.length - 1 && samples[first + 1].progress <= 0) first++;
+    let last = samples.length - 1;
+    while (last > first && samples[last - 1].progress === end) last--;
+
+    const kept = samples.slice(first, last + 1);
+    if (kept.length < 2 || kept[kept.length - 1].time <= kept[0].time) {
+        throw new Error('手势太短，无法提取节奏');
+    }
+    return kept.map(sample => ({ time: sample.time - kept[0].time, progress: sample.progress / end }));
+}
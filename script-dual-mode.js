@@ -1,3 +1,29 @@
+import { createMotion, transformFrames, sampleMotion, filterPoints } from './motion-core.js';
+import { recordRotation, formatChannel } from './channels.js';
+import { targetNames } from './timeline.js';
+import { EXPORT_FORMATS, generateExport } from './exporters.js';
+import { COORDINATE_UNITS } from './responsive.js';
+import { createElementsPanel } from './elements-panel.js';
+import { createTimingPanel } from './timing-panel.js';
+import { createChannelPanel } from './channel-panel.js';
+import { createPresetPanel } from './preset-panel.js';
+import { createSequencePanel } from './sequence-panel.js';
+import { createSequence } from './sequence.js';
+import { createShapePanel } from './shape-panel.js';
+import { createShape } from './shapes.js';
+import { createImportPanel } from './import-panel.js';
+import { placeSegments } from './svg-import.js';
+import { importKeyframes } from './keyframes-import.js';
+import { pathPoints, gestureProgress, createPathFollower, holdStep, normalizeGesture } from './retime.js';
+import { createTransport, DEFAULT_PLAYBACK } from './transport.js';
+import { SMOOTHING_FILTERS, DEFAULT_SMOOTHING } from './smoothing.js';
+import { DEFAULT_SNAPPING, normalizeSnapping, guideLines, snapBox, lockAxis } from './snapping.js';
+import { createPathEditor } from './path-editor.js';
+import { createHistory } from './history.js';
+import { serializeProject, parseProject, AUTOSAVE_KEY } from './project.js';
+import { encodeShare, decodeShare, isShareHash } from './share.js';
+import { createStageBackground } from './stage-background.js';
+
 document.addEventListener('DOMContentLoaded', () => {
     // 获取DOM元素
     const canvas = document.getElementById('drawingCanvas');
@@ -7,13 +33,49 @@ document.addEventListener('DOMContentLoaded', () => {
     const previewBtn = document.getElementById('previewBtn');
     const copyBtn = document.getElementById('copyBtn');
     const cssOutput = document.getElementById('cssOutput');
+    const exportFormatSelect = document.getElementById('exportFormatSelect');
+    const exportUnitSelect = document.getElementById('exportUnitSelect');
+    const exportRefWidth = document.getElementById('exportRefWidth');
+    const exportRefHeight = document.getElementById('exportRefHeight');
     const modeToggle = document.getElementById('modeToggle');
     const modeDescription = document.getElementById('modeDescription');
     const pathIndicator = document.getElementById('pathIndicator');
+    const toleranceInput = document.getElementById('toleranceInput');
+    const toleranceValue = document.getElementById('toleranceValue');
+    const smoothingSelect = document.getElementById('smoothingSelect');
+    const smoothingStrengthInput = document.getElementById('smoothingStrengthInput');
+    const smoothingStrengthValue = document.getElementById('smoothingStrengthValue');
+    const gridToggle = document.getElementById('gridToggle');
+    const gridPitchInput = document.getElementById('gridPitchInput');
+    const snapGridToggle = document.getElementById('snapGridToggle');
+    const guidesToggle = document.getElementById('guidesToggle');
+    const dragReadout = document.getElementById('dragReadout');
+    const addElementBtn = document.getElementById('addElementBtn');
+    const deleteElementBtn = document.getElementById('deleteElementBtn');
+    const delayInput = document.getElementById('delayInput');
+    const editPathBtn = document.getElementById('editPathBtn');
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    const saveProjectBtn = document.getElementById('saveProjectBtn');
+    const openProjectBtn = document.getElementById('openProjectBtn');
+    const projectFileInput = document.getElementById('projectFileInput');
+    const shareBtn = document.getElementById('shareBtn');
+    const recordRotationBtn = document.getElementById('recordRotationBtn');
+    const retimeBtn = document.getElementById('retimeBtn');
+    const backgroundBtn = document.getElementById('backgroundBtn');
+    const backgroundPanel = document.getElementById('backgroundPanel');
+    const backgroundHtmlInput = document.getElementById('backgroundHtmlInput');
+    const backgroundFileInput = document.getElementById('backgroundFileInput');
+    const pickTargetBtn = document.getElementById('pickTargetBtn');
+    const targetInfo = document.getElementById('targetInfo');
+    const importBtn = document.getElementById('importBtn');
+    const importPanelElement = document.getElementById('importPanel');
     
     // 调试模式 - 按Shift+D启用，显示路径可视化
     window.debugMode = false;
     document.addEventListener('keydown', (e) => {
+        // 在输入框中输入大写字母 D 时不切换
+        if (e.target.matches && e.target.matches('input[type="number"], input[type="text"], textarea')) return;
         // Shift+D 组合键切换调试模式
         if (e.shiftKey && e.key === 'D') {
             window.debugMode = !window.debugMode;
@@ -39,148 +101,609 @@ document.addEventListener('DOMContentLoaded', () => {
     }
     
     resizeCanvas();
-    window.addEventListener('resize', resizeCanvas);
+    window.addEventListener('resize', () => {
+        resizeCanvas();
+        drawPath();
+    });
     
-    // 初始化动画元素位置 - 将元素放置在屏幕中央
-    function initElement() {
+    // 初始化动画元素位置 - 将元素放置在屏幕中央，多个元素依次向右错开
+    function initElement(track) {
+        const element = track.node;
+        
         // 获取窗口尺寸
         const windowWidth = window.innerWidth;
         const windowHeight = window.innerHeight;
         
         // 获取元素尺寸
-        const elementWidth = animatedElement.offsetWidth || 50; // 默认50px
-        const elementHeight = animatedElement.offsetHeight || 50; // 默认50px
+        const elementWidth = element.offsetWidth || 50; // 默认50px
+        const elementHeight = element.offsetHeight || 50; // 默认50px
         
         // 计算中心位置
-        const centerX = Math.max(0, (windowWidth - elementWidth) / 2);
+        const slot = tracks.indexOf(track);
+        const centerX = Math.max(0, (windowWidth - elementWidth) / 2 + Math.max(slot, 0) * 70) % Math.max(windowWidth - elementWidth, 1);
         const centerY = Math.max(0, (windowHeight - elementHeight) / 2);
         
         // 设置元素位置
-        animatedElement.style.position = 'fixed';
-        animatedElement.style.top = `${centerY}px`;
-        animatedElement.style.left = `${centerX}px`;
-        animatedElement.style.cursor = 'grab';
+        element.style.position = 'fixed';
+        element.style.top = `${centerY}px`;
+        element.style.left = `${centerX}px`;
+        element.style.cursor = 'grab';
         
         // 更新当前元素位置记录
-        currentElementPosition = { top: `${centerY}px`, left: `${centerX}px` };
+        track.position = { top: `${centerY}px`, left: `${centerX}px` };
+        track.placed = false;
         
         return { top: centerY, left: centerX };
     }
     
     // 记录拖拽轨迹和时间
     let isDragging = false;
-    let points = [];
     let startTime = 0;
     let startPosition = { x: 0, y: 0 };
     
-    // 贝塞尔曲线参数
-    let bezierParams = null;
-    
     // 模式切换状态
     let isPathMode = false;
     
-    // 当前元素位置（定位模式）
-    let currentElementPosition = { top: '0px', left: '0px' };
+    // 舞台上的所有动画元素，每个元素独立记录：
+    // points 轨迹点、motion 动画数据（关键帧、贝塞尔曲线参数、CSS）、
+    // position 元素位置、delay 在时间轴上的开始延迟（秒）、
+    // pathEdit 手动编辑过的路径（未编辑时为 null，使用自动拟合的曲线）、
+    // shape 生成路径的几何图形（见 shapes.js，手绘或编辑过的路径为 null）、
+    // target 背景页面中的目标元素 { selector, width, height }（为 null 时使用默认元素）、
+    // channels 缩放、不透明度、旋转等变换通道的设置（见 channels.js）、
+    // stops 定位模式下的停靠点、sequence 由停靠点生成的定位序列（见 sequence.js，少于两个停靠点时为 null）
+    const tracks = [];
+    let activeTrack = null;
+    let nextTrackId = 1;
+    
+    // 撤销/重做历史，快照见 snapshot()
+    const undoHistory = createHistory({
+        onChange: () => {
+            undoBtn.disabled = !undoHistory.canUndo();
+            redoBtn.disabled = !undoHistory.canRedo();
+        }
+    });
     
-    // 初始化元素位置
-    initElement();
+    // 元素与时间轴面板
+    const elementsPanel = createElementsPanel({
+        container: document.getElementById('timelineRows'),
+        onSelect: (id) => selectTrack(tracks.find(track => track.id === id)),
+        onDelayChange: (id, delay) => setTrackDelay(tracks.find(track => track.id === id), delay)
+    });
     
-    // 设置初始提示
-    animatedElement.title = '拖动我调整位置';
+    // 节奏编辑面板，编辑的始终是当前选中的元素
+    const timingPanel = createTimingPanel({
+        panel: document.getElementById('timingPanel'),
+        lane: document.getElementById('keyframeLane'),
+        speedCanvas: document.getElementById('speedGraph'),
+        bezierEditor: document.getElementById('bezierEditor'),
+        modeSelect: document.getElementById('timingModeSelect'),
+        fitErrorInput: document.getElementById('fitErrorInput'),
+        durationModeSelect: document.getElementById('durationModeSelect'),
+        durationInput: document.getElementById('durationInput'),
+        durationInfo: document.getElementById('durationInfo'),
+        resetButton: document.getElementById('resetTimingBtn'),
+        retimeButton: retimeBtn,
+        onChange: (patch, final) => {
+            const track = activeTrack;
+            if (!track || track.points.length < 3) return;
+            
+            // patch 为 null 表示恢复记录时的节奏
+            undoHistory.begin(snapshot());
+            track.timing = patch ? { ...track.timing, ...patch } : {};
+            calculateMotion(track);
+            
+            // 修改完成后写入历史并重新预览
+            if (final) {
+                undoHistory.commit();
+                playTrack(track);
+            }
+        },
+        onSelect: (index) => channelPanel.select(index),
+        onRetime: () => setRetiming(!isRetiming)
+    });
     
-    // 当窗口大小变化时，保持元素在中心
-    window.addEventListener('resize', () => {
-        if (!isDragging) {
-            initElement();
+    // 变换通道面板，编辑的始终是当前选中的元素
+    const channelPanel = createChannelPanel({
+        orientToggle: document.getElementById('orientToggle'),
+        scaleSourceSelect: document.getElementById('scaleSourceSelect'),
+        scaleMinInput: document.getElementById('scaleMinInput'),
+        scaleMaxInput: document.getElementById('scaleMaxInput'),
+        recordRotationButton: recordRotationBtn,
+        clearRotationButton: document.getElementById('clearRotationBtn'),
+        keyframeLabel: document.getElementById('keyframeChannelsLabel'),
+        keyframeInputs: {
+            scale: document.getElementById('keyframeScaleInput'),
+            opacity: document.getElementById('keyframeOpacityInput'),
+            rotate: document.getElementById('keyframeRotateInput')
+        },
+        resetKeyframeButton: document.getElementById('resetKeyframeChannelsBtn'),
+        onChange: (patch) => {
+            const track = activeTrack;
+            if (!track || track.points.length < 3) return;
+            
+            undoHistory.record(snapshot());
+            track.channels = { ...track.channels, ...patch };
+            calculateMotion(track);
+            playTrack(track);
+        },
+        onRecordRotation: () => setRotationRecording(!isRecordingRotation)
+    });
+    
+    // 节奏预设面板，选择预设即用预设代替当前元素记录的节奏
+    const presetPanel = createPresetPanel({
+        presetSelect: document.getElementById('presetSelect'),
+        paramsContainer: document.getElementById('presetParams'),
+        onChange: (preset) => {
+            const track = activeTrack;
+            if (!track || track.points.length < 3) return;
+            
+            undoHistory.record(snapshot());
+            track.timing = { ...track.timing, mode: 'preset', preset };
+            calculateMotion(track);
+            playTrack(track);
         }
     });
     
-    // 模式切换处理
-    modeToggle.addEventListener('change', () => {
-        isPathMode = modeToggle.checked;
-        
-        if (isPathMode) {
-            modeDescription.textContent = '当前模式：路径模式 - 拖动鼠标绘制元素移动路径，松开后点击预览可查看动画效果';
-            document.body.classList.add('path-mode');
-            animatedElement.title = '点击并拖动鼠标绘制路径';
-        } else {
-            modeDescription.textContent = '当前模式：元素定位模式 - 拖动元素调整其在页面上的固定位置';
-            document.body.classList.remove('path-mode');
-            animatedElement.title = '拖动我调整位置';
+    // 图形面板，用直线、圆弧、轨道、多边形或螺旋线代替手绘的路径
+    const shapePanel = createShapePanel({
+        shapeSelect: document.getElementById('shapeSelect'),
+        paramsContainer: document.getElementById('shapeParams'),
+        durationInput: document.getElementById('shapeDurationInput'),
+        easingSelect: document.getElementById('shapeEasingSelect'),
+        applyButton: document.getElementById('applyShapeBtn'),
+        onApply: (settings) => {
+            const track = activeTrack;
+            if (!track || isDragging) return false;
+            
+            // 重新生成时沿用原来的起点，第一次生成时从元素当前的中心出发
+            const origin = track.shape ? track.shape.origin : trackCenter(track);
+            const shape = { ...settings, origin };
+            let generated;
+            try {
+                generated = createShape(shape);
+            } catch (err) {
+                alert(err.message);
+                return false;
+            }
+            
+            replacePath(track, generated.points, generated, easingTiming(shape.easing, track.timing), shape);
+            return true;
         }
-        
-        // 重置状态
-        resetAll();
     });
     
-    // 元素拖拽事件 - 支持两种模式
-    animatedElement.addEventListener('mousedown', (e) => {
-        e.preventDefault();
-        
-        if (isPathMode) {
-            // 路径模式 - 从元素当前位置开始绘制路径
-            const rect = animatedElement.getBoundingClientRect();
+    // 导入面板，导入SVG路径或 @keyframes 作为当前元素的动画
+    const importPanel = createImportPanel({
+        input: document.getElementById('importInput'),
+        fileInput: document.getElementById('importFileInput'),
+        openFileButton: document.getElementById('openImportFileBtn'),
+        pathSelect: document.getElementById('importPathSelect'),
+        timingSelect: document.getElementById('importTimingSelect'),
+        durationInput: document.getElementById('importDurationInput'),
+        scaleInput: document.getElementById('importScaleInput'),
+        importPathButton: document.getElementById('importPathBtn'),
+        importKeyframesButton: document.getElementById('importKeyframesBtn'),
+        info: document.getElementById('importInfo'),
+        onImportPath: ({ segments, timing, duration, scale }) => {
+            const track = activeTrack;
+            if (!track || isDragging) return;
             
-            // 重置轨迹
-            points = [];
-            points.push({
-                time: performance.now(),
-                x: e.clientX,
-                y: e.clientY
-            });
+            // 手势节奏只取当前路径的"路程-时间"关系，形状换成导入的路径
+            let generated;
+            try {
+                const samples = timing === 'gesture' ?
+                    gestureProgress(track.points) :
+                    [{ time: 0, progress: 0 }, { time: duration * 1000, progress: 1 }];
+                generated = pathPoints(placeSegments(segments, trackCenter(track), scale), samples);
+            } catch (err) {
+                alert(err.message);
+                return;
+            }
             
-            startTime = performance.now();
-            isDragging = true;
+            replacePath(track, generated.points, generated, timing === 'gesture' ? {} : easingTiming(timing, track.timing));
+        },
+        onImportKeyframes: (css) => {
+            const track = activeTrack;
+            if (!track || isDragging) return;
             
-            // 显示路径绘制指示器
-            pathIndicator.classList.add('active');
+            // offset-distance 关键帧沿用 offset-path 的路径，其余按关键帧插值得到的轨迹重新拟合曲线
+            const origin = trackCenter(track);
+            let points;
+            let path = null;
+            try {
+                const imported = importKeyframes(css);
+                if (imported.segments) {
+                    path = pathPoints(placeSegments(imported.segments, origin), imported.samples);
+                    points = path.points;
+                } else {
+                    points = imported.points.map(point => ({ ...point, x: point.x + origin.x, y: point.y + origin.y }));
+                    if (filterPoints(points).length < 3) {
+                        throw new Error('关键帧中的位移太小，无法生成路径');
+                    }
+                }
+            } catch (err) {
+                alert(err.message);
+                return;
+            }
             
-            // 清除画布
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            replacePath(track, points, path, {});
+        }
+    });
+    
+    importBtn.addEventListener('click', () => {
+        importPanelElement.hidden = !importPanelElement.hidden;
+        importBtn.classList.toggle('active', !importPanelElement.hidden);
+    });
+    
+    // 元素中心的位置，生成或导入的路径从这里出发
+    function trackCenter(track) {
+        return {
+            x: parseFloat(track.position.left) + track.node.offsetWidth / 2,
+            y: parseFloat(track.position.top) + track.node.offsetHeight / 2
+        };
+    }
+    
+    // 用生成或导入的轨迹点代替元素当前的路径并播放
+    // path: 轨迹点所在的曲线 { segments, locations }，为 null 时按轨迹点拟合曲线；shape: 生成路径的图形，其余为 null
+    function replacePath(track, points, path, timing, shape = null) {
+        if (isEditingPath) {
+            setPathEditing(false);
+        }
+        undoHistory.record(snapshot());
+        track.shape = shape;
+        track.points = points;
+        track.pathEdit = path ? { segments: path.segments, locations: path.locations } : null;
+        track.timing = timing;
+        // 逐帧修改的通道值对应旧路径的关键帧，其余通道设置保留
+        track.channels = { ...track.channels, edits: {} };
+        calculateMotion(track);
+        playTrack(track);
+    }
+    
+    // 缓动对应的节奏：匀速使用关键帧节奏，其余使用同名的节奏预设，预设没变时保留已修改的预设参数
+    function easingTiming(easing, timing) {
+        if (easing === 'linear') return {};
+        const preset = timing.preset && timing.preset.id === easing ? timing.preset : { id: easing, params: {} };
+        return { mode: 'preset', preset };
+    }
+    
+    // 停靠点面板，定位模式下把元素放到的多个位置组成在停靠点之间移动的动画
+    const sequencePanel = createSequencePanel({
+        list: document.getElementById('stopList'),
+        addButton: document.getElementById('addStopBtn'),
+        summary: document.getElementById('sequenceSummary'),
+        onChange: (stops) => {
+            const track = activeTrack;
+            if (!track) return;
             
-            // 隐藏SVG路径
-            const svgPath = document.getElementById('testPathVis');
-            if (svgPath) {
-                svgPath.setAttribute('d', 'M 0 0');
-                svgPath.style.display = 'none';
+            let sequence;
+            try {
+                sequence = stops.length >= 2 ? createSequence(stops, sequenceOptions(track)) : null;
+            } catch (err) {
+                alert(err.message);
+                return false;
             }
-        } else {
-            // 定位模式 - 拖动元素设置位置
-            const rect = animatedElement.getBoundingClientRect();
             
-            // 记录鼠标与元素中心的偏移量
-            const offsetX = e.clientX - (rect.left + rect.width / 2);
-            const offsetY = e.clientY - (rect.top + rect.height / 2);
+            undoHistory.record(snapshot());
+            track.stops = stops;
+            track.sequence = sequence;
+            updateCSSOutput();
+            drawPath();
+            return true;
+        },
+        onMoveTo: (index) => {
+            const track = activeTrack;
+            if (!track || !track.stops[index]) return;
             
-            startPosition = {
-                x: rect.left,
-                y: rect.top,
-                offsetX: offsetX,
-                offsetY: offsetY
-            };
+            undoHistory.record(snapshot());
+            resetElementStyles(track.node);
+            track.position = track.stops[index].position;
+            track.placed = true;
+            track.node.style.left = track.position.left;
+            track.node.style.top = track.position.top;
+            track.node.style.cursor = 'grab';
+            updateCSSOutput();
+        }
+    });
+    
+    // 手势平滑设置，见 smoothing.js
+    let smoothing = { ...DEFAULT_SMOOTHING };
+    
+    // 吸附与参考线设置，见 snapping.js；snapGuides 为拖动时起作用的参考线，在画布上显示
+    let snapping = { ...DEFAULT_SNAPPING };
+    let snapGuides = [];
+    
+    // 预览播放控制，循环次数和播放方向对所有元素生效，也写入导出的代码
+    let playback = { ...DEFAULT_PLAYBACK };
+    const transport = createTransport({
+        playButton: document.getElementById('transportPlayBtn'),
+        scrubber: document.getElementById('transportScrubber'),
+        timeLabel: document.getElementById('transportTime'),
+        loopToggle: document.getElementById('loopToggle'),
+        alternateToggle: document.getElementById('alternateToggle'),
+        reverseToggle: document.getElementById('reverseToggle'),
+        iterationInput: document.getElementById('iterationInput'),
+        rateSelect: document.getElementById('playbackRateSelect'),
+        getAnimations: () => tracks.flatMap(track => [track.node.animation, track.node.channelAnimation].filter(Boolean)),
+        onPlay: () => playAnimation(),
+        onChange: (next) => {
+            undoHistory.record(snapshot());
+            playback = next;
+            tracks.forEach(track => {
+                if (track.points.length >= 3) {
+                    calculateMotion(track);
+                }
+                calculateSequence(track);
+            });
+            updateCSSOutput();
+            if (tracks.some(track => track.motion || track.sequence)) {
+                playAnimation();
+            }
+        }
+    });
+    
+    // 路径节点编辑器，编辑的始终是当前选中的元素
+    let isEditingPath = false;
+    const pathEditor = createPathEditor({
+        svg: document.getElementById('debugPath'),
+        onChange: (path, final) => {
+            const track = activeTrack;
+            if (!track || !track.motion) return;
             
-            isDragging = true;
+            undoHistory.begin(snapshot());
+            track.pathEdit = path;
+            track.shape = null;
+            calculateMotion(track);
             
-            // 更改光标样式
-            animatedElement.style.cursor = 'grabbing';
+            if (final) {
+                undoHistory.commit();
+                playTrack(track);
+            }
         }
     });
     
-    // 画布拖拽事件 - 路径模式
-    canvas.addEventListener('mousedown', (e) => {
-        if (!isPathMode) return; // 定位模式下不处理画布事件
-        if (isDragging) return; // 如果已经在拖动中，不重复处理
+    // 进入或退出路径编辑，编辑时不能绘制新路径
+    function setPathEditing(editing) {
+        if (editing && (!activeTrack || !activeTrack.motion)) {
+            alert('请先绘制有效的路径');
+            return;
+        }
+        
+        isEditingPath = editing;
+        editPathBtn.classList.toggle('active', editing);
+        editPathBtn.textContent = editing ? '完成编辑' : '编辑路径';
+        document.body.classList.toggle('path-editing', editing);
+        
+        if (editing) {
+            const motion = activeTrack.motion;
+            pathEditor.show(activeTrack.pathEdit || { segments: motion.segments, locations: motion.locations });
+        } else {
+            pathEditor.hide();
+        }
+    }
+    
+    // 创建一个新的动画元素，第一个元素使用页面上已有的节点
+    // 打开项目时按项目中的id和名称创建
+    function addTrack(id = nextTrackId++, name = `元素${id}`) {
+        let node = animatedElement;
+        
+        if (tracks.length > 0 || animatedElement.dataset.trackId) {
+            node = animatedElement.cloneNode(false);
+            node.id = `animatedElement-${id}`;
+            node.textContent = name;
+            node.removeAttribute('style');
+            document.body.appendChild(node);
+        }
+        
+        node.dataset.trackId = id;
+        node.dataset.color = (id - 1) % 6;
+        node.dataset.label = node.textContent;
+        
+        const track = {
+            id,
+            name,
+            node,
+            points: [],
+            motion: null,
+            timing: {},
+            channels: {},
+            pathEdit: null,
+            shape: null,
+            stops: [],
+            sequence: null,
+            position: { top: '0px', left: '0px' },
+            delay: 0,
+            placed: false,
+            target: null
+        };
+        
+        tracks.push(track);
+        bindElementEvents(track);
+        initElement(track);
+        node.title = isPathMode ? '点击并拖动鼠标绘制路径' : '拖动我调整位置';
+        
+        return track;
+    }
+    
+    // 切换当前编辑的元素
+    function selectTrack(track) {
+        if (!track || isDragging) return;
         
-        // 重置轨迹
-        points = [];
-        points.push({
-            time: performance.now(),
+        // 切换元素时结束对上一个元素的路径编辑
+        if (isEditingPath && track !== activeTrack) {
+            setPathEditing(false);
+        }
+        
+        activeTrack = track;
+        tracks.forEach(t => t.node.classList.toggle('active-element', t === track));
+        delayInput.value = track.delay;
+        updateTargetInfo();
+        
+        drawPath();
+        updateTimeline();
+    }
+    
+    // 删除当前元素，至少保留一个
+    function deleteTrack(track) {
+        if (tracks.length <= 1) {
+            alert('至少需要保留一个元素');
+            return;
+        }
+        
+        if (track.node.animation) {
+            track.node.animation.cancel();
+        }
+        if (track.node.channelAnimation) {
+            track.node.channelAnimation.cancel();
+        }
+        undoHistory.record(snapshot());
+        track.node.remove();
+        tracks.splice(tracks.indexOf(track), 1);
+        
+        selectTrack(tracks[tracks.length - 1]);
+        updateCSSOutput();
+    }
+    
+    // 修改元素的开始延迟并重新生成CSS
+    function setTrackDelay(track, delay) {
+        if (!track) return;
+        
+        undoHistory.record(snapshot());
+        track.delay = Math.max(0, Math.round(delay * 100) / 100);
+        if (track === activeTrack) {
+            delayInput.value = track.delay;
+        }
+        
+        calculateSequence(track);
+        if (track.points.length >= 3) {
+            calculateMotion(track);
+        } else {
+            updateCSSOutput();
+        }
+    }
+    
+    // 刷新时间轴和节奏编辑面板
+    function updateTimeline() {
+        elementsPanel.render(tracks, activeTrack ? activeTrack.id : null);
+        timingPanel.render(activeTrack);
+        channelPanel.render(activeTrack);
+        presetPanel.render(activeTrack);
+        sequencePanel.render(activeTrack);
+        shapePanel.render(activeTrack);
+        importPanel.render(activeTrack);
+        scheduleAutosave();
+    }
+    
+    // 当窗口大小变化时，保持未手动定位的元素在中心
+    window.addEventListener('resize', () => {
+        if (!isDragging) {
+            tracks.forEach(track => {
+                if (!track.placed && !track.motion) {
+                    initElement(track);
+                }
+            });
+        }
+    });
+    
+    // 模式切换处理
+    modeToggle.addEventListener('change', () => {
+        undoHistory.record(snapshot());
+        applyMode(modeToggle.checked);
+        
+        // 重置当前元素的状态
+        resetAll();
+    });
+    
+    // 切换到路径模式或定位模式，更新说明文字和元素提示
+    function applyMode(pathMode) {
+        isPathMode = pathMode;
+        modeToggle.checked = pathMode;
+        
+        if (isPathMode) {
+            if (modeDescription) {
+                modeDescription.textContent = '当前模式：路径模式 - 拖动鼠标绘制元素移动路径，松开后点击预览可查看动画效果';
+            }
+            document.body.classList.add('path-mode');
+            tracks.forEach(track => { track.node.title = '点击并拖动鼠标绘制路径'; });
+        } else {
+            if (modeDescription) {
+                modeDescription.textContent = '当前模式：元素定位模式 - 拖动元素调整其在页面上的固定位置';
+            }
+            document.body.classList.remove('path-mode');
+            tracks.forEach(track => { track.node.title = '拖动我调整位置'; });
+        }
+    }
+    
+    // 当前拖拽所使用的指针ID，用于拒绝多指/多笔同时输入
+    let activePointerId = null;
+    
+    // 从指针事件生成轨迹点，同时记录压感和倾斜角度
+    function createPoint(e) {
+        return {
+            time: e.timeStamp,
             x: e.clientX,
-            y: e.clientY
+            y: e.clientY,
+            pressure: e.pressure,
+            tiltX: e.tiltX || 0,
+            tiltY: e.tiltY || 0
+        };
+    }
+    
+    // 视口和其他元素组成的参考线，正在拖动的当前元素除外
+    function currentGuideLines() {
+        const boxes = tracks.filter(track => track !== activeTrack).map(track => {
+            const rect = track.node.getBoundingClientRect();
+            return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
         });
-        
-        startTime = performance.now();
+        return guideLines({ width: window.innerWidth, height: window.innerHeight }, boxes);
+    }
+    
+    // 路径模式下吸附指针位置并显示参考线和坐标，origin 为锁定方向时的起点
+    function snapPointer(point, origin) {
+        const snapped = snapBox(point, snapping, currentGuideLines(), origin);
+        showSnapFeedback(snapped, snapped.x, snapped.y);
+        return snapped;
+    }
+    
+    // 拖动时显示吸附后的坐标（定位模式为元素左上角，路径模式为指针位置），readout 跟随指针
+    function showSnapFeedback(snapped, pointerX, pointerY) {
+        snapGuides = snapped.guides;
+        dragReadout.hidden = false;
+        dragReadout.textContent = `X ${Math.round(snapped.x * 100) / 100}  Y ${Math.round(snapped.y * 100) / 100}`;
+        dragReadout.style.left = `${pointerX + 16}px`;
+        dragReadout.style.top = `${pointerY + 16}px`;
+        if (!isPathMode) drawPath();
+    }
+    
+    function hideSnapFeedback() {
+        snapGuides = [];
+        dragReadout.hidden = true;
+        drawPath();
+    }
+    
+    // 开始一次拖拽，捕获指针以便移出元素后仍能收到事件
+    function beginPointerDrag(e, target) {
+        activePointerId = e.pointerId;
+        target.setPointerCapture(e.pointerId);
         isDragging = true;
+    }
+    
+    // 路径模式 - 开始记录轨迹
+    function startPathRecording(e) {
+        // 记录绘制前的状态，新的轨迹会覆盖旧轨迹
+        undoHistory.record(snapshot());
+        
+        // 重置轨迹，起点吸附到网格或参考线
+        const start = createPoint(e);
+        const snapped = snapPointer(start, null);
+        activeTrack.points = [{ ...start, x: snapped.x, y: snapped.y }];
+        activeTrack.motion = null;
+        activeTrack.timing = {};
+        activeTrack.pathEdit = null;
+        activeTrack.shape = null;
+        // 逐帧修改的通道值对应旧轨迹的关键帧，其余通道设置保留
+        activeTrack.channels = { ...activeTrack.channels, edits: {} };
+        startTime = e.timeStamp;
         
         // 显示路径绘制指示器
         pathIndicator.classList.add('active');
@@ -194,536 +717,681 @@ document.addEventListener('DOMContentLoaded', () => {
             svgPath.setAttribute('d', 'M 0 0');
             svgPath.style.display = 'none';
         }
-    });
+    }
+    
+    // 元素拖拽事件 - 支持两种模式，按下时同时选中该元素
+    function bindElementEvents(track) {
+        track.node.addEventListener('pointerdown', (e) => {
+            if (isDragging) return; // 已有指针在拖动时忽略其他指针
+            if (isEditingPath) return; // 编辑路径时元素不响应拖动
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            e.preventDefault();
+            
+            // 录制旋转时按在元素上同样开始录制，录制的仍是当前元素
+            if (isRecordingRotation) {
+                beginPointerDrag(e, track.node);
+                startRotationRecording(e);
+                return;
+            }
+            
+            // 重新定时同样从按下的位置开始沿路径拖动，按键录制进行中时忽略指针
+            if (isRetiming) {
+                if (retimeHold) return;
+                beginPointerDrag(e, track.node);
+                startRetimeDrag(e);
+                return;
+            }
+            
+            selectTrack(track);
+            beginPointerDrag(e, track.node);
+            
+            if (isPathMode) {
+                // 路径模式 - 从元素当前位置开始绘制路径
+                startPathRecording(e);
+            } else {
+                // 定位模式 - 拖动元素设置位置
+                startElementDrag(e, track);
+            }
+        });
+    }
     
-    // 鼠标移动事件
-    document.addEventListener('mousemove', (e) => {
-        if (!isDragging) return;
+    // 定位模式 - 记录拖动起点
+    function startElementDrag(e, track) {
+        // 实际移动后才写入历史
+        undoHistory.begin(snapshot());
+        
+        // 停止定位序列的预览，元素回到当前位置后再拖动
+        if (track.node.animation) {
+            resetElementStyles(track.node);
+            track.node.style.left = track.position.left;
+            track.node.style.top = track.position.top;
+        }
         
-        if (isPathMode) {
-            // 路径模式 - 记录鼠标轨迹
-            points.push({
-                time: performance.now(),
-                x: e.clientX,
-                y: e.clientY
+        const rect = track.node.getBoundingClientRect();
+        
+        // 记录指针与元素中心的偏移量
+        const offsetX = e.clientX - (rect.left + rect.width / 2);
+        const offsetY = e.clientY - (rect.top + rect.height / 2);
+        
+        startPosition = {
+            x: rect.left,
+            y: rect.top,
+            offsetX: offsetX,
+            offsetY: offsetY,
+            trackPosition: track.position
+        };
+        
+        // 更改光标样式
+        track.node.style.cursor = 'grabbing';
+    }
+    
+    // 画布拖拽事件 - 路径模式
+    canvas.addEventListener('pointerdown', (e) => {
+        // 录制旋转手势时两种模式下画布都接收拖动
+        if (isRecordingRotation) {
+            if (isDragging || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            e.preventDefault();
+            beginPointerDrag(e, canvas);
+            startRotationRecording(e);
+            return;
+        }
+        
+        if (isRetiming) {
+            if (isDragging || retimeHold || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            e.preventDefault();
+            beginPointerDrag(e, canvas);
+            startRetimeDrag(e);
+            return;
+        }
+        
+        if (!isPathMode) return; // 定位模式下不处理画布事件
+        if (isEditingPath) return; // 编辑路径时不绘制新路径
+        if (isDragging) return; // 如果已经在拖动中，不重复处理
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        e.preventDefault();
+        
+        beginPointerDrag(e, canvas);
+        startPathRecording(e);
+    });
+    
+    // 指针移动事件
+    document.addEventListener('pointermove', (e) => {
+        if (!isDragging || e.pointerId !== activePointerId) return;
+        
+        if (isRecordingRotation) {
+            rotationPoints.push(createPoint(e));
+            drawRotationGuide();
+        } else if (isRetiming) {
+            const progress = retimeFollower.follow(createPoint(e));
+            retimeSamples.push({ time: e.timeStamp - retimeStart, progress });
+            drawRetimeGuide(progress);
+        } else if (isPathMode) {
+            // 路径模式 - 记录轨迹，手写笔等高频设备会合并事件，逐个取出
+            // 按住Shift时轨迹锁定在起点的水平或竖直方向；中间的点不吸附，终点在松开时吸附
+            const origin = e.shiftKey ? activeTrack.points[0] : null;
+            const samples = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+            (samples.length > 0 ? samples : [e]).forEach(sample => {
+                const point = createPoint(sample);
+                activeTrack.points.push(origin ? lockAxis(point, origin) : point);
             });
+            snapPointer(createPoint(e), origin);
             
             // 绘制路径
             drawPath();
         } else {
-            // 定位模式 - 移动元素
-            const newX = e.clientX - startPosition.offsetX - animatedElement.offsetWidth / 2;
-            const newY = e.clientY - startPosition.offsetY - animatedElement.offsetHeight / 2;
+            // 定位模式 - 移动元素，按住Shift时锁定在水平或竖直方向
+            const element = activeTrack.node;
+            const snapped = snapBox({
+                x: e.clientX - startPosition.offsetX - element.offsetWidth / 2,
+                y: e.clientY - startPosition.offsetY - element.offsetHeight / 2,
+                width: element.offsetWidth,
+                height: element.offsetHeight
+            }, snapping, currentGuideLines(), e.shiftKey ? startPosition : null);
+            const newX = snapped.x;
+            const newY = snapped.y;
+            showSnapFeedback(snapped, e.clientX, e.clientY);
             
             // 移动元素
-            animatedElement.style.left = `${newX}px`;
-            animatedElement.style.top = `${newY}px`;
+            element.style.left = `${newX}px`;
+            element.style.top = `${newY}px`;
             
             // 更新当前位置
-            currentElementPosition = {
+            activeTrack.position = {
                 top: `${newY}px`,
                 left: `${newX}px`
             };
+            activeTrack.placed = true;
         }
     });
     
-    // 鼠标释放事件
-    document.addEventListener('mouseup', () => {
-        if (!isDragging) return;
+    // 指针释放事件
+    function endPointerDrag(e) {
+        if (!isDragging || e.pointerId !== activePointerId) return;
         
         isDragging = false;
-        
-        if (isPathMode) {
-            // 路径模式 - 计算贝塞尔曲线和生成CSS
+        activePointerId = null;
+        hideSnapFeedback();
+        
+        if (isRecordingRotation) {
+            finishRotationRecording();
+        } else if (isRetiming) {
+            finishRetiming();
+        } else if (isPathMode) {
+            // 路径模式 - 终点吸附后计算贝塞尔曲线和生成CSS
             pathIndicator.classList.remove('active');
             
-            if (points.length >= 3) {
-                calculateBezier();
-                generateCSS();
+            const points = activeTrack.points;
+            const end = snapBox(points[points.length - 1], snapping, currentGuideLines(), e.shiftKey ? points[0] : null);
+            points[points.length - 1] = { ...points[points.length - 1], x: end.x, y: end.y };
+            
+            if (activeTrack.points.length >= 3) {
+                calculateMotion(activeTrack);
             } else {
                 console.error('需要更多的点来计算贝塞尔曲线');
+                updateCSSOutput();
             }
         } else {
             // 定位模式 - 更新CSS代码
-            animatedElement.style.cursor = 'grab';
-            generatePositionCSS();
-        }
-    });
-    
-    // 绘制路径
-    function drawPath() {
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
-        
-        if (points.length < 2) return;
-        
-        ctx.beginPath();
-        ctx.moveTo(points[0].x, points[0].y);
-        
-        for (let i = 1; i < points.length; i++) {
-            ctx.lineTo(points[i].x, points[i].y);
+            activeTrack.node.style.cursor = 'grab';
+            if (activeTrack.position !== startPosition.trackPosition) {
+                undoHistory.commit();
+            } else {
+                undoHistory.cancel();
+            }
+            updateCSSOutput();
         }
-        
-        ctx.strokeStyle = '#3498db';
-        ctx.lineWidth = 2;
-        ctx.stroke();
     }
     
-    // 计算动画参数（关键帧或贝塞尔曲线）
-    function calculateBezier() {
-        if (points.length < 3) {
-            console.error('需要至少3个点来创建路径');
+    document.addEventListener('pointerup', endPointerDrag);
+    // 触摸被系统手势打断时同样结束拖拽，保留已记录的轨迹
+    document.addEventListener('pointercancel', endPointerDrag);
+    
+    // 旋转手势：按下的位置为旋转中心，录制完成后写入当前元素的旋转通道
+    let isRecordingRotation = false;
+    let rotationPoints = [];
+    
+    function setRotationRecording(recording) {
+        if (recording && (!activeTrack || !activeTrack.motion)) {
+            alert('请先绘制有效的路径');
             return;
         }
+        if (recording && isEditingPath) {
+            setPathEditing(false);
+        }
+        if (recording && isRetiming) {
+            setRetiming(false);
+        }
         
-        // 1. 预处理点数据
-        const filteredPoints = filterPoints(points);
-        console.log('原始点数:', points.length, '过滤后点数:', filteredPoints.length);
-        
-        // 2. 创建关键帧
-        const { keyframes, totalDuration } = createKeyframes(filteredPoints);
+        isRecordingRotation = recording;
+        rotationPoints = [];
+        recordRotationBtn.classList.toggle('active', recording);
+        recordRotationBtn.textContent = recording ? '取消录制' : '录制旋转';
+        document.body.classList.toggle('recording-rotation', recording);
+        if (!recording) {
+            drawPath();
+        }
+    }
+    
+    function startRotationRecording(e) {
+        rotationPoints = [createPoint(e)];
+    }
+    
+    function finishRotationRecording() {
+        const rotation = recordRotation(rotationPoints);
+        const track = activeTrack;
+        setRotationRecording(false);
+        if (!rotation) return;
+        
+        undoHistory.record(snapshot());
+        track.channels = { ...track.channels, rotation };
+        calculateMotion(track);
+        playTrack(track);
+    }
+    
+    // 旋转手势的指示线：从旋转中心指向当前指针，并标出已转过的角度
+    function drawRotationGuide() {
+        drawPath();
+        if (rotationPoints.length < 2) return;
         
-        // 3. 智能关键帧处理
-        const speedKeyframes = processKeyframes(keyframes, filteredPoints.length);
+        const origin = rotationPoints[0];
+        const current = rotationPoints[rotationPoints.length - 1];
+        const samples = recordRotation(rotationPoints);
+        const angle = samples ? samples[samples.length - 1].angle : 0;
         
-        // 4. 保存处理后的关键帧用于生成CSS
-        window.motionKeyframes = speedKeyframes;
-        console.log('处理后的动态关键帧：', speedKeyframes);
+        ctx.beginPath();
+        ctx.moveTo(origin.x, origin.y);
+        ctx.lineTo(current.x, current.y);
+        ctx.strokeStyle = '#e67e22';
+        ctx.lineWidth = 2;
+        ctx.stroke();
         
-        // 5. 同时计算贝塞尔曲线参数作为备选方案
-        bezierParams = calculateBezierParameters(filteredPoints, totalDuration);
-        console.log('贝塞尔曲线参数：', bezierParams);
+        ctx.beginPath();
+        ctx.arc(origin.x, origin.y, 4, 0, Math.PI * 2);
+        ctx.fillStyle = '#e67e22';
+        ctx.fill();
+        ctx.font = '14px sans-serif';
+        ctx.fillText(`${Math.round(angle)}°`, origin.x + 10, origin.y - 10);
     }
     
-    // 过滤点，去除太近的点以减少抖动
-    function filterPoints(inputPoints) {
-        // 减小最小距离阈值，保留更多原始点
-        const minDistance = 2; // 从3减小到2，保留更多细节
-        let result = [inputPoints[0]]; // 始终保留第一个点
-        
-        for (let i = 1; i < inputPoints.length; i++) {
-            const lastPoint = result[result.length - 1];
-            const distance = getDistance(inputPoints[i], lastPoint);
-            
-            // 只添加移动距离超过阈值的点
-            if (distance >= minDistance) {
-                result.push(inputPoints[i]);
-            }
+    // ESC键取消录制旋转
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && isRecordingRotation && !isDragging) {
+            setRotationRecording(false);
         }
-        
-        // 确保最后一个点被保留
-        const lastOriginalPoint = inputPoints[inputPoints.length - 1];
-        const lastFilteredPoint = result[result.length - 1];
-        
-        if (lastFilteredPoint !== lastOriginalPoint) {
-            result.push(lastOriginalPoint);
+    });
+    
+    // 重新定时：保留当前路径的形状，沿路径拖动或按住空格键录制新的节奏（见 retime.js）
+    let isRetiming = false;
+    let retimeTrack = null;
+    let retimeFollower = null;
+    let retimeSamples = [];
+    let retimeStart = 0;
+    // 按键录制的状态 { progress, speed, held, last }，last 为上一帧的时间，未开始按键录制时为 null
+    let retimeHold = null;
+    
+    function setRetiming(recording) {
+        if (recording && (!activeTrack || !activeTrack.motion)) {
+            alert('请先绘制有效的路径');
+            return;
+        }
+        if (recording && isEditingPath) {
+            setPathEditing(false);
+        }
+        if (recording && isRecordingRotation) {
+            setRotationRecording(false);
         }
         
-        return result;
+        isRetiming = recording;
+        retimeTrack = recording ? activeTrack : null;
+        retimeFollower = recording ? createPathFollower(activeTrack.motion.segments) : null;
+        retimeSamples = [];
+        retimeHold = null;
+        retimeBtn.classList.toggle('active', recording);
+        retimeBtn.textContent = recording ? '取消录制' : '录制节奏';
+        document.body.classList.toggle('retiming', recording);
+        if (recording) {
+            // 按钮保持焦点时空格键会再次点击按钮
+            retimeBtn.blur();
+            drawRetimeGuide(0);
+        } else {
+            drawPath();
+        }
     }
     
-    // 计算两点之间的距离
-    function getDistance(point1, point2) {
-        return Math.sqrt(
-            Math.pow(point1.x - point2.x, 2) + 
-            Math.pow(point1.y - point2.y, 2)
-        );
+    function startRetimeDrag(e) {
+        retimeStart = e.timeStamp;
+        retimeSamples = [{ time: 0, progress: retimeFollower.follow(createPoint(e)) }];
     }
     
-    // 为过滤后的点创建关键帧
-    function createKeyframes(filteredPoints) {
-        const totalDuration = filteredPoints[filteredPoints.length - 1].time - filteredPoints[0].time;
-        const keyframes = [];
-        
-        // 计算每个点对应的进度百分比
-        for (let i = 0; i < filteredPoints.length; i++) {
-            const progress = (filteredPoints[i].time - filteredPoints[0].time) / totalDuration;
-            keyframes.push({
-                progress: progress,
-                point: filteredPoints[i]
-            });
+    // 按住空格键开始或继续按键录制，元素沿路径加速前进
+    function holdRetimeKey() {
+        if (retimeHold) {
+            retimeHold = { ...retimeHold, held: true };
+            return;
         }
-        
-        return { keyframes, totalDuration };
+        retimeStart = performance.now();
+        retimeSamples = [{ time: 0, progress: 0 }];
+        retimeHold = { progress: 0, speed: 0, held: true, last: retimeStart };
+        requestAnimationFrame(retimeFrame);
     }
     
-    // 处理关键帧，进行速度分析和平滑化
-    function processKeyframes(keyframes, pointCount) {
-        // 1. 计算每个点的速度
-        const speeds = calculateSpeeds(keyframes);
-        
-        // 2. 提取速度变化显著的关键帧
-        let speedKeyframes = extractKeySpeedPoints(keyframes, speeds);
+    function retimeFrame(now) {
+        if (!isRetiming || !retimeHold) return;
         
-        // 3. 确保关键帧数量适当
-        speedKeyframes = normalizeKeyframeCount(speedKeyframes, keyframes);
+        const next = holdStep(retimeHold, retimeHold.held, Math.max(0, now - retimeHold.last) / 1000);
+        retimeHold = { ...retimeHold, ...next, last: now };
+        retimeSamples.push({ time: now - retimeStart, progress: next.progress });
+        drawRetimeGuide(next.progress);
         
-        // 4. 平滑化关键帧之间的过渡
-        if (pointCount > 5 && speedKeyframes.length >= 3) {
-            speedKeyframes = smoothKeyframes(speedKeyframes, keyframes);
+        // 到达终点时自动结束
+        if (next.progress >= 1) {
+            finishRetiming();
+        } else {
+            requestAnimationFrame(retimeFrame);
         }
-        
-        return speedKeyframes;
     }
     
-    // 计算每个点的速度
-    function calculateSpeeds(keyframes) {
-        let speeds = [];
-        
-        for (let i = 1; i < keyframes.length; i++) {
-            const timeDiff = keyframes[i].point.time - keyframes[i-1].point.time;
-            if (timeDiff <= 0) continue; // 防止除以0
-            
-            const distance = getDistance(keyframes[i].point, keyframes[i-1].point);
-            const speed = distance / timeDiff;
-            
-            speeds.push({
-                index: i,
-                speed: speed,
-                progress: keyframes[i].progress
-            });
+    // 用录制的节奏重新生成轨迹点，路径形状不变；保留时长设置，其余节奏设置恢复为关键帧节奏
+    function finishRetiming() {
+        const track = retimeTrack;
+        const samples = retimeSamples;
+        setRetiming(false);
+        if (!track.motion) return;
+        
+        let generated;
+        try {
+            generated = pathPoints(track.motion.segments, normalizeGesture(samples));
+        } catch (err) {
+            alert(err.message);
+            return;
         }
         
-        return speeds;
+        replacePath(track, generated.points, generated, track.timing.duration ? { duration: track.timing.duration } : {});
     }
     
-    // 提取速度变化显著的关键帧
-    function extractKeySpeedPoints(keyframes, speeds) {
-        let result = [keyframes[0]]; // 始终保留第一个关键帧
-        const threshold = 0.2; // 速度变化阈值
-        
-        let lastSpeed = speeds.length > 0 ? speeds[0].speed : 0;
-        
-        for (let i = 1; i < speeds.length; i++) {
-            const speedChange = Math.abs(speeds[i].speed - lastSpeed) / Math.max(lastSpeed, 0.1);
-            
-            if (speedChange > threshold) {
-                // 速度变化超过阈值，添加这个点及其前一点作为控制点
-                result.push(keyframes[speeds[i-1].index]);
-                result.push(keyframes[speeds[i].index]);
-                lastSpeed = speeds[i].speed;
-            }
-        }
+    // 重新定时的指示：路径上当前进度的位置和已录制的时间
+    function drawRetimeGuide(progress) {
+        drawPath();
+        const point = retimeFollower.pointAt(progress);
+        const seconds = retimeSamples.length > 0 ? retimeSamples[retimeSamples.length - 1].time / 1000 : 0;
         
-        // 添加最后一个关键帧
-        const lastKeyframe = keyframes[keyframes.length - 1];
-        if (result[result.length - 1].point.time !== lastKeyframe.point.time) {
-            result.push(lastKeyframe);
-        }
-        
-        return result;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 8, 0, Math.PI * 2);
+        ctx.fillStyle = '#e67e22';
+        ctx.fill();
+        ctx.font = '14px sans-serif';
+        ctx.fillText(`${Math.round(progress * 100)}%  ${seconds.toFixed(2)}s`, point.x + 12, point.y - 12);
     }
     
-    // 关键帧数量标准化
-    function normalizeKeyframeCount(speedKeyframes, originalKeyframes) {
-        // 关键帧太少时增加
-        if (speedKeyframes.length < 5 && originalKeyframes.length > 10) {
-            const result = [originalKeyframes[0]];
-            const step = Math.floor(originalKeyframes.length / 8);
-            
-            for (let i = step; i < originalKeyframes.length - step; i += step) {
-                result.push(originalKeyframes[i]);
-            }
-            
-            result.push(originalKeyframes[originalKeyframes.length - 1]);
-            return result;
-        } 
-        // 关键帧太多时减少
-        else if (speedKeyframes.length > 20) {
-            const result = [speedKeyframes[0]];
-            const step = Math.floor(speedKeyframes.length / 20);
-            
-            for (let i = step; i < speedKeyframes.length - step; i += step) {
-                result.push(speedKeyframes[i]);
-            }
-            
-            result.push(speedKeyframes[speedKeyframes.length - 1]);
-            return result;
+    document.addEventListener('keydown', (e) => {
+        if (!isRetiming || isDragging) return;
+        if (e.target.matches && e.target.matches('input[type="number"], input[type="text"], textarea')) return;
+        
+        if (e.key === ' ') {
+            e.preventDefault();
+            if (!e.repeat) holdRetimeKey();
+        } else if (e.key === 'Enter' && retimeHold) {
+            e.preventDefault();
+            finishRetiming();
+        } else if (e.key === 'Escape') {
+            setRetiming(false);
         }
-        
-        return speedKeyframes;
-    }
+    });
+    
+    document.addEventListener('keyup', (e) => {
+        if (e.key === ' ' && retimeHold) {
+            retimeHold = { ...retimeHold, held: false };
+        }
+    });
     
-    // 平滑化关键帧之间的过渡
-    function smoothKeyframes(keyframes, originalKeyframes) {
-        let result = [];
+    // 绘制路径 - 当前元素的路径高亮，其他元素的路径淡色显示
+    // 启用平滑时，原始轨迹画成细线，平滑后的轨迹画在上面用于对比
+    function drawPath() {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        drawGrid();
         
-        for (let i = 0; i < keyframes.length - 1; i++) {
-            const current = keyframes[i];
-            const next = keyframes[i + 1];
-            
-            // 添加当前关键帧
-            result.push(current);
+        tracks.forEach(track => {
+            const points = track.points;
+            if (points.length < 2) return;
             
-            // 如果与下一个关键帧间隔超过10%，添加中间点
-            if (next.progress - current.progress > 0.1) {
-                const middleProgress = (current.progress + next.progress) / 2;
-                
-                // 找到最接近这个进度的实际点
-                const closestKeyframe = findClosestKeyframeByProgress(originalKeyframes, middleProgress);
-                result.push(closestKeyframe);
+            const color = track === activeTrack ? '#3498db' : 'rgba(149, 165, 166, 0.6)';
+            if (smoothing.filter !== 'none' && track.motion) {
+                strokePoints(points, 'rgba(231, 76, 60, 0.5)', 1);
+                strokePoints(track.motion.filteredPoints, color, 2);
+            } else {
+                strokePoints(points, color, 2);
             }
-        }
-        
-        // 添加最后一个关键帧
-        result.push(keyframes[keyframes.length - 1]);
+        });
         
-        return result;
+        if (!isPathMode) {
+            tracks.forEach(drawStops);
+        }
+        drawGuides();
     }
     
-    // 找到最接近指定进度的关键帧
-    function findClosestKeyframeByProgress(keyframes, targetProgress) {
-        let closestIndex = 0;
-        let minDiff = 1.0;
-        
-        for (let i = 0; i < keyframes.length; i++) {
-            const diff = Math.abs(keyframes[i].progress - targetProgress);
-            if (diff < minDiff) {
-                minDiff = diff;
-                closestIndex = i;
-            }
+    // 网格线，每5格一条较深的线
+    function drawGrid() {
+        if (!snapping.grid) return;
+        
+        const pitch = snapping.pitch;
+        ctx.lineWidth = 1;
+        for (let i = 0; i * pitch <= Math.max(canvas.width, canvas.height); i++) {
+            ctx.strokeStyle = i % 5 === 0 ? 'rgba(52, 73, 94, 0.18)' : 'rgba(52, 73, 94, 0.07)';
+            ctx.beginPath();
+            ctx.moveTo(i * pitch + 0.5, 0);
+            ctx.lineTo(i * pitch + 0.5, canvas.height);
+            ctx.moveTo(0, i * pitch + 0.5);
+            ctx.lineTo(canvas.width, i * pitch + 0.5);
+            ctx.stroke();
         }
-        
-        return keyframes[closestIndex];
     }
     
-    // 计算贝塞尔曲线参数
-    function calculateBezierParameters(filteredPoints, totalDuration) {
-        const oneThirdIndex = Math.floor(filteredPoints.length / 3);
-        const twoThirdsIndex = Math.floor(filteredPoints.length * 2 / 3);
-        
-        // 粗略的速度映射，将轨迹上点之间的速度映射到贝塞尔控制点
-        const firstControlDuration = (filteredPoints[oneThirdIndex].time - filteredPoints[0].time) / totalDuration;
-        const secondControlDuration = (filteredPoints[twoThirdsIndex].time - filteredPoints[0].time) / totalDuration;
-        
-        // 限制贝塞尔曲线参数在[0,1]范围内
-        const x1 = Math.max(0, Math.min(1, firstControlDuration));
-        const y1 = Math.max(0, Math.min(1, oneThirdIndex / filteredPoints.length));
-        
-        const x2 = Math.max(0, Math.min(1, secondControlDuration));
-        const y2 = Math.max(0, Math.min(1, twoThirdsIndex / filteredPoints.length));
-        
-        return { x1, y1, x2, y2 };
+    // 拖动时起作用的参考线，贯穿整个画布
+    function drawGuides() {
+        snapGuides.forEach(guide => {
+            ctx.beginPath();
+            if (guide.axis === 'x') {
+                ctx.moveTo(guide.value, 0);
+                ctx.lineTo(guide.value, canvas.height);
+            } else {
+                ctx.moveTo(0, guide.value);
+                ctx.lineTo(canvas.width, guide.value);
+            }
+            ctx.strokeStyle = '#e84393';
+            ctx.lineWidth = 1;
+            ctx.stroke();
+        });
     }
     
-    // 生成SVG路径 - 使用用户绘制的路径
-    function generateSVGPath() {
-        if (points.length < 2) return 'M 0 0';
-        
-        // 计算相对路径（相对于第一个点）
-        let pathData = `M 0 0`; // 起始位置为原点
-        
-        const firstX = points[0].x;
-        const firstY = points[0].y;
-        
-        // 生成所有其他点的路径，相对于第一个点
-        for (let i = 1; i < points.length; i++) {
-            const relX = points[i].x - firstX;
-            const relY = points[i].y - firstY;
-            pathData += ` L ${relX} ${relY}`;
-        }
-        
-        console.log('生成的相对路径:', pathData);
-        return pathData;
+    // 定位模式下显示元素的停靠点：虚线按顺序连接各停靠点的元素中心，圆圈中为停靠点序号
+    function drawStops(track) {
+        if (track.stops.length === 0) return;
+        
+        const color = track === activeTrack ? '#e67e22' : 'rgba(149, 165, 166, 0.6)';
+        const centers = track.stops.map(stop => ({
+            x: parseFloat(stop.position.left) + track.node.offsetWidth / 2,
+            y: parseFloat(stop.position.top) + track.node.offsetHeight / 2
+        }));
+        
+        ctx.save();
+        ctx.setLineDash([6, 4]);
+        strokePoints(centers, color, 2);
+        ctx.restore();
+        
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        centers.forEach((center, i) => {
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, 10, 0, Math.PI * 2);
+            ctx.fillStyle = color;
+            ctx.fill();
+            ctx.fillStyle = '#fff';
+            ctx.fillText(`${i + 1}`, center.x, center.y);
+        });
     }
     
-    // 生成绝对SVG路径（用于可视化显示）
-    function generateAbsoluteSVGPath() {
-        if (points.length < 2) return 'M 0 0';
-        
-        // 生成路径，使用绝对坐标
-        let pathData = `M ${points[0].x} ${points[0].y}`;
+    function strokePoints(points, color, width) {
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
         
         for (let i = 1; i < points.length; i++) {
-            pathData += ` L ${points[i].x} ${points[i].y}`;
+            ctx.lineTo(points[i].x, points[i].y);
         }
         
-        return pathData;
+        ctx.strokeStyle = color;
+        ctx.lineWidth = width;
+        ctx.stroke();
     }
     
-    // 生成路径模式CSS代码
-    function generateCSS() {
+    // 计算动画参数（关键帧或贝塞尔曲线）并生成CSS
+    function calculateMotion(track) {
+        const points = track.points;
         if (points.length < 3) {
-            cssOutput.textContent = '/* 请先绘制有效的路径 */';
+            console.error('需要至少3个点来创建路径');
             return;
         }
         
-        // 准备数据
-        const filteredPoints = filterPoints(points);
-        const pathData = generateSVGPath();
-        const duration = (points[points.length - 1].time - points[0].time) / 1000;
-        const roundedDuration = Math.max(0.5, Math.min(5, Math.round(duration * 10) / 10));
+        const motion = createMotion(points, {
+            position: track.position,
+            tolerance: parseFloat(toleranceInput.value),
+            names: exportNames(track),
+            delay: track.delay,
+            timing: track.timing,
+            channels: track.channels,
+            path: track.pathEdit,
+            smoothing,
+            playback
+        });
+        track.motion = motion;
         
-        // 决定使用哪种动画方式
-        let cssCode;
-        if (window.motionKeyframes && window.motionKeyframes.length >= 3) {
-            cssCode = generateKeyframeCSS(roundedDuration, pathData);
-        } else {
-            const { x1, y1, x2, y2 } = bezierParams || { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
-            cssCode = generateBezierCSS(roundedDuration, pathData, x1, y1, x2, y2);
+        // 调试模式下显示拟合后的曲线
+        const svgPath = document.getElementById('testPathVis');
+        if (svgPath && track === activeTrack) {
+            svgPath.setAttribute('d', motion.absolutePath);
+            svgPath.style.display = window.debugMode ? 'block' : 'none';
         }
         
-        cssOutput.textContent = cssCode;
+        updateCSSOutput();
+        drawPath();
     }
     
-    // 生成关键帧动画CSS
-    function generateKeyframeCSS(duration, pathData) {
-        const keyframes = window.motionKeyframes;
-        
-        // 生成offset-distance关键帧
-        let keyframesCSS = '@keyframes followPath {\n';
-        for (let i = 0; i < keyframes.length; i++) {
-            const percent = Math.round(keyframes[i].progress * 1000) / 10; // 提高精度
-            keyframesCSS += `  ${percent}% {\n    offset-distance: ${percent}%;\n  }\n`;
-        }
-        keyframesCSS += '}\n\n';
-        
-        // 生成兼容性回退的关键帧
-        const firstPoint = keyframes[0].point;
-        
-        let fallbackKeyframesCSS = '@keyframes moveAlongPath {\n';
-        for (let i = 0; i < keyframes.length; i++) {
-            const percent = Math.round(keyframes[i].progress * 1000) / 10;
-            const relativeX = keyframes[i].point.x - firstPoint.x;
-            const relativeY = keyframes[i].point.y - firstPoint.y;
-            
-            // 计算在生成的路径上的相对位置
-            const top = parseFloat(currentElementPosition.top) + relativeY;
-            const left = parseFloat(currentElementPosition.left) + relativeX;
-            
-            fallbackKeyframesCSS += `  ${percent}% {\n    top: ${top}px;\n    left: ${left}px;\n  }\n`;
-        }
-        fallbackKeyframesCSS += '}';
-        
-        // 生成主要CSS
-        return `.element-animation {
-  /* 起始属性 */
-  position: fixed;
-  top: ${currentElementPosition.top};
-  left: ${currentElementPosition.left};
-  
-  /* 元素居中调整 */
-  transform: translate(-50%, -50%);
-  transform-origin: center center;
-  
-  /* 使用offset-path实现元素沿曲线移动 */
-  offset-path: path('${pathData}');
-  offset-rotate: 0deg; /* 保持元素方向不变 */
-  animation: followPath ${duration}s linear forwards;
-}
-
-${keyframesCSS}
-
-/* 兼容性回退 */
-@supports not (offset-path: path('')) {
-  .element-animation {
-    animation: moveAlongPath ${duration}s linear forwards;
-    transform: translate(-50%, -50%);
-    transform-origin: center center;
-  }
-  
-  ${fallbackKeyframesCSS}
-}`;
-    }
-    
-    // 生成贝塞尔曲线CSS
-    function generateBezierCSS(duration, pathData, x1, y1, x2, y2) {
-        // 格式化贝塞尔曲线参数
-        const bezierTiming = `cubic-bezier(${x1.toFixed(2)}, ${y1.toFixed(2)}, ${x2.toFixed(2)}, ${y2.toFixed(2)})`;
-        
-        return `.element-animation {
-  /* 起始属性 */
-  position: fixed;
-  top: ${currentElementPosition.top};
-  left: ${currentElementPosition.left};
-  
-  /* 元素居中调整 */
-  transform: translate(-50%, -50%);
-  transform-origin: center center;
-  
-  /* 使用offset-path实现元素沿曲线移动 */
-  offset-path: path('${pathData}');
-  offset-rotate: 0deg; /* 保持元素方向不变 */
-  animation: followPath ${duration}s ${bezierTiming} forwards;
-}
-
-@keyframes followPath {
-  0% {
-    offset-distance: 0%;
-  }
-  100% {
-    offset-distance: 100%;
-  }
-}
-
-/* 兼容性回退 */
-@supports not (offset-path: path('')) {
-  .element-animation {
-    animation: moveAlongPath ${duration}s ${bezierTiming} forwards;
-    transform: translate(-50%, -50%);
-    transform-origin: center center;
-  }
-  
-  @keyframes moveAlongPath {
-    0% {
-      top: ${currentElementPosition.top};
-      left: ${currentElementPosition.left};
-    }
-    100% {
-      top: ${points[points.length - 1].y}px;
-      left: ${points[points.length - 1].x}px;
-    }
-  }
-}
-`;
-    }
-    
-    // 生成定位模式CSS代码
-    function generatePositionCSS() {
-        const cssCode = `.positioned-element {
-  position: fixed;
-  top: ${currentElementPosition.top};
-  left: ${currentElementPosition.left};
-  width: 50px;
-  height: 50px;
-  background-color: #2ecc71;
-  border-radius: 50%;
-  display: flex;
-  align-items: center;
-  justify-content: center;
-  color: white;
-  box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
-  z-index: 10;
-}`;
-        
-        cssOutput.textContent = cssCode;
-    }
-    
-    // 播放动画函数
-    function playAnimation() {
-        if (!isPathMode || points.length < 3) {
-            if (isPathMode) {
-                alert('请先绘制有效的路径');
-            } else {
-                alert('路径模式下才能预览动画');
+    // 由停靠点生成定位序列，少于两个停靠点时只输出静态位置
+    function calculateSequence(track) {
+        track.sequence = track.stops.length >= 2 ? createSequence(track.stops, sequenceOptions(track)) : null;
+    }
+    
+    function sequenceOptions(track) {
+        return { names: exportNames(track), delay: track.delay, playback };
+    }
+    
+    // 曲线容差调整后重新拟合所有路径，手动编辑过的路径保持不变
+    toleranceInput.addEventListener('input', () => {
+        undoHistory.begin(snapshot());
+        toleranceValue.textContent = `${toleranceInput.value}px`;
+        tracks.forEach(track => {
+            if (track.points.length >= 3) {
+                calculateMotion(track);
             }
+        });
+    });
+    
+    toleranceInput.addEventListener('change', () => undoHistory.commit());
+    
+    // 手势平滑，对所有元素生效；平滑不改变点的数量，按关键帧序号保存的修改仍然有效
+    SMOOTHING_FILTERS.forEach(filter => {
+        const option = document.createElement('option');
+        option.value = filter.id;
+        option.textContent = filter.label;
+        smoothingSelect.appendChild(option);
+    });
+    renderSmoothing();
+    
+    smoothingSelect.addEventListener('change', () => {
+        undoHistory.record(snapshot());
+        setSmoothing({ ...smoothing, filter: smoothingSelect.value });
+    });
+    
+    smoothingStrengthInput.addEventListener('input', () => {
+        undoHistory.begin(snapshot());
+        setSmoothing({ ...smoothing, strength: parseFloat(smoothingStrengthInput.value) });
+    });
+    
+    smoothingStrengthInput.addEventListener('change', () => undoHistory.commit());
+    
+    function setSmoothing(next) {
+        smoothing = next;
+        renderSmoothing();
+        tracks.forEach(track => {
+            if (track.points.length >= 3) {
+                calculateMotion(track);
+            }
+        });
+        drawPath();
+    }
+    
+    // 网格和吸附设置，只影响绘制和拖动，不进入撤销历史
+    renderSnapping();
+    
+    [gridToggle, snapGridToggle, guidesToggle, gridPitchInput].forEach(input => {
+        input.addEventListener('change', () => {
+            setSnapping({
+                grid: gridToggle.checked,
+                pitch: gridPitchInput.value,
+                snapToGrid: snapGridToggle.checked,
+                guides: guidesToggle.checked
+            });
+        });
+    });
+    
+    function setSnapping(next) {
+        snapping = normalizeSnapping(next);
+        renderSnapping();
+        drawPath();
+        scheduleAutosave();
+    }
+    
+    function renderSnapping() {
+        gridToggle.checked = snapping.grid;
+        gridPitchInput.value = snapping.pitch;
+        snapGridToggle.checked = snapping.snapToGrid;
+        guidesToggle.checked = snapping.guides;
+    }
+    
+    function renderSmoothing() {
+        smoothingSelect.value = smoothing.filter;
+        smoothingStrengthInput.value = smoothing.strength;
+        smoothingStrengthInput.disabled = smoothing.filter === 'none';
+        smoothingStrengthValue.textContent = `${Math.round(smoothing.strength * 100)}%`;
+    }
+    
+    // 按选择的导出格式生成所有元素的代码：有路径的元素输出动画，有停靠点的元素输出定位序列，其余输出定位样式
+    function updateCSSOutput() {
+        cssOutput.textContent = generateExport(exportFormatSelect.value, tracks.map(track => ({
+            name: track.name,
+            names: exportNames(track),
+            position: track.position,
+            delay: track.delay,
+            motion: track.motion,
+            sequence: track.motion ? null : track.sequence,
+            target: track.target
+        })), exportOptions());
+        updateTimeline();
+    }
+    
+    // 播放动画函数 - 按时间轴同时播放所有已绘制路径的元素
+    function playAnimation() {
+        const animatedTracks = tracks.filter(track => track.motion);
+        const sequenceTracks = tracks.filter(track => !track.motion && track.sequence);
+        if (animatedTracks.length === 0 && sequenceTracks.length === 0) {
+            alert('请先绘制有效的路径');
             return;
         }
         
         console.log('---- 开始播放动画 ----');
+        animatedTracks.forEach(playTrack);
+        sequenceTracks.forEach(playSequence);
+    }
+    
+    // 播放定位序列：停靠点之间的 top/left 关键帧，缓动写在每一帧上，与导出的CSS一致
+    function playSequence(track) {
+        const element = track.node;
+        const sequence = track.sequence;
+        
+        resetElementStyles(element);
+        const keyframes = sequence.frames.map(frame => ({
+            offset: frame.progress,
+            left: `${frame.left}px`,
+            top: `${frame.top}px`,
+            easing: frame.easing || 'linear'
+        }));
+        
+        element.animation = element.animate(keyframes, {
+            duration: sequence.duration * 1000,
+            delay: track.delay * 1000,
+            iterations: sequence.playback.iterations === 'infinite' ? Infinity : sequence.playback.iterations,
+            direction: sequence.playback.direction,
+            fill: 'forwards'
+        });
+        transport.sync();
+    }
+    
+    // 播放单个元素的动画，延迟由Web Animations API的delay实现
+    function playTrack(track) {
+        const element = track.node;
+        const motion = track.motion;
         
         // 1. 准备动画参数
-        const { x1, y1, x2, y2 } = bezierParams || { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
-        const duration = (points[points.length - 1].time - points[0].time) / 1000;
-        const roundedDuration = Math.max(0.5, Math.min(5, Math.round(duration * 10) / 10));
+        const roundedDuration = motion.duration;
         
         // 2. 获取路径数据和元素尺寸
-        const filteredPoints = filterPoints(points);
+        const filteredPoints = motion.filteredPoints;
         const pathStartX = filteredPoints[0].x;
         const pathStartY = filteredPoints[0].y;
         
         // 更精确地获取元素尺寸 - 重要！
         // 只计算一次，避免多次获取可能的微小差异
-        const elementRect = animatedElement.getBoundingClientRect();
+        const elementRect = element.getBoundingClientRect();
         const elementWidth = elementRect.width;
         const elementHeight = elementRect.height;
         
@@ -736,13 +1404,13 @@ ${keyframesCSS}
         if (styleElem) styleElem.remove();
         
         // 移除动画
-        if (animatedElement.animation) {
-            animatedElement.animation.cancel();
-            animatedElement.animation = null;
+        if (element.animation) {
+            element.animation.cancel();
+            element.animation = null;
         }
         
         // 5. 强制重置元素 - 徻底清除所有样式并立即应用
-        resetElementStyles();
+        resetElementStyles(element);
 
         console.log('使用Web Animations API方法');
         console.log('元素尺寸:', elementWidth, elementHeight);
@@ -763,41 +1431,27 @@ ${keyframesCSS}
         
         // 7. 精确设置初始位置并创建关键帧
         // 直接使用绝对精确的像素值，避免任何浏览器计算差异
-        animatedElement.style.position = 'fixed';
-        animatedElement.style.left = `${startX}px`;
-        animatedElement.style.top = `${startY}px`;
+        element.style.position = 'fixed';
+        element.style.left = `${startX}px`;
+        element.style.top = `${startY}px`;
         
         // 8. 创建动画关键帧
-        if (window.motionKeyframes && window.motionKeyframes.length >= 3) {
-            // 使用处理过的关键帧
-            for (let i = 0; i < window.motionKeyframes.length; i++) {
-                const kf = window.motionKeyframes[i];
-                const adjustedX = kf.point.x - elementWidth/2;
-                const adjustedY = kf.point.y - elementHeight/2;
-                
-                keyframes.push({
-                    offset: kf.progress,
-                    left: `${adjustedX}px`,
-                    top: `${adjustedY}px`
-                });
-            }
-        } else {
-            // 使用所有过滤后的点
-            for (let i = 0; i < adjustedPoints.length; i++) {
-                keyframes.push({
-                    offset: i / (adjustedPoints.length - 1),
-                    left: `${adjustedPoints[i].x}px`,
-                    top: `${adjustedPoints[i].y}px`
-                });
-            }
-        }
+        // 与导出的回退动画一样沿拟合曲线按时间采样（已计入各模式的缓动），元素沿曲线而不是关键帧之间的直线移动，
+        // 采样点之间线性插值
+        sampleMotion(motion).forEach(s => {
+            keyframes.push({
+                offset: s.progress,
+                left: `${s.x - elementWidth/2}px`,
+                top: `${s.y - elementHeight/2}px`
+            });
+        });
         
         // 9. 使用双重延迟策略确保位置稳定后再应用动画
         // 第一个setTimeout等待浏览器完成元素位置的计算和应用
         setTimeout(() => {
             // 重新确认元素位置，确保没有发生任何变化
-            const currentLeft = parseFloat(window.getComputedStyle(animatedElement).left);
-            const currentTop = parseFloat(window.getComputedStyle(animatedElement).top);
+            const currentLeft = parseFloat(window.getComputedStyle(element).left);
+            const currentTop = parseFloat(window.getComputedStyle(element).top);
             
             // 检查位置是否精确，如果不是则再次设置
             if (Math.abs(currentLeft - startX) > 0.1 || Math.abs(currentTop - startY) > 0.1) {
@@ -805,11 +1459,11 @@ ${keyframesCSS}
                 console.log('应为:', startX, startY);
                 console.log('实际:', currentLeft, currentTop);
                 
-                animatedElement.style.left = `${startX}px`;
-                animatedElement.style.top = `${startY}px`;
+                element.style.left = `${startX}px`;
+                element.style.top = `${startY}px`;
                 
                 // 强制重绘
-                void animatedElement.offsetWidth;
+                void element.offsetWidth;
             }
             
             // 使用requestAnimationFrame确保在下一帧绘制前应用动画
@@ -817,69 +1471,93 @@ ${keyframesCSS}
                 // 10. 使用Web Animations API创建动画，完全避开CSS动画
                 const timing = {
                     duration: roundedDuration * 1000, // 转换为毫秒
-                    easing: window.motionKeyframes && window.motionKeyframes.length >= 3 ?
-                        'linear' :
-                        `cubic-bezier(${x1}, ${y1}, ${x2}, ${y2})`,
+                    easing: 'linear',
+                    delay: track.delay * 1000,
+                    iterations: motion.playback.iterations === 'infinite' ? Infinity : motion.playback.iterations,
+                    direction: motion.playback.direction,
                     fill: 'forwards'
                 };
                 
                 // 应用动画并保存引用
-                animatedElement.animation = animatedElement.animate(keyframes, timing);
+                element.animation = element.animate(keyframes, timing);
+                
+                // 变换通道作为第二个动画按时间线性变化，预览不使用offset-path，朝向运动方向的角度计入旋转
+                const channelFrames = transformFrames(motion, true);
+                if (channelFrames.length > 0) {
+                    element.channelAnimation = element.animate(channelFrames.map(channelKeyframe), { ...timing, easing: 'linear' });
+                }
+                transport.sync();
                 
                 // 动画开始和结束事件处理
-                animatedElement.animation.onfinish = () => {
+                element.animation.onfinish = () => {
                     console.log('动画完成');
                 };
                 
                 // 添加调试标记
                 if (window.debugMode) {
-                    displayDebugMarkers(filteredPoints, adjustedPoints);
+                    displayDebugMarkers(filteredPoints, adjustedPoints, element);
                 }
             });
         }, 150); // 增加等待时间，确保元素位置完全稳定
     }
     
+    // 通道关键帧转换为 element.animate() 的关键帧对象
+    function channelKeyframe(frame) {
+        const keyframe = { offset: frame.progress };
+        Object.keys(frame).forEach(name => {
+            if (name !== 'progress') {
+                keyframe[name] = formatChannel(name, frame[name]);
+            }
+        });
+        return keyframe;
+    }
+    
     // 重置元素所有样式到基本状态
-    function resetElementStyles() {
+    function resetElementStyles(element) {
         // 保存位置
-        const wasAnimating = !!animatedElement.animation;
+        const wasAnimating = !!element.animation;
         
         // 取消任何正在进行的动画
-        if (animatedElement.animation) {
-            animatedElement.animation.cancel();
-            animatedElement.animation = null;
+        if (element.animation) {
+            element.animation.cancel();
+            element.animation = null;
+        }
+        if (element.channelAnimation) {
+            element.channelAnimation.cancel();
+            element.channelAnimation = null;
         }
         
-        // 完全清除所有样式
-        animatedElement.style.cssText = '';
+        // 完全清除所有样式，目标元素的尺寸重新应用
+        element.style.cssText = '';
+        applyTargetSize(element);
         
         // 设置基本样式
-        animatedElement.style.position = 'fixed';
+        element.style.position = 'fixed';
         
         // 确保没有偏移属性，全部设为初始值，不影响布局
-        animatedElement.style.transform = 'none';
-        animatedElement.style.animation = 'none';
-        animatedElement.style.transition = 'none';
-        animatedElement.style.offsetPath = 'none';
-        animatedElement.style.offsetDistance = '0';
+        element.style.transform = 'none';
+        element.style.animation = 'none';
+        element.style.transition = 'none';
+        element.style.offsetPath = 'none';
+        element.style.offsetDistance = '0';
         
         // 如果元素曾经有动画，额外重置相关属性
         if (wasAnimating) {
-            animatedElement.style.offsetRotate = '0deg';
+            element.style.offsetRotate = '0deg';
             // 确保没有残留的动画属性
-            animatedElement.style.animationName = 'none';
-            animatedElement.style.animationDuration = '0s';
+            element.style.animationName = 'none';
+            element.style.animationDuration = '0s';
         }
         
         // 强制多次重绘，确保所有变化生效
-        void animatedElement.offsetWidth;
+        void element.offsetWidth;
         requestAnimationFrame(() => {
-            void animatedElement.offsetWidth;
+            void element.offsetWidth;
         });
     }
     
     // 显示调试标记
-    function displayDebugMarkers(points, adjustedPoints) {
+    function displayDebugMarkers(points, adjustedPoints, element) {
         // 显示路径
         const svg = document.getElementById('debugPath');
         const pathStartX = points[0].x;
@@ -927,7 +1605,7 @@ ${keyframesCSS}
         }
         
         // 设置中心点位置
-        const rect = animatedElement.getBoundingClientRect();
+        const rect = element.getBoundingClientRect();
         const centerX = rect.left + rect.width/2;
         const centerY = rect.top + rect.height/2;
         centerMarker.setAttribute('cx', centerX);
@@ -955,10 +1633,13 @@ ${keyframesCSS}
         pathVis.style.display = 'block';
     }
     
-    // 重置所有状态
+    // 重置当前元素的所有状态，其他元素保持不变
     function resetAll() {
-        // 清除画布
-        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        const element = activeTrack.node;
+        
+        if (isEditingPath) {
+            setPathEditing(false);
+        }
         
         // 清除SVG路径
         const svgPath = document.getElementById('testPathVis');
@@ -972,45 +1653,64 @@ ${keyframesCSS}
         if (styleElem) styleElem.remove();
         
         // 重置数据
-        points = [];
-        bezierParams = null;
+        activeTrack.points = [];
+        activeTrack.motion = null;
+        activeTrack.timing = {};
+        activeTrack.channels = {};
+        activeTrack.pathEdit = null;
+        activeTrack.shape = null;
+        activeTrack.stops = [];
+        activeTrack.sequence = null;
         
         // 重置指示器
         pathIndicator.classList.remove('active');
         
-        // 重置CSS输出
-        if (isPathMode) {
-            cssOutput.textContent = '/* 绘制路径后将生成CSS代码 */';
-        } else {
-            cssOutput.textContent = '/* 拖动元素后将生成CSS代码 */';
-        }
+        // 重绘画布，保留其他元素的路径
+        drawPath();
         
         // 重置动画元素
-        animatedElement.style.transition = 'none';
-        animatedElement.style.transform = ''; // 重置变换
-        animatedElement.style.offsetPath = '';
-        animatedElement.style.offsetRotate = '';
-        animatedElement.style.animation = '';
+        if (element.animation) {
+            element.animation.cancel();
+            element.animation = null;
+        }
+        if (element.channelAnimation) {
+            element.channelAnimation.cancel();
+            element.channelAnimation = null;
+        }
+        element.style.transition = 'none';
+        element.style.transform = ''; // 重置变换
+        element.style.offsetPath = '';
+        element.style.offsetRotate = '';
+        element.style.animation = '';
         
         // 如果不在路径模式，恢复元素位置
         if (!isPathMode) {
             // 元素重新回到初始位置或保持当前位置
-            animatedElement.style.left = currentElementPosition.left;
-            animatedElement.style.top = currentElementPosition.top;
+            element.style.left = activeTrack.position.left;
+            element.style.top = activeTrack.position.top;
         } else {
             // 路径模式下重置到初始位置
-            initElement();
+            initElement(activeTrack);
         }
         
+        // 重置CSS输出
+        updateCSSOutput();
+        
         // 确保所有重置完成后强制重绘
-        void animatedElement.offsetWidth;
+        void element.offsetWidth;
     }
     
     // 预览按钮
     previewBtn.addEventListener('click', playAnimation);
     
     // 重置按钮
-    resetBtn.addEventListener('click', resetAll);
+    resetBtn.addEventListener('click', () => {
+        undoHistory.record(snapshot());
+        resetAll();
+    });
+    
+    // 编辑路径按钮
+    editPathBtn.addEventListener('click', () => setPathEditing(!isEditingPath));
     
     // 弹窗相关元素
     const codeModal = document.getElementById('codeModal');
@@ -1018,6 +1718,46 @@ ${keyframesCSS}
     const closeModal = document.getElementById('closeModal');
     const copyBtnInModal = document.getElementById('copyBtnInModal');
     
+    // 导出格式选择
+    EXPORT_FORMATS.forEach(format => {
+        const option = document.createElement('option');
+        option.value = format.id;
+        option.textContent = format.label;
+        exportFormatSelect.appendChild(option);
+    });
+    exportFormatSelect.addEventListener('change', updateCSSOutput);
+    
+    // 坐标单位，参考尺寸默认为当前舞台尺寸
+    COORDINATE_UNITS.forEach(unit => {
+        const option = document.createElement('option');
+        option.value = unit.id;
+        option.textContent = unit.label;
+        exportUnitSelect.appendChild(option);
+    });
+    exportRefWidth.value = window.innerWidth;
+    exportRefHeight.value = window.innerHeight;
+    [exportUnitSelect, exportRefWidth, exportRefHeight].forEach(input => {
+        input.addEventListener('change', updateCSSOutput);
+    });
+    
+    // 当前导出格式使用的坐标设置，不支持相对坐标的格式始终使用像素
+    function exportOptions() {
+        const format = EXPORT_FORMATS.find(f => f.id === exportFormatSelect.value);
+        const unit = format && format.units ? exportUnitSelect.value : 'px';
+        
+        exportUnitSelect.disabled = !(format && format.units);
+        exportUnitSelect.title = exportUnitSelect.disabled ? '该导出格式只支持像素坐标' : '导出坐标使用的单位，相对单位下路径随容器缩放';
+        exportRefWidth.closest('.export-reference').classList.toggle('hidden', unit === 'px');
+        
+        return {
+            unit,
+            reference: {
+                width: parseFloat(exportRefWidth.value) || window.innerWidth,
+                height: parseFloat(exportRefHeight.value) || window.innerHeight
+            }
+        };
+    }
+    
     // 查看CSS代码按钮
     viewCodeBtn.addEventListener('click', () => {
         const cssCode = cssOutput.textContent;
@@ -1108,6 +1848,430 @@ ${keyframesCSS}
         }
     });
     
-    // 初始生成一次定位CSS
-    generatePositionCSS();
+    // 元素管理按钮
+    addElementBtn.addEventListener('click', () => {
+        undoHistory.record(snapshot());
+        const track = addTrack();
+        selectTrack(track);
+        updateCSSOutput();
+    });
+    
+    deleteElementBtn.addEventListener('click', () => deleteTrack(activeTrack));
+    
+    // 撤销/重做按钮和快捷键
+    undoBtn.addEventListener('click', undo);
+    redoBtn.addEventListener('click', redo);
+    
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.key.toLowerCase() !== 'z') return;
+        // 输入框内保留浏览器自带的撤销
+        if (e.target.matches && e.target.matches('input[type="number"], input[type="text"], textarea')) return;
+        
+        e.preventDefault();
+        if (e.shiftKey) {
+            redo();
+        } else {
+            undo();
+        }
+    });
+    
+    delayInput.addEventListener('change', () => {
+        setTrackDelay(activeTrack, parseFloat(delayInput.value) || 0);
+    });
+    
+    // 舞台背景：选中的背景元素成为当前元素的动画目标
+    const stageBackground = createStageBackground({
+        frame: document.getElementById('stageBackground'),
+        onPick: (target) => {
+            pickTargetBtn.classList.remove('active');
+            setTrackTarget(activeTrack, target);
+        }
+    });
+    
+    // 导出使用的选择器：有目标元素时使用目标元素的选择器
+    function exportNames(track) {
+        return targetNames(track.id, track.target);
+    }
+    
+    // 设置或清除元素的目标，目标元素的位置即元素的初始位置
+    function setTrackTarget(track, target) {
+        if (!track) return;
+        
+        undoHistory.record(snapshot());
+        track.target = target ? { selector: target.selector, width: target.width, height: target.height } : null;
+        if (target) {
+            track.position = { top: `${target.top}px`, left: `${target.left}px` };
+            track.placed = true;
+        }
+        
+        applyTarget(track);
+        resetElementStyles(track.node);
+        track.node.style.left = track.position.left;
+        track.node.style.top = track.position.top;
+        track.node.style.cursor = 'grab';
+        
+        if (track.points.length >= 3) {
+            calculateMotion(track);
+        } else {
+            updateCSSOutput();
+        }
+        updateTargetInfo();
+    }
+    
+    // 元素显示为目标元素大小的替身，标签为选择器
+    function applyTarget(track) {
+        const node = track.node;
+        const target = track.target;
+        
+        node.classList.toggle('target-proxy', !!target);
+        node.textContent = target ? target.selector : node.dataset.label;
+        if (target) {
+            node.dataset.targetWidth = target.width;
+            node.dataset.targetHeight = target.height;
+        } else {
+            delete node.dataset.targetWidth;
+            delete node.dataset.targetHeight;
+        }
+        applyTargetSize(node);
+    }
+    
+    function applyTargetSize(element) {
+        element.style.width = element.dataset.targetWidth ? `${element.dataset.targetWidth}px` : '';
+        element.style.height = element.dataset.targetHeight ? `${element.dataset.targetHeight}px` : '';
+    }
+    
+    function updateTargetInfo() {
+        const target = activeTrack && activeTrack.target;
+        targetInfo.textContent = target ?
+            `当前元素：${target.selector}（${target.width}×${target.height}px）` :
+            '当前元素：默认元素';
+    }
+    
+    backgroundBtn.addEventListener('click', () => {
+        backgroundPanel.hidden = !backgroundPanel.hidden;
+        backgroundBtn.classList.toggle('active', !backgroundPanel.hidden);
+    });
+    
+    document.getElementById('applyBackgroundBtn').addEventListener('click', () => {
+        stageBackground.load(backgroundHtmlInput.value.trim());
+        scheduleAutosave();
+    });
+    
+    document.getElementById('openBackgroundFileBtn').addEventListener('click', () => backgroundFileInput.click());
+    
+    backgroundFileInput.addEventListener('change', () => {
+        const file = backgroundFileInput.files[0];
+        backgroundFileInput.value = '';
+        if (!file) return;
+        
+        file.text()
+            .then(html => {
+                backgroundHtmlInput.value = html;
+                stageBackground.load(html);
+                scheduleAutosave();
+            })
+            .catch(err => {
+                console.error('读取HTML文件失败：', err);
+                alert('读取HTML文件失败');
+            });
+    });
+    
+    document.getElementById('clearBackgroundBtn').addEventListener('click', () => {
+        pickTargetBtn.classList.remove('active');
+        backgroundHtmlInput.value = '';
+        stageBackground.load('');
+        scheduleAutosave();
+    });
+    
+    pickTargetBtn.addEventListener('click', () => {
+        if (stageBackground.isPicking()) {
+            stageBackground.stopPicking();
+            pickTargetBtn.classList.remove('active');
+            return;
+        }
+        
+        if (!stageBackground.startPicking()) {
+            alert('请先载入背景页面');
+            return;
+        }
+        pickTargetBtn.classList.add('active');
+    });
+    
+    document.getElementById('clearTargetBtn').addEventListener('click', () => {
+        if (activeTrack && activeTrack.target) {
+            setTrackTarget(activeTrack, null);
+        }
+    });
+    
+    // ESC键取消选择目标元素
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape' && stageBackground.isPicking()) {
+            stageBackground.stopPicking();
+            pickTargetBtn.classList.remove('active');
+        }
+    });
+    
+    // 当前编辑状态的快照
+    // 轨迹点、节奏、编辑后的路径和位置在修改时都是整体替换的，快照直接引用这些对象即可
+    function snapshot() {
+        return {
+            tracks: tracks.map(track => ({
+                track,
+                points: track.points,
+                timing: track.timing,
+                channels: track.channels,
+                pathEdit: track.pathEdit,
+                shape: track.shape,
+                stops: track.stops,
+                position: track.position,
+                delay: track.delay,
+                placed: track.placed,
+                target: track.target
+            })),
+            activeId: activeTrack ? activeTrack.id : null,
+            isPathMode,
+            tolerance: toleranceInput.value,
+            smoothing,
+            playback
+        };
+    }
+    
+    // 恢复到某个快照，重新生成所有元素的动画
+    function restore(state) {
+        // 被删除的元素从页面移除，恢复的元素重新放回页面
+        tracks.forEach(track => {
+            if (!state.tracks.some(saved => saved.track === track)) {
+                resetElementStyles(track.node);
+                track.node.remove();
+            }
+        });
+        
+        tracks.length = 0;
+        state.tracks.forEach(saved => {
+            const { track, ...fields } = saved;
+            Object.assign(track, fields);
+            if (!track.node.isConnected) {
+                document.body.appendChild(track.node);
+            }
+            tracks.push(track);
+        });
+        
+        toleranceInput.value = state.tolerance;
+        toleranceValue.textContent = `${state.tolerance}px`;
+        playback = state.playback;
+        transport.render(playback);
+        smoothing = state.smoothing;
+        renderSmoothing();
+        applyMode(state.isPathMode);
+        
+        activeTrack = tracks.find(track => track.id === state.activeId) || tracks[0];
+        tracks.forEach(track => {
+            applyTarget(track);
+            resetElementStyles(track.node);
+            track.node.style.left = track.position.left;
+            track.node.style.top = track.position.top;
+            track.node.style.cursor = 'grab';
+            
+            if (track.points.length >= 3) {
+                calculateMotion(track);
+            } else {
+                track.motion = null;
+            }
+            calculateSequence(track);
+        });
+        
+        // 编辑中的路径随之更新，路径已不存在时退出编辑
+        if (isEditingPath) {
+            setPathEditing(false);
+            if (activeTrack.motion) {
+                setPathEditing(true);
+            }
+        }
+        
+        const svgPath = document.getElementById('testPathVis');
+        if (svgPath) {
+            svgPath.setAttribute('d', activeTrack.motion ? activeTrack.motion.absolutePath : 'M 0 0');
+            svgPath.style.display = activeTrack.motion && window.debugMode ? 'block' : 'none';
+        }
+        
+        selectTrack(activeTrack);
+        updateCSSOutput();
+    }
+    
+    // 当前舞台生成项目文档
+    function currentProject() {
+        return serializeProject({
+            elements: tracks.map(track => ({
+                ...track,
+                size: { width: track.node.offsetWidth, height: track.node.offsetHeight }
+            })),
+            activeId: activeTrack ? activeTrack.id : null,
+            isPathMode,
+            tolerance: parseFloat(toleranceInput.value),
+            background: stageBackground.html(),
+            smoothing,
+            playback,
+            snapping
+        });
+    }
+    
+    // 用项目文档替换舞台上的所有元素，替换前的状态可以撤销
+    function loadProject(project) {
+        undoHistory.record(snapshot());
+        
+        const saved = project.elements.map(el => ({
+            track: addTrack(el.id, el.name),
+            points: el.points,
+            timing: el.timing || {},
+            channels: el.channels || {},
+            pathEdit: el.path || null,
+            shape: el.shape || null,
+            stops: el.stops || [],
+            position: el.position,
+            delay: el.delay || 0,
+            placed: !!el.placed,
+            target: el.target || null
+        }));
+        nextTrackId = Math.max(...project.elements.map(el => el.id)) + 1;
+        
+        setSnapping(project.settings.snapping);
+        
+        const background = project.settings.background || '';
+        backgroundHtmlInput.value = background;
+        stageBackground.load(background);
+        
+        restore({
+            tracks: saved,
+            activeId: project.activeId,
+            isPathMode: project.settings.mode === 'path',
+            tolerance: String(project.settings.tolerance),
+            smoothing: { ...DEFAULT_SMOOTHING, ...project.settings.smoothing },
+            playback: { ...DEFAULT_PLAYBACK, ...project.settings.playback }
+        });
+    }
+    
+    // 自动保存到localStorage，连续修改时只保存最后一次
+    let autosaveTimer = null;
+    function scheduleAutosave() {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(() => {
+            try {
+                localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(currentProject()));
+            } catch (err) {
+                console.error('自动保存失败：', err);
+            }
+        }, 500);
+    }
+    
+    // 页面加载时恢复上次自动保存的项目，恢复本身不进入撤销历史
+    function restoreAutosave() {
+        let json = null;
+        try {
+            json = localStorage.getItem(AUTOSAVE_KEY);
+        } catch (err) {
+            return false;
+        }
+        if (!json) return false;
+        
+        try {
+            loadProject(parseProject(json));
+            undoHistory.clear();
+            return true;
+        } catch (err) {
+            console.error('恢复自动保存的项目失败：', err);
+            return false;
+        }
+    }
+    
+    // 保存项目 - 下载JSON文件
+    saveProjectBtn.addEventListener('click', () => {
+        const blob = new Blob([JSON.stringify(currentProject(), null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'animdraw-project.json';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    });
+    
+    // 打开项目 - 从文件读取
+    openProjectBtn.addEventListener('click', () => projectFileInput.click());
+    
+    projectFileInput.addEventListener('change', async () => {
+        const file = projectFileInput.files[0];
+        projectFileInput.value = '';
+        if (!file) return;
+        
+        try {
+            loadProject(parseProject(await file.text()));
+        } catch (err) {
+            console.error('打开项目失败：', err);
+            alert(`打开项目失败：${err.message}`);
+        }
+    });
+    
+    // 复制分享链接 - 当前舞台压缩后写入链接的hash
+    shareBtn.addEventListener('click', async () => {
+        if (!tracks.some(track => track.motion || track.sequence)) {
+            alert('请先绘制有效的路径');
+            return;
+        }
+        
+        try {
+            const hash = await encodeShare(currentProject());
+            const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+            await navigator.clipboard.writeText(url);
+            
+            shareBtn.textContent = '已复制链接';
+            setTimeout(() => {
+                shareBtn.textContent = '复制分享链接';
+            }, 2000);
+        } catch (err) {
+            console.error('生成分享链接失败：', err);
+            alert(`生成分享链接失败：${err.message}`);
+        }
+    });
+    
+    // 打开分享链接时恢复舞台并自动播放
+    // initial 为 true 表示页面刚加载，此时没有需要撤销回去的状态
+    async function restoreShareLink(initial) {
+        if (!isShareHash(location.hash)) return false;
+        
+        try {
+            loadProject(await decodeShare(location.hash));
+            if (initial) {
+                undoHistory.clear();
+            }
+            playAnimation();
+            return true;
+        } catch (err) {
+            console.error('打开分享链接失败：', err);
+            alert(`打开分享链接失败：${err.message}`);
+            return false;
+        }
+    }
+    
+    // 在已打开的页面中粘贴新的分享链接
+    window.addEventListener('hashchange', () => restoreShareLink(false));
+    
+    function undo() {
+        if (isDragging) return;
+        const state = undoHistory.undo(snapshot());
+        if (state) restore(state);
+    }
+    
+    function redo() {
+        if (isDragging) return;
+        const state = undoHistory.redo(snapshot());
+        if (state) restore(state);
+    }
+    
+    // 优先打开分享链接，其次恢复上次的项目，都没有时创建第一个元素，并初始生成一次定位CSS
+    restoreShareLink(true).then(restored => {
+        if (restored || restoreAutosave()) return;
+        selectTrack(addTrack());
+        updateCSSOutput();
+    });
 });
\ No newline at end of file
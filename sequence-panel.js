@@ -0,0 +1,131 @@
+// 停靠点面板 - 定位模式下把元素当前的位置添加为停靠点，编辑每个停靠点的停留时间、移动时间和缓动
+// 只在定位模式下显示，编辑的始终是当前选中的元素
+
+import { STOP_EASINGS, DEFAULT_STOP } from './sequence.js';
+
+// list: 放置停靠点行的容器，addButton: “添加停靠点”按钮，summary: 显示停靠点数量和总时长
+// onChange(stops): 停靠点被修改时调用，stops 为新的数组（见 sequence.js），
+//   返回 false 表示修改无效，面板恢复显示原来的停靠点
+// onMoveTo(index): 点击停靠点序号时调用，把元素移到该停靠点
+export function createSequencePanel({ list, addButton, summary, onChange, onMoveTo }) {
+    let track = null;
+    let rendered = null;
+
+    // 把元素当前的位置添加为最后一个停靠点
+    addButton.addEventListener('click', () => {
+        if (!track) return;
+        change([...stops(), { ...DEFAULT_STOP, position: track.position }]);
+    });
+
+    function change(next) {
+        if (onChange(next) === false) {
+            rendered = null;
+            render(track);
+        }
+    }
+
+    function stops() {
+        return (track && track.stops) || [];
+    }
+
+    // 修改第 index 个停靠点
+    function update(index, patch) {
+        change(stops().map((stop, i) => i === index ? { ...stop, ...patch } : stop));
+    }
+
+    function render(next) {
+        track = next;
+        const current = stops();
+        addButton.disabled = !track;
+
+        if (current.length === 0) {
+            summary.textContent = '拖动元素到某个位置后添加为停靠点';
+        } else if (current.length === 1) {
+            summary.textContent = '再添加一个停靠点即可生成动画';
+        } else {
+            summary.textContent = `${current.length} 个停靠点，共 ${track.sequence ? track.sequence.duration : 0}s`;
+        }
+
+        // 停靠点没变时保留输入框，避免打断正在进行的输入
+        if (rendered === current) return;
+        rendered = current;
+
+        list.innerHTML = '';
+        current.forEach((stop, i) => {
+            const row = document.createElement('div');
+            row.className = 'stop-row';
+
+            const label = document.createElement('button');
+            label.className = 'stop-label';
+            label.textContent = `${i + 1}`;
+            label.title = `移到停靠点 ${i + 1}（${stop.position.left}, ${stop.position.top}）`;
+            label.addEventListener('click', () => onMoveTo(i));
+            row.appendChild(label);
+
+            // 第一个停靠点是起点，没有移动时间和缓动
+            if (i > 0) {
+                row.appendChild(numberField('移动', stop.duration, value => update(i, { duration: value })));
+                row.appendChild(easingField(stop.easing, value => update(i, { easing: value })));
+            }
+            row.appendChild(numberField('停留', stop.hold, value => update(i, { hold: value })));
+
+            const place = document.createElement('button');
+            place.textContent = '设为当前位置';
+            place.title = '把停靠点移到元素现在的位置';
+            place.addEventListener('click', () => update(i, { position: track.position }));
+            row.appendChild(place);
+
+            const remove = document.createElement('button');
+            remove.textContent = '删除';
+            remove.addEventListener('click', () => change(stops().filter((_, j) => j !== i)));
+            row.appendChild(remove);
+
+            list.appendChild(row);
+        });
+    }
+
+    // 秒数输入框，输入无效时恢复原值
+    function numberField(text, value, commit) {
+        const label = document.createElement('label');
+        const name = document.createElement('span');
+        name.textContent = text;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.min = 0;
+        input.step = 0.1;
+        input.value = value;
+        input.addEventListener('change', () => {
+            const seconds = parseFloat(input.value);
+            if (!Number.isFinite(seconds) || seconds < 0) {
+                input.value = value;
+                return;
+            }
+            commit(seconds);
+        });
+
+        const unit = document.createElement('span');
+        unit.textContent = 's';
+
+        label.appendChild(name);
+        label.appendChild(input);
+        label.appendChild(unit);
+        return label;
+    }
+
+    function easingField(value, commit) {
+        const select = document.createElement('select');
+        select.title = '从上一个停靠点移动到这里的缓动';
+        STOP_EASINGS.forEach(easing => {
+            const option = document.createElement('option');
+            option.value = easing.id;
+            option.textContent = easing.label;
+            select.appendChild(option);
+        });
+        select.value = value;
+        select.addEventListener('change', () => commit(select.value));
+        return select;
+    }
+
+    return { render };
+}
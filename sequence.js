@@ -0,0 +1,126 @@
+// 定位序列 - 定位模式下把元素依次放到多个停靠点，生成在停靠点之间跳转的 @keyframes 动画
+//
+// 停靠点（元素的 stops 设置，修改时整体替换）：[{ position: { top, left }, hold, duration, easing }]
+//   position: 元素左上角的位置（CSS长度字符串，与定位模式的 position 相同）
+//   hold: 到达后停留的时间（秒）
+//   duration: 从上一个停靠点移动到这里所用的时间（秒），第一个停靠点忽略
+//   easing: 从上一个停靠点移动到这里的缓动，见 STOP_EASINGS，第一个停靠点忽略
+// 至少两个停靠点才生成动画，只有一个时仍按定位模式输出静态位置。
+
+import { animationNames, normalizePlayback, formatPlayback } from './motion-core.js';
+
+// 停靠点之间可选的缓动，顺序即选择框中的顺序
+// bezier 为对应的贝塞尔参数，用于 SVG 的 keySplines；瞬间跳转没有对应的曲线，用接近阶跃的曲线代替
+export const STOP_EASINGS = [
+    { id: 'ease-in-out', label: '缓入缓出', bezier: { x1: 0.42, y1: 0, x2: 0.58, y2: 1 } },
+    { id: 'ease', label: 'ease', bezier: { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 } },
+    { id: 'ease-in', label: '缓入', bezier: { x1: 0.42, y1: 0, x2: 1, y2: 1 } },
+    { id: 'ease-out', label: '缓出', bezier: { x1: 0, y1: 0, x2: 0.58, y2: 1 } },
+    { id: 'linear', label: '匀速', bezier: { x1: 0, y1: 0, x2: 1, y2: 1 } },
+    { id: 'step-end', label: '瞬间跳转', bezier: { x1: 1, y1: 0, x2: 1, y2: 0 } }
+];
+
+// 新建停靠点使用的停留时间、移动时间和缓动
+export const DEFAULT_STOP = { hold: 0.5, duration: 0.5, easing: 'ease-in-out' };
+
+// 补全停靠点的设置，时间无效时取默认值，未知的缓动时抛出错误
+export function normalizeStop(stop) {
+    const easing = stop.easing || DEFAULT_STOP.easing;
+    if (!STOP_EASINGS.some(e => e.id === easing)) {
+        throw new Error(`未知的停靠点缓动：${easing}`);
+    }
+
+    const seconds = (value, fallback) => {
+        const number = parseFloat(value);
+        return Number.isFinite(number) && number >= 0 ? Math.round(number * 100) / 100 : fallback;
+    };
+    return {
+        position: { top: stop.position.top, left: stop.position.left },
+        hold: seconds(stop.hold, DEFAULT_STOP.hold),
+        duration: seconds(stop.duration, DEFAULT_STOP.duration),
+        easing
+    };
+}
+
+// 从停靠点生成序列动画：{ stops, duration, frames, playback, css }
+// frames: [{ progress, top, left, easing }]，top/left 为像素数值，easing 为到下一帧之间的缓动
+//   （停留时为 null，停留后瞬间移动到下一个停靠点时为 step-end）
+// options: { names, delay, playback }，同 createMotion 的同名选项
+export function createSequence(stops, options = {}) {
+    if (!stops || stops.length < 2) {
+        throw new Error('至少需要两个停靠点');
+    }
+
+    const normalized = stops.map(normalizeStop);
+    const duration = Math.round(normalized.reduce((sum, stop, i) =>
+        sum + stop.hold + (i > 0 ? stop.duration : 0), 0) * 100) / 100;
+    if (duration <= 0) {
+        throw new Error('停靠点的停留和移动时间不能都为0');
+    }
+
+    // 每个停靠点：到达时一帧，停留结束离开时一帧，离开的那一帧带上去下一个停靠点的缓动
+    const frames = [];
+    let time = 0;
+    normalized.forEach((stop, i) => {
+        const top = parseFloat(stop.position.top);
+        const left = parseFloat(stop.position.left);
+        const next = normalized[i + 1];
+        if (i > 0) time += stop.duration;
+        const arrival = time / duration;
+        time += stop.hold;
+
+        // 下一个停靠点的移动时间为0时没有离开帧，停留期间用 step-end 保持在原位，到时间后直接跳过去
+        const jump = next && next.duration === 0 && stop.hold > 0;
+        frames.push({ progress: arrival, top, left, easing: jump ? 'step-end' : null });
+        if (next && next.duration > 0) {
+            frames.push({ progress: time / duration, top, left, easing: next.easing });
+        } else if (!next && stop.hold > 0) {
+            frames.push({ progress: 1, top, left, easing: null });
+        }
+    });
+
+    // 停留为0时到达和离开是同一时刻，只保留带缓动的离开帧
+    const unique = frames.filter((frame, i) => i === frames.length - 1 || frames[i + 1].progress > frame.progress);
+    const playback = normalizePlayback(options.playback);
+    const output = { names: options.names || animationNames(), delay: options.delay || 0, playback };
+
+    return {
+        stops: normalized,
+        duration,
+        frames: unique,
+        playback,
+        css: generateSequenceCSS(unique, duration, output)
+    };
+}
+
+// 生成定位序列的CSS：元素按 top/left 关键帧在停靠点之间移动，缓动写在关键帧的 animation-timing-function 中
+// output: { names, delay, playback }
+export function generateSequenceCSS(frames, duration, output = {}) {
+    const names = output.names || animationNames();
+    const delay = output.delay ? ` ${output.delay}s` : '';
+    const first = frames[0];
+
+    const keyframes = frames.map(frame => {
+        const easing = frame.easing ? `\n    animation-timing-function: ${frame.easing};` : '';
+        return `  ${percent(frame.progress)} {\n    top: ${round(frame.top)}px;\n    left: ${round(frame.left)}px;${easing}\n  }`;
+    }).join('\n');
+
+    return `${names.positioned} {
+  position: fixed;
+  top: ${round(first.top)}px;
+  left: ${round(first.left)}px;
+  animation: ${names.sequence} ${duration}s linear${delay}${formatPlayback(output.playback)} forwards;
+}
+
+@keyframes ${names.sequence} {
+${keyframes}
+}`;
+}
+
+function percent(progress) {
+    return `${Math.round(progress * 10000) / 100}%`;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,121 @@
+// 图形面板 - 选择几何图形并修改参数、时长和缓动，生成当前元素的路径
+// 只在路径模式下显示；当前元素的路径由图形生成时，修改参数立即重新生成
+
+import { SHAPES, SHAPE_EASINGS, normalizeShape } from './shapes.js';
+
+// onApply(shape): 点击“生成路径”或修改由图形生成的路径时调用，shape 为 { id, params, duration, easing }，
+//   返回 false 表示图形无效，面板恢复显示原来的设置
+export function createShapePanel({ shapeSelect, paramsContainer, durationInput, easingSelect, applyButton, onApply }) {
+    let track = null;
+    let draft = normalizeShape(null);
+    let renderedId = null;
+
+    SHAPES.forEach(definition => {
+        const option = document.createElement('option');
+        option.value = definition.id;
+        option.textContent = definition.label;
+        shapeSelect.appendChild(option);
+    });
+
+    SHAPE_EASINGS.forEach(easing => {
+        const option = document.createElement('option');
+        option.value = easing.id;
+        option.textContent = easing.label;
+        easingSelect.appendChild(option);
+    });
+
+    // 切换图形时参数恢复默认值
+    shapeSelect.addEventListener('change', () => {
+        change({ ...draft, id: shapeSelect.value, params: {} });
+    });
+
+    easingSelect.addEventListener('change', () => change({ ...draft, easing: easingSelect.value }));
+
+    durationInput.addEventListener('change', () => {
+        const seconds = parseFloat(durationInput.value);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            durationInput.value = draft.duration;
+            return;
+        }
+        change({ ...draft, duration: seconds });
+    });
+
+    applyButton.addEventListener('click', () => {
+        if (track) apply(draft);
+    });
+
+    // 修改设置，当前路径由图形生成时立即应用
+    function change(next) {
+        draft = normalizeShape(next);
+        if (track && track.shape) {
+            apply(draft);
+        } else {
+            show();
+        }
+    }
+
+    function apply(shape) {
+        const { id, params, duration, easing } = shape;
+        if (onApply({ id, params, duration, easing }) === false && track && track.shape) {
+            draft = normalizeShape(track.shape);
+        }
+        show();
+    }
+
+    // 显示某个元素的图形设置，元素的路径不是图形生成的时保留正在编辑的设置
+    function render(next) {
+        track = next;
+        if (track && track.shape) {
+            draft = normalizeShape(track.shape);
+        }
+        applyButton.disabled = !track;
+        show();
+    }
+
+    function show() {
+        const definition = SHAPES.find(s => s.id === draft.id);
+        shapeSelect.value = draft.id;
+        easingSelect.value = draft.easing;
+        durationInput.value = draft.duration;
+
+        // 图形没变时只更新输入框的值，避免打断正在进行的输入
+        if (renderedId === draft.id) {
+            paramsContainer.querySelectorAll('input').forEach(input => {
+                if (input !== document.activeElement) {
+                    input.value = draft.params[input.name];
+                }
+            });
+            return;
+        }
+        renderedId = draft.id;
+
+        paramsContainer.innerHTML = '';
+        definition.params.forEach(param => {
+            const label = document.createElement('label');
+            const name = document.createElement('span');
+            name.textContent = param.label;
+
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.name = param.name;
+            input.min = param.min;
+            input.max = param.max;
+            input.step = param.step;
+            input.value = draft.params[param.name];
+            input.addEventListener('change', () => {
+                const value = parseFloat(input.value);
+                if (!Number.isFinite(value) || value < param.min || value > param.max) {
+                    input.value = draft.params[param.name];
+                    return;
+                }
+                change({ ...draft, params: { ...draft.params, [param.name]: value } });
+            });
+
+            label.appendChild(name);
+            label.appendChild(input);
+            paramsContainer.appendChild(label);
+        });
+    }
+
+    return { render };
+}
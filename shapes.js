@@ -0,0 +1,199 @@
+// 几何图形路径 - 直接生成直线、圆弧、圆/椭圆轨道、多边形和螺旋线的路径，不需要手绘
+//
+// 图形设置（元素的 shape 字段，修改时整体替换）：{ id, params, duration, easing, origin }
+//   params: 图形的参数，缺省的参数取默认值，见 SHAPES
+//   duration: 动画时长（秒）
+//   easing: 'linear' 为匀速，其余为节奏预设的id（见 presets.js）
+//   origin: 路径起点 { x, y }，即生成时元素中心所在的位置
+// 图形先转换为精确的三次贝塞尔曲线段，再沿路径按弧长均匀采样为匀速的轨迹点（见 retime.js），
+// 轨迹点和曲线段（作为编辑过的路径）交给 createMotion，与手绘路径使用同一套关键帧和CSS生成。
+// 角度以度为单位，0° 指向右方，正值为屏幕上的顺时针方向。
+
+import { buildArcLengthTable } from './curve-fit.js';
+import { PRESETS } from './presets.js';
+import { pathPoints } from './retime.js';
+
+// 图形列表，顺序即选择框中的顺序
+// params: [{ name, label, min, max, step, value }]，value 为默认值
+export const SHAPES = [
+    { id: 'line', label: '直线', params: [
+        { name: 'length', label: '长度', min: 10, max: 3000, step: 10, value: 300 },
+        { name: 'angle', label: '方向', min: -360, max: 360, step: 15, value: 0 }
+    ] },
+    { id: 'arc', label: '圆弧', params: [
+        { name: 'radius', label: '半径', min: 5, max: 2000, step: 5, value: 150 },
+        { name: 'start', label: '起点方位', min: -360, max: 360, step: 15, value: 180 },
+        { name: 'sweep', label: '圆心角', min: -720, max: 720, step: 15, value: 180 }
+    ] },
+    { id: 'orbit', label: '圆/椭圆轨道', params: [
+        { name: 'radiusX', label: '横向半径', min: 5, max: 2000, step: 5, value: 150 },
+        { name: 'radiusY', label: '纵向半径', min: 5, max: 2000, step: 5, value: 150 },
+        { name: 'turns', label: '圈数', min: -20, max: 20, step: 0.25, value: 1 }
+    ] },
+    { id: 'polygon', label: '多边形', params: [
+        { name: 'sides', label: '边数', min: 3, max: 24, step: 1, value: 6 },
+        { name: 'radius', label: '半径', min: 5, max: 2000, step: 5, value: 150 },
+        { name: 'rotation', label: '旋转', min: -360, max: 360, step: 15, value: 0 }
+    ] },
+    { id: 'spiral', label: '螺旋线', params: [
+        { name: 'startRadius', label: '起始半径', min: 0, max: 2000, step: 5, value: 10 },
+        { name: 'endRadius', label: '结束半径', min: 0, max: 2000, step: 5, value: 150 },
+        { name: 'turns', label: '圈数', min: -20, max: 20, step: 0.25, value: 3 }
+    ] }
+];
+
+// 图形可选的缓动：匀速或节奏预设
+export const SHAPE_EASINGS = [
+    { id: 'linear', label: '匀速' },
+    ...PRESETS.map(preset => ({ id: preset.id, label: preset.label }))
+];
+
+export const DEFAULT_SHAPE = { id: 'orbit', params: {}, duration: 2, easing: 'linear' };
+
+// 图形的最小长度（像素）
+const MIN_LENGTH = 10;
+
+// 曲线每段覆盖的最大角度，越小与真实图形越接近
+const MAX_PIECE_ANGLE = Math.PI / 6;
+
+// 补全图形设置，未知的图形或缓动时抛出错误
+export function normalizeShape(shape) {
+    const id = (shape && shape.id) || DEFAULT_SHAPE.id;
+    const definition = SHAPES.find(s => s.id === id);
+    if (!definition) {
+        throw new Error(`未知的图形：${id}`);
+    }
+
+    const easing = (shape && shape.easing) || DEFAULT_SHAPE.easing;
+    if (!SHAPE_EASINGS.some(e => e.id === easing)) {
+        throw new Error(`未知的图形缓动：${easing}`);
+    }
+
+    const params = {};
+    definition.params.forEach(param => {
+        const value = shape && shape.params ? parseFloat(shape.params[param.name]) : NaN;
+        params[param.name] = Number.isFinite(value) ? Math.max(param.min, Math.min(param.max, value)) : param.value;
+    });
+
+    const duration = parseFloat(shape && shape.duration);
+    return {
+        id,
+        params,
+        duration: Number.isFinite(duration) && duration > 0 ? duration : DEFAULT_SHAPE.duration,
+        easing,
+        origin: (shape && shape.origin) || { x: 0, y: 0 }
+    };
+}
+
+// 生成图形的路径和轨迹点：{ segments, locations, points }
+// segments/locations 的格式同 fitCurve 的返回值，可以直接作为 createMotion 的 options.path，
+// points 为从 origin 出发、在 duration 内匀速走完全程的轨迹点
+export function createShape(shape) {
+    const { id, params, duration, origin } = normalizeShape(shape);
+    const segments = shapeSegments(id, params, origin);
+
+    if (buildArcLengthTable(segments).total < MIN_LENGTH) {
+        throw new Error('图形太小，无法生成路径');
+    }
+
+    // 从起点到终点匀速移动
+    return pathPoints(segments, [{ time: 0, progress: 0 }, { time: duration * 1000, progress: 1 }]);
+}
+
+// 各图形的曲线段，起点均为 origin
+function shapeSegments(id, params, origin) {
+    const rad = (deg) => deg * Math.PI / 180;
+
+    switch (id) {
+        case 'line': {
+            const angle = rad(params.angle);
+            const end = { x: origin.x + params.length * Math.cos(angle), y: origin.y + params.length * Math.sin(angle) };
+            return [lineSegment(origin, end)];
+        }
+        case 'arc': {
+            // 起点方位为起点相对于圆心的方向
+            const start = rad(params.start);
+            const r = params.radius;
+            const center = { x: origin.x - r * Math.cos(start), y: origin.y - r * Math.sin(start) };
+            return parametricSegments(
+                (a) => ({ x: center.x + r * Math.cos(a), y: center.y + r * Math.sin(a) }),
+                (a) => ({ x: -r * Math.sin(a), y: r * Math.cos(a) }),
+                start, start + rad(params.sweep)
+            );
+        }
+        case 'orbit': {
+            // 从轨道最右侧出发
+            const { radiusX: rx, radiusY: ry } = params;
+            const center = { x: origin.x - rx, y: origin.y };
+            return parametricSegments(
+                (a) => ({ x: center.x + rx * Math.cos(a), y: center.y + ry * Math.sin(a) }),
+                (a) => ({ x: -rx * Math.sin(a), y: ry * Math.cos(a) }),
+                0, Math.PI * 2 * params.turns
+            );
+        }
+        case 'polygon': {
+            // 从顶点出发（旋转为0时在正上方），依次经过各顶点回到起点
+            const r = params.radius;
+            const sides = Math.round(params.sides);
+            const first = rad(params.rotation - 90);
+            const center = { x: origin.x - r * Math.cos(first), y: origin.y - r * Math.sin(first) };
+            const vertices = [];
+            for (let k = 0; k <= sides; k++) {
+                const a = first + Math.PI * 2 * k / sides;
+                vertices.push(k === 0 || k === sides ? origin : { x: center.x + r * Math.cos(a), y: center.y + r * Math.sin(a) });
+            }
+            return vertices.slice(1).map((vertex, k) => lineSegment(vertices[k], vertex));
+        }
+        case 'spiral': {
+            // 阿基米德螺旋线，半径随转过的角度线性变化，从最右侧出发
+            const { startRadius: r0, endRadius: r1 } = params;
+            const total = Math.PI * 2 * params.turns;
+            const growth = total !== 0 ? (r1 - r0) / total : 0;
+            const center = { x: origin.x - r0, y: origin.y };
+            const radius = (a) => r0 + growth * a;
+            return parametricSegments(
+                (a) => ({ x: center.x + radius(a) * Math.cos(a), y: center.y + radius(a) * Math.sin(a) }),
+                (a) => ({
+                    x: growth * Math.cos(a) - radius(a) * Math.sin(a),
+                    y: growth * Math.sin(a) + radius(a) * Math.cos(a)
+                }),
+                0, total
+            );
+        }
+        default:
+            throw new Error(`未知的图形：${id}`);
+    }
+}
+
+function lineSegment(a, b) {
+    return {
+        p0: a,
+        p1: { x: a.x + (b.x - a.x) / 3, y: a.y + (b.y - a.y) / 3 },
+        p2: { x: a.x + (b.x - a.x) * 2 / 3, y: a.y + (b.y - a.y) * 2 / 3 },
+        p3: b
+    };
+}
+
+// 参数曲线 point(a) 在 from~to 之间的三次贝塞尔近似：每段的控制点沿两端的切线 derivative(a) 取 1/3 的参数跨度
+function parametricSegments(point, derivative, from, to) {
+    const pieces = Math.max(1, Math.ceil(Math.abs(to - from) / MAX_PIECE_ANGLE));
+    const step = (to - from) / pieces;
+    const segments = [];
+
+    for (let k = 0; k < pieces; k++) {
+        const a = from + step * k;
+        const b = a + step;
+        const p0 = point(a);
+        const p3 = point(b);
+        const d0 = derivative(a);
+        const d3 = derivative(b);
+        segments.push({
+            p0,
+            p1: { x: p0.x + d0.x * step / 3, y: p0.y + d0.y * step / 3 },
+            p2: { x: p3.x - d3.x * step / 3, y: p3.y - d3.y * step / 3 },
+            p3
+        });
+    }
+
+    return segments;
+}
@@ -0,0 +1,151 @@
+// 分享链接 - 把项目文档压缩后编码到URL的hash中，打开链接即可恢复动画
+//
+// 链接格式：#share=<base64url(deflate-raw(JSON))>
+// JSON为项目文档（见 project.js），为缩短链接去掉了可重新计算的关键帧和元素尺寸，
+// 轨迹点改为紧凑的数组 [相对时间ms, x, y, 压感, 倾角X, 倾角Y]，倾角都为0时省略。
+// 手动编辑过路径的元素（path）中记录了曲线段与过滤后轨迹点的对应关系，它的轨迹点不做取整，
+// 否则取整可能改变 filterPoints 保留的点，使对应关系错位。
+
+import { parseProject } from './project.js';
+
+export const SHARE_PREFIX = '#share=';
+
+// hash 的最大长度，超过后很多聊天工具和浏览器会截断链接
+export const MAX_SHARE_LENGTH = 8000;
+
+// 解压后的最大字节数，防止恶意构造的链接解压出超大数据
+const MAX_DECODED_BYTES = 1024 * 1024;
+const TOO_LARGE = '分享链接中的数据过大';
+
+// 判断 hash 是否为分享链接
+export function isShareHash(hash) {
+    return typeof hash === 'string' && hash.startsWith(SHARE_PREFIX);
+}
+
+// 把项目文档编码为 hash 字符串（含 #share= 前缀）
+// 编码结果超过 MAX_SHARE_LENGTH 时抛出错误
+export async function encodeShare(project) {
+    const compact = {
+        ...project,
+        elements: project.elements.map(({ keyframes, size, points, ...el }) => ({
+            ...el,
+            points: compactPoints(points, !!el.path)
+        }))
+    };
+
+    const bytes = await compress(new TextEncoder().encode(JSON.stringify(compact)));
+    const hash = SHARE_PREFIX + toBase64Url(bytes);
+
+    if (hash.length > MAX_SHARE_LENGTH) {
+        throw new Error(`动画数据过大（${hash.length} 字符，上限 ${MAX_SHARE_LENGTH}），无法生成分享链接，请缩短路径后重试`);
+    }
+
+    return hash;
+}
+
+// 从 hash 字符串解码出项目文档，数据损坏或过大时抛出错误
+export async function decodeShare(hash) {
+    if (!isShareHash(hash)) {
+        throw new Error('不是分享链接');
+    }
+    if (hash.length > MAX_SHARE_LENGTH) {
+        throw new Error('分享链接过长，可能已损坏');
+    }
+
+    let json;
+    try {
+        const bytes = fromBase64Url(hash.slice(SHARE_PREFIX.length));
+        json = new TextDecoder().decode(await decompress(bytes));
+    } catch (err) {
+        throw new Error(err.message === TOO_LARGE ? err.message : '分享链接已损坏，无法解码');
+    }
+
+    let doc;
+    try {
+        doc = JSON.parse(json);
+    } catch (err) {
+        throw new Error('分享链接已损坏，无法解码');
+    }
+
+    if (doc && Array.isArray(doc.elements)) {
+        doc.elements = doc.elements.map(el => ({ ...el, points: expandPoints(el.points) }));
+    }
+
+    return parseProject(doc);
+}
+
+// 轨迹点 -> [相对时间, x, y, 压感, 倾角X, 倾角Y]，坐标保留2位小数，exact 为 true 时时间和坐标保持原值
+function compactPoints(points, exact) {
+    const startTime = points.length > 0 ? points[0].time : 0;
+    const round = (value, scale) => exact ? value : Math.round(value * scale) / scale;
+    return points.map(p => {
+        const compact = [
+            round(p.time - startTime, 1),
+            round(p.x, 100),
+            round(p.y, 100),
+            Math.round((p.pressure || 0) * 100) / 100
+        ];
+        const tiltX = Math.round(p.tiltX || 0);
+        const tiltY = Math.round(p.tiltY || 0);
+        return tiltX || tiltY ? [...compact, tiltX, tiltY] : compact;
+    });
+}
+
+function expandPoints(points) {
+    if (!Array.isArray(points)) return points;
+    return points.map(p => {
+        if (!Array.isArray(p) || p.length < 3 || !p.every(Number.isFinite)) {
+            throw new Error('分享链接中的轨迹数据已损坏');
+        }
+        return { time: p[0], x: p[1], y: p[2], pressure: p[3] || 0, tiltX: p[4] || 0, tiltY: p[5] || 0 };
+    });
+}
+
+async function compress(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// 逐块读取解压结果，超过上限立即停止
+async function decompress(bytes) {
+    const reader = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw')).getReader();
+    const chunks = [];
+    let total = 0;
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        total += value.length;
+        if (total > MAX_DECODED_BYTES) {
+            reader.cancel();
+            throw new Error(TOO_LARGE);
+        }
+        chunks.push(value);
+    }
+
+    const result = new Uint8Array(total);
+    let offset = 0;
+    chunks.forEach(chunk => {
+        result.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return result;
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
@@ -0,0 +1,189 @@
+// 手势平滑 - 在拟合曲线和提取关键帧之前去除手抖和鼠标采样带来的噪声
+//
+// 平滑设置（项目的 smoothing 设置，修改时整体替换）：
+//   filter: 平滑方式，见 SMOOTHING_FILTERS
+//   strength: 强度 0~1，各平滑方式把强度换算为自己的参数
+// 所有平滑方式都不改变点的数量和时间，首尾两点保持原位，关键帧序号因此保持不变；
+// 路径平滑后，速度序列也按同样的强度做移动平均，避免关键帧提取追随噪声。
+
+// 可选的平滑方式，顺序即选择框中的顺序
+export const SMOOTHING_FILTERS = [
+    { id: 'none', label: '不平滑' },
+    { id: 'moving-average', label: '移动平均' },
+    { id: 'savitzky-golay', label: 'Savitzky-Golay' },
+    { id: 'one-euro', label: '1€ 滤波' },
+    { id: 'rdp', label: 'RDP 简化' }
+];
+
+export const DEFAULT_SMOOTHING = { filter: 'none', strength: 0.5 };
+
+// 平滑轨迹点，返回新的点数组，time、pressure 等字段保持不变
+export function smoothPoints(points, settings) {
+    const { filter, strength } = { ...DEFAULT_SMOOTHING, ...settings };
+    if (!points || points.length < 3) return points;
+
+    switch (filter) {
+        case 'moving-average':
+            return movingAverage(points, 1 + Math.round(strength * 7));
+        case 'savitzky-golay':
+            return savitzkyGolay(points, 2 + Math.round(strength * 10));
+        case 'one-euro':
+            return oneEuro(points, Math.pow(10, 1 - 2 * strength));
+        case 'rdp':
+            return simplifyRDP(points, 1 + strength * 15);
+        case 'none':
+            return points;
+        default:
+            throw new Error(`未知的平滑方式：${filter}`);
+    }
+}
+
+// 速度序列的平滑半径（点数），不平滑时为0
+export function speedSmoothingRadius(settings) {
+    const { filter, strength } = { ...DEFAULT_SMOOTHING, ...settings };
+    return filter === 'none' ? 0 : 1 + Math.round(strength * 4);
+}
+
+// 对 calculateSpeeds 的结果做移动平均，返回新的数组
+export function smoothSpeeds(speeds, radius) {
+    if (!radius) return speeds;
+    const values = smoothSeries(speeds.map(s => s.speed), radius);
+    return speeds.map((s, i) => ({ ...s, speed: values[i] }));
+}
+
+// 居中的移动平均，靠近两端时窗口对称收窄，首尾保持不变
+function movingAverage(points, radius) {
+    const xs = smoothSeries(points.map(p => p.x), radius);
+    const ys = smoothSeries(points.map(p => p.y), radius);
+    return points.map((p, i) => ({ ...p, x: xs[i], y: ys[i] }));
+}
+
+function smoothSeries(values, radius) {
+    const n = values.length;
+    return values.map((value, i) => {
+        const r = Math.min(radius, i, n - 1 - i);
+        let sum = 0;
+        for (let k = i - r; k <= i + r; k++) {
+            sum += values[k];
+        }
+        return sum / (2 * r + 1);
+    });
+}
+
+// Savitzky-Golay：窗口内做二次多项式最小二乘拟合，比移动平均更能保留拐角和峰值
+function savitzkyGolay(points, radius) {
+    const n = points.length;
+    return points.map((p, i) => {
+        const m = Math.min(radius, i, n - 1 - i);
+        if (m < 2) return p;
+
+        // 二次/三次平滑的卷积系数 c(k) = 3(3m²+3m-1-5k²) / ((2m-1)(2m+1)(2m+3))
+        const norm = (2 * m - 1) * (2 * m + 1) * (2 * m + 3);
+        let x = 0;
+        let y = 0;
+        for (let k = -m; k <= m; k++) {
+            const c = 3 * (3 * m * m + 3 * m - 1 - 5 * k * k) / norm;
+            x += c * points[i + k].x;
+            y += c * points[i + k].y;
+        }
+        return { ...p, x, y };
+    });
+}
+
+// 1€ 滤波：按时间实时低通滤波，截止频率随速度升高，慢速时去抖、快速时跟手
+// minCutoff 为静止时的截止频率（Hz），最后一个点保持在记录的终点
+function oneEuro(points, minCutoff) {
+    const beta = 0.005;
+    const derivativeCutoff = 1;
+    const alpha = (cutoff, dt) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+
+    const result = [points[0]];
+    let previous = points[0];
+    let dx = 0;
+    let dy = 0;
+
+    for (let i = 1; i < points.length; i++) {
+        const p = points[i];
+        const dt = Math.max((p.time - points[i - 1].time) / 1000, 1 / 240);
+
+        // 速度（像素/秒）本身也先做低通，再决定位置的截止频率
+        const da = alpha(derivativeCutoff, dt);
+        dx += da * ((p.x - previous.x) / dt - dx);
+        dy += da * ((p.y - previous.y) / dt - dy);
+        const speed = Math.sqrt(dx * dx + dy * dy);
+
+        const a = alpha(minCutoff + beta * speed, dt);
+        previous = {
+            ...p,
+            x: previous.x + a * (p.x - previous.x),
+            y: previous.y + a * (p.y - previous.y)
+        };
+        result.push(previous);
+    }
+
+    result[result.length - 1] = points[points.length - 1];
+    return result;
+}
+
+// Ramer-Douglas-Peucker 简化：保留偏离超过 epsilon（像素）的顶点，
+// 其余点投影到相邻两个顶点之间的线段上，仍保留各自的时间
+function simplifyRDP(points, epsilon) {
+    const keep = new Array(points.length).fill(false);
+    keep[0] = keep[points.length - 1] = true;
+
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const d = distanceToSegment(points[i], points[first], points[last]);
+            if (d > maxDistance) {
+                maxDistance = d;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > epsilon) {
+            keep[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    const result = [];
+    let start = 0;
+    for (let end = 1; end < points.length; end++) {
+        if (!keep[end]) continue;
+
+        result.push(points[start]);
+        // 投影位置沿线段单调前进，避免噪声让元素在线段上来回移动
+        let previous = 0;
+        for (let i = start + 1; i < end; i++) {
+            previous = Math.max(previous, projectToSegment(points[i], points[start], points[end]));
+            result.push({
+                ...points[i],
+                x: points[start].x + (points[end].x - points[start].x) * previous,
+                y: points[start].y + (points[end].y - points[start].y) * previous
+            });
+        }
+        start = end;
+    }
+    result.push(points[points.length - 1]);
+
+    return result;
+}
+
+// 点在线段 ab 上的投影参数（0~1）
+function projectToSegment(p, a, b) {
+    const vx = b.x - a.x;
+    const vy = b.y - a.y;
+    const lengthSq = vx * vx + vy * vy;
+    if (lengthSq === 0) return 0;
+    return Math.max(0, Math.min(1, ((p.x - a.x) * vx + (p.y - a.y) * vy) / lengthSq));
+}
+
+function distanceToSegment(p, a, b) {
+    const t = projectToSegment(p, a, b);
+    const x = a.x + (b.x - a.x) * t;
+    const y = a.y + (b.y - a.y) * t;
+    return Math.sqrt((p.x - x) * (p.x - x) + (p.y - y) * (p.y - y));
+}
@@ -0,0 +1,89 @@
+// 吸附与参考线 - 绘制路径和拖动元素时把位置对齐到网格、视口中心和边缘以及其他元素
+//
+// 吸附设置（项目的 snapping 设置，修改时整体替换）：
+//   grid: 是否在画布上显示网格
+//   pitch: 网格间距（像素）
+//   snapToGrid: 是否吸附到网格
+//   guides: 是否使用智能参考线，靠近视口的中心线和边缘、其他元素的边缘和中心线时吸附过去
+// 参考线优先于网格：某个方向上有参考线在吸附距离内时使用参考线，否则按网格取整。
+
+export const DEFAULT_SNAPPING = { grid: false, pitch: 20, snapToGrid: false, guides: true };
+
+// 参考线的吸附距离（像素）
+export const GUIDE_THRESHOLD = 6;
+
+// 补全吸附设置，网格间距无效时取默认值
+export function normalizeSnapping(settings) {
+    const merged = { ...DEFAULT_SNAPPING, ...settings };
+    const pitch = parseFloat(merged.pitch);
+    return {
+        grid: !!merged.grid,
+        pitch: Number.isFinite(pitch) && pitch >= 2 ? pitch : DEFAULT_SNAPPING.pitch,
+        snapToGrid: !!merged.snapToGrid,
+        guides: !!merged.guides
+    };
+}
+
+// 可吸附的参考线：{ x: [竖线的x], y: [横线的y] }
+// viewport: { width, height }，boxes: 其他元素的矩形 [{ x, y, width, height }]（x/y 为左上角）
+export function guideLines(viewport, boxes = []) {
+    const lines = {
+        x: [0, viewport.width / 2, viewport.width],
+        y: [0, viewport.height / 2, viewport.height]
+    };
+    boxes.forEach(box => {
+        lines.x.push(box.x, box.x + box.width / 2, box.x + box.width);
+        lines.y.push(box.y, box.y + box.height / 2, box.y + box.height);
+    });
+    return lines;
+}
+
+// 吸附一个矩形（点的宽高为0），返回 { x, y, guides }
+// x/y 为吸附后的左上角，guides 为起作用的参考线 [{ axis: 'x' | 'y', value }]，用于在画布上显示
+// 矩形的左边、中心、右边（上边、中心、下边）都可以对齐参考线，网格只对齐左上角
+// lock: 锁定方向时的起点 { x, y }（按住Shift），只保留移动较多的方向，另一个方向停在起点且不再吸附
+export function snapBox(box, settings, lines, lock = null) {
+    const options = normalizeSnapping(settings);
+    const guides = [];
+    const fixed = lock ? lockedAxis(box, lock) : null;
+
+    const snapAxis = (axis, start, size) => {
+        if (options.guides) {
+            let best = null;
+            [0, size / 2, size].forEach(anchor => {
+                lines[axis].forEach(line => {
+                    const distance = Math.abs(start + anchor - line);
+                    if (distance <= GUIDE_THRESHOLD && (!best || distance < best.distance)) {
+                        best = { distance, value: line, start: line - anchor };
+                    }
+                });
+            });
+            if (best) {
+                guides.push({ axis, value: best.value });
+                return best.start;
+            }
+        }
+        return options.snapToGrid ? snapToGrid(start, options.pitch) : start;
+    };
+
+    return {
+        x: fixed === 'x' ? lock.x : snapAxis('x', box.x, box.width || 0),
+        y: fixed === 'y' ? lock.y : snapAxis('y', box.y, box.height || 0),
+        guides
+    };
+}
+
+// 取整到最近的网格线
+export function snapToGrid(value, pitch) {
+    return Math.round(value / pitch) * pitch;
+}
+
+// 锁定到水平或竖直方向：保留相对于起点 origin 移动较多的一个方向，另一个方向回到起点
+export function lockAxis(point, origin) {
+    return lockedAxis(point, origin) === 'y' ? { ...point, y: origin.y } : { ...point, x: origin.x };
+}
+
+// 锁定方向时停在起点的坐标轴：水平移动较多时为 'y'，否则为 'x'
+function lockedAxis(point, origin) {
+    return Math.abs(point.x - origin.x) >= Math.abs(point.y - origin.y) ? 'y' : 'x';
+}
@@ -0,0 +1,124 @@
+// 舞台背景 - 把粘贴的HTML/CSS片段或本地HTML文件显示在画布下方，并可以点选其中的元素作为动画目标
+//
+// 背景放在铺满视口的 <iframe sandbox="allow-same-origin"> 中：样式与工具页面隔离，片段中的脚本不会执行，
+// 同时工具页面仍能读取其中的DOM。iframe 位于视口左上角，元素的 getBoundingClientRect() 即为舞台坐标。
+
+// frame: 显示背景的 iframe
+// onPick(target): 选中目标元素时调用，target 为 { selector, width, height, top, left }
+export function createStageBackground({ frame, onPick }) {
+    let html = '';
+    let picking = false;
+    let highlighted = null;
+
+    // 显示背景，html 为空时清除
+    function load(nextHtml) {
+        stopPicking();
+        html = nextHtml || '';
+        frame.srcdoc = html;
+        frame.hidden = !html;
+        document.body.classList.toggle('has-background', !!html);
+    }
+
+    // 进入选择模式：鼠标悬停的元素高亮，点击后选中
+    function startPicking() {
+        const doc = frame.contentDocument;
+        if (!html || !doc || !doc.body) return false;
+
+        picking = true;
+        document.body.classList.add('picking-target');
+        doc.addEventListener('mouseover', highlight, true);
+        doc.addEventListener('click', pick, true);
+        return true;
+    }
+
+    function stopPicking() {
+        if (!picking) return;
+
+        picking = false;
+        document.body.classList.remove('picking-target');
+        clearHighlight();
+
+        const doc = frame.contentDocument;
+        if (doc) {
+            doc.removeEventListener('mouseover', highlight, true);
+            doc.removeEventListener('click', pick, true);
+        }
+    }
+
+    function highlight(e) {
+        clearHighlight();
+        highlighted = e.target;
+        highlighted.style.outline = '2px solid #e67e22';
+        highlighted.style.outlineOffset = '-2px';
+    }
+
+    function clearHighlight() {
+        if (!highlighted) return;
+        highlighted.style.outline = '';
+        highlighted.style.outlineOffset = '';
+        highlighted = null;
+    }
+
+    function pick(e) {
+        e.preventDefault();
+        e.stopPropagation();
+
+        const element = e.target;
+        stopPicking();
+
+        const rect = element.getBoundingClientRect();
+        onPick({
+            selector: elementSelector(element),
+            width: Math.round(rect.width * 100) / 100,
+            height: Math.round(rect.height * 100) / 100,
+            top: rect.top,
+            left: rect.left
+        });
+    }
+
+    return {
+        load,
+        startPicking,
+        stopPicking,
+        html: () => html,
+        isPicking: () => picking
+    };
+}
+
+// 生成能唯一定位元素的CSS选择器：优先使用id，否则从元素向上逐级加上标签、类名和 :nth-of-type
+export function elementSelector(element) {
+    const doc = element.ownerDocument;
+    const escape = (value) => CSS.escape(value);
+
+    if (element.id) return `#${escape(element.id)}`;
+
+    const parts = [];
+    let node = element;
+
+    while (node && node.nodeType === 1 && node !== doc.documentElement) {
+        if (node.id) {
+            parts.unshift(`#${escape(node.id)}`);
+            break;
+        }
+
+        let part = node.tagName.toLowerCase();
+        part += [...node.classList].map(name => `.${escape(name)}`).join('');
+
+        const parent = node.parentElement;
+        if (parent) {
+            const siblings = [...parent.children].filter(child => child.tagName === node.tagName);
+            if (siblings.length > 1) {
+                part += `:nth-of-type(${siblings.indexOf(node) + 1})`;
+            }
+        }
+
+        parts.unshift(part);
+
+        const selector = parts.join(' > ');
+        if (doc.querySelectorAll(selector).length === 1) return selector;
+
+        node = parent;
+    }
+
+    return parts.join(' > ');
+}
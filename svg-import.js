@@ -0,0 +1,367 @@
+// 导入SVG路径 - 把粘贴的路径数据（d 属性）或SVG文件中的 <path> 转换为三次贝塞尔曲线段，作为运动路径
+//
+// 支持全部路径命令（M L H V C S Q T A Z 及其相对坐标形式），二次曲线精确转换为三次曲线，
+// 圆弧按不超过90°分段近似；<path> 自身和各级父元素的 transform 直接作用在控制点上。
+// 路径包含多个子路径时，用直线把前一个子路径的终点连到下一个子路径的起点，得到一条连续的运动路径。
+
+import { bezierPoint } from './curve-fit.js';
+
+// 单位矩阵，矩阵格式同 SVG 的 matrix(a, b, c, d, e, f)
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+// 每个命令的参数个数，圆弧的第4、5个参数为标志位
+const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+const NUMBER_PATTERN = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/g;
+
+// 圆弧每段覆盖的最大角度
+const MAX_ARC_PIECE = Math.PI / 2;
+
+// 列出可以导入的路径：[{ label, d, matrix }]
+// text 为SVG文件内容时列出其中所有的 <path>，matrix 为该路径及其父元素的 transform 合成的矩阵；
+// 否则把 text 当作路径数据
+export function listSVGPaths(text) {
+    const source = (text || '').trim();
+    if (!source) {
+        throw new Error('请粘贴SVG路径数据或SVG文件内容');
+    }
+    if (!source.startsWith('<')) {
+        return [{ label: '路径数据', d: source, matrix: IDENTITY }];
+    }
+
+    const doc = new DOMParser().parseFromString(source, 'image/svg+xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new Error('SVG文件格式错误');
+    }
+
+    const paths = [...doc.getElementsByTagName('path')].filter(path => (path.getAttribute('d') || '').trim());
+    if (paths.length === 0) {
+        throw new Error('SVG中没有找到 <path> 元素');
+    }
+
+    return paths.map((path, i) => {
+        let matrix = IDENTITY;
+        for (let node = path; node && node.nodeType === 1; node = node.parentNode) {
+            matrix = multiply(parseTransform(node.getAttribute('transform') || ''), matrix);
+        }
+        const id = path.getAttribute('id');
+        return { label: id ? `#${id}` : `路径 ${i + 1}`, d: path.getAttribute('d'), matrix };
+    });
+}
+
+// 解析路径数据，返回绝对坐标的三次贝塞尔曲线段 [{ p0, p1, p2, p3 }]，matrix 为作用在路径上的变换
+export function parsePathData(d, matrix = IDENTITY) {
+    const commands = tokenize(d);
+    const segments = [];
+    let current = null;
+    let subpathStart = null;
+    // 上一条曲线的第二个控制点，用于 S/T 命令的对称控制点
+    let lastCubic = null;
+    let lastQuad = null;
+
+    const lineTo = (to) => {
+        if (to.x !== current.x || to.y !== current.y) {
+            segments.push(lineSegment(current, to));
+        }
+        current = to;
+    };
+
+    commands.forEach(({ command, args }) => {
+        const type = command.toUpperCase();
+        const relative = command !== type;
+        const point = (x, y) => relative ? { x: current.x + x, y: current.y + y } : { x, y };
+        if (!current && type !== 'M') {
+            throw new Error('路径数据必须以 M 命令开始');
+        }
+
+        let cubic = null;
+        let quad = null;
+        switch (type) {
+            case 'M': {
+                const to = current ? point(args[0], args[1]) : { x: args[0], y: args[1] };
+                // 新的子路径用直线与前一个子路径相连
+                if (current) {
+                    lineTo(to);
+                } else {
+                    current = to;
+                }
+                subpathStart = to;
+                break;
+            }
+            case 'L':
+                lineTo(point(args[0], args[1]));
+                break;
+            case 'H':
+                lineTo({ x: relative ? current.x + args[0] : args[0], y: current.y });
+                break;
+            case 'V':
+                lineTo({ x: current.x, y: relative ? current.y + args[0] : args[0] });
+                break;
+            case 'C':
+            case 'S': {
+                const p1 = type === 'C' ? point(args[0], args[1]) : reflect(lastCubic, current);
+                const rest = type === 'C' ? args.slice(2) : args;
+                const p2 = point(rest[0], rest[1]);
+                const p3 = point(rest[2], rest[3]);
+                segments.push({ p0: current, p1, p2, p3 });
+                cubic = p2;
+                current = p3;
+                break;
+            }
+            case 'Q':
+            case 'T': {
+                const control = type === 'Q' ? point(args[0], args[1]) : reflect(lastQuad, current);
+                const end = type === 'Q' ? point(args[2], args[3]) : point(args[0], args[1]);
+                segments.push(quadraticSegment(current, control, end));
+                quad = control;
+                current = end;
+                break;
+            }
+            case 'A': {
+                const end = point(args[5], args[6]);
+                arcSegments(current, args[0], args[1], args[2], args[3], args[4], end).forEach(seg => segments.push(seg));
+                current = end;
+                break;
+            }
+            case 'Z':
+                lineTo(subpathStart);
+                break;
+        }
+        lastCubic = cubic;
+        lastQuad = quad;
+    });
+
+    if (segments.length === 0) {
+        throw new Error('路径数据中没有可用的线段');
+    }
+    return segments.map(seg => transformSegment(seg, matrix));
+}
+
+// 解析 transform 属性，返回合成后的矩阵；支持 matrix、translate、scale、rotate、skewX、skewY
+export function parseTransform(text) {
+    let matrix = IDENTITY;
+    const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        const values = (match[2].match(NUMBER_PATTERN) || []).map(Number);
+        const rad = (deg) => deg * Math.PI / 180;
+        let next;
+        switch (match[1]) {
+            case 'matrix':
+                if (values.length < 6) throw new Error(`无法解析变换：${match[0]}`);
+                next = values.slice(0, 6);
+                break;
+            case 'translate':
+                next = [1, 0, 0, 1, values[0] || 0, values[1] || 0];
+                break;
+            case 'scale': {
+                const sx = values.length > 0 ? values[0] : 1;
+                next = [sx, 0, 0, values.length > 1 ? values[1] : sx, 0, 0];
+                break;
+            }
+            case 'rotate': {
+                // rotate(a, cx, cy) 绕 (cx, cy) 旋转
+                const a = rad(values[0] || 0);
+                const [cx = 0, cy = 0] = values.slice(1);
+                const cos = Math.cos(a);
+                const sin = Math.sin(a);
+                next = [cos, sin, -sin, cos, cx - cos * cx + sin * cy, cy - sin * cx - cos * cy];
+                break;
+            }
+            case 'skewX':
+                next = [1, 0, Math.tan(rad(values[0] || 0)), 1, 0, 0];
+                break;
+            case 'skewY':
+                next = [1, Math.tan(rad(values[0] || 0)), 0, 1, 0, 0];
+                break;
+        }
+        matrix = multiply(matrix, next);
+    }
+
+    return matrix;
+}
+
+// 平移并缩放曲线段，使路径从 origin 出发，scale 以路径起点为中心
+export function placeSegments(segments, origin, scale = 1) {
+    const start = segments[0].p0;
+    const place = (p) => ({ x: origin.x + (p.x - start.x) * scale, y: origin.y + (p.y - start.y) * scale });
+    return segments.map(seg => ({ p0: place(seg.p0), p1: place(seg.p1), p2: place(seg.p2), p3: place(seg.p3) }));
+}
+
+// 路径的外接矩形 { width, height }，按曲线上的采样点估算
+export function segmentsSize(segments) {
+    const xs = [];
+    const ys = [];
+    segments.forEach(seg => {
+        for (let k = 0; k <= 8; k++) {
+            const p = bezierPoint(seg, k / 8);
+            xs.push(p.x);
+            ys.push(p.y);
+        }
+    });
+    return { width: Math.max(...xs) - Math.min(...xs), height: Math.max(...ys) - Math.min(...ys) };
+}
+
+// 把路径数据拆分为命令：[{ command, args }]，同一命令后跟多组参数时拆成多条，
+// M/m 之后多出的参数按 L/l 处理
+function tokenize(d) {
+    const text = d || '';
+    const commands = [];
+    const number = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+    let index = 0;
+
+    const skipSeparators = () => {
+        while (index < text.length && /[\s,]/.test(text[index])) index++;
+    };
+    const readNumber = () => {
+        skipSeparators();
+        number.lastIndex = index;
+        const match = number.exec(text);
+        if (!match) throw new Error(`无法解析路径数据：第 ${index + 1} 个字符附近`);
+        index = number.lastIndex;
+        return parseFloat(match[0]);
+    };
+    // 圆弧的标志位只有一个字符，可以与后面的数字连写，例如 a1 1 0 00 1 1
+    const readFlag = () => {
+        skipSeparators();
+        const flag = text[index];
+        if (flag !== '0' && flag !== '1') throw new Error(`无法解析路径数据：第 ${index + 1} 个字符附近`);
+        index++;
+        return flag === '1' ? 1 : 0;
+    };
+
+    skipSeparators();
+    while (index < text.length) {
+        const command = text[index];
+        const type = command.toUpperCase();
+        if (!(type in ARG_COUNTS)) {
+            throw new Error(`无法解析路径数据：未知的命令 ${command}`);
+        }
+        index++;
+
+        let repeat = command;
+        do {
+            const args = [];
+            for (let k = 0; k < ARG_COUNTS[type]; k++) {
+                args.push(type === 'A' && (k === 3 || k === 4) ? readFlag() : readNumber());
+            }
+            commands.push({ command: repeat, args });
+            if (type === 'M') repeat = command === 'm' ? 'l' : 'L';
+            skipSeparators();
+        } while (ARG_COUNTS[type] > 0 && index < text.length && /[\d+\-.]/.test(text[index]));
+    }
+
+    return commands;
+}
+
+// 对称控制点：上一条同类曲线的控制点关于当前点的对称点，没有时为当前点
+function reflect(control, current) {
+    return control ? { x: 2 * current.x - control.x, y: 2 * current.y - control.y } : current;
+}
+
+function lineSegment(a, b) {
+    return {
+        p0: a,
+        p1: { x: a.x + (b.x - a.x) / 3, y: a.y + (b.y - a.y) / 3 },
+        p2: { x: a.x + (b.x - a.x) * 2 / 3, y: a.y + (b.y - a.y) * 2 / 3 },
+        p3: b
+    };
+}
+
+// 二次曲线升阶为三次曲线
+function quadraticSegment(p0, control, p3) {
+    return {
+        p0,
+        p1: { x: p0.x + (control.x - p0.x) * 2 / 3, y: p0.y + (control.y - p0.y) * 2 / 3 },
+        p2: { x: p3.x + (control.x - p3.x) * 2 / 3, y: p3.y + (control.y - p3.y) * 2 / 3 },
+        p3
+    };
+}
+
+// 圆弧的三次贝塞尔近似，按 SVG 规范把端点参数转换为圆心参数
+// rx/ry 为半径，rotation 为椭圆的旋转角（度），largeArc/sweep 为标志位
+function arcSegments(from, rx, ry, rotation, largeArc, sweep, to) {
+    if (from.x === to.x && from.y === to.y) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    if (rx === 0 || ry === 0) return [lineSegment(from, to)];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi);
+    const sin = Math.sin(phi);
+    const dx = (from.x - to.x) / 2;
+    const dy = (from.y - to.y) / 2;
+    const x1 = cos * dx + sin * dy;
+    const y1 = -sin * dx + cos * dy;
+
+    // 半径不足以连接两个端点时等比放大
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, numerator / denominator));
+    const cx1 = coef * rx * y1 / ry;
+    const cy1 = -coef * ry * x1 / rx;
+    const center = {
+        x: cos * cx1 - sin * cy1 + (from.x + to.x) / 2,
+        y: sin * cx1 + cos * cy1 + (from.y + to.y) / 2
+    };
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const start = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= Math.PI * 2;
+    if (sweep && delta < 0) delta += Math.PI * 2;
+
+    // 单位圆上的点映射回椭圆
+    const map = (ux, uy) => ({
+        x: center.x + rx * cos * ux - ry * sin * uy,
+        y: center.y + rx * sin * ux + ry * cos * uy
+    });
+
+    const pieces = Math.max(1, Math.ceil(Math.abs(delta) / MAX_ARC_PIECE - 1e-9));
+    const step = delta / pieces;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const segments = [];
+    for (let i = 0; i < pieces; i++) {
+        const a = start + step * i;
+        const b = a + step;
+        segments.push({
+            p0: i === 0 ? from : map(Math.cos(a), Math.sin(a)),
+            p1: map(Math.cos(a) - k * Math.sin(a), Math.sin(a) + k * Math.cos(a)),
+            p2: map(Math.cos(b) + k * Math.sin(b), Math.sin(b) - k * Math.cos(b)),
+            p3: i === pieces - 1 ? to : map(Math.cos(b), Math.sin(b))
+        });
+    }
+    return segments;
+}
+
+// 矩阵乘法 m1 × m2（先应用 m2，再应用 m1）
+function multiply(m1, m2) {
+    return [
+        m1[0] * m2[0] + m1[2] * m2[1],
+        m1[1] * m2[0] + m1[3] * m2[1],
+        m1[0] * m2[2] + m1[2] * m2[3],
+        m1[1] * m2[2] + m1[3] * m2[3],
+        m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+        m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+    ];
+}
+
+function transformPoint(m, p) {
+    return { x: m[0] * p.x + m[2] * p.y + m[4], y: m[1] * p.x + m[3] * p.y + m[5] };
+}
+
+function transformSegment(seg, matrix) {
+    return {
+        p0: transformPoint(matrix, seg.p0),
+        p1: transformPoint(matrix, seg.p1),
+        p2: transformPoint(matrix, seg.p2),
+        p3: transformPoint(matrix, seg.p3)
+    };
+}
@@ -0,0 +1,61 @@
+// 缓动拟合的测试：拟合结果在误差范围内还原记录的"路程-时间"曲线
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { fitEasingSegments, fitGlobalEasing, fitCubicBezier, evaluateEasing, DEFAULT_FIT_ERROR } from '../easing-fit.js';
+
+// 前半段从静止加速、后半段匀速的关键帧
+function keyframes(count = 41) {
+    return Array.from({ length: count }, (_, i) => {
+        const progress = i / (count - 1);
+        const distance = progress < 0.5 ? progress * progress * 4 / 3 : (progress * 4 - 1) / 3;
+        return { progress, distance };
+    });
+}
+
+// 分段拟合结果在时间进度 progress 处的路程比例
+function fittedDistance(segments, progress) {
+    let i = 0;
+    while (i < segments.length - 2 && segments[i + 1].progress < progress) i++;
+    const a = segments[i];
+    const b = segments[i + 1];
+    return a.distance + (b.distance - a.distance) * evaluateEasing(a.easing, (progress - a.progress) / (b.progress - a.progress));
+}
+
+test('分段拟合在误差范围内，首尾关键帧保留', () => {
+    const original = keyframes();
+    const fitted = fitEasingSegments(original);
+
+    assert.ok(fitted.length < original.length / 4, `拟合后 ${fitted.length} 个关键帧`);
+    assert.deepEqual(fitted[0].progress, 0);
+    assert.deepEqual(fitted[fitted.length - 1], { ...original[original.length - 1], easing: null });
+    original.forEach(kf => {
+        const error = Math.abs(fittedDistance(fitted, kf.progress) - kf.distance);
+        assert.ok(error <= DEFAULT_FIT_ERROR + 1e-9, `进度 ${kf.progress} 处误差 ${error}`);
+    });
+});
+
+test('误差上限越小，保留的关键帧越多', () => {
+    const original = keyframes();
+    assert.ok(fitEasingSegments(original, 0.001).length > fitEasingSegments(original, 0.05).length);
+});
+
+test('匀速的一段不使用缓动', () => {
+    const linear = Array.from({ length: 11 }, (_, i) => ({ progress: i / 10, distance: i / 10 }));
+    const fitted = fitEasingSegments(linear);
+    assert.equal(fitted.length, 2);
+    assert.equal(fitted[0].easing, null);
+});
+
+test('cubic-bezier 拟合还原已知的缓动', () => {
+    const easeOut = { x1: 0, y1: 0, x2: 0.58, y2: 1 };
+    const points = Array.from({ length: 21 }, (_, i) => ({ x: i / 20, y: evaluateEasing(easeOut, i / 20) }));
+    const { bezier, error } = fitCubicBezier(points);
+
+    assert.ok(error < 0.005, `误差 ${error}`);
+    [bezier.x1, bezier.x2].forEach(x => assert.ok(x >= 0 && x <= 1));
+
+    const global = fitGlobalEasing(points.map(p => ({ progress: p.x, distance: p.y })));
+    assert.ok(Math.abs(evaluateEasing(global, 0.3) - evaluateEasing(easeOut, 0.3)) < 0.01);
+});
@@ -0,0 +1,140 @@
+// 导出格式的测试：各格式中元素沿路径移动的位置应与 createMotion 生成的CSS一致
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createTimeline } from '../timeline.js';
+import { generateExport } from '../exporters.js';
+
+// 沿一段圆弧先慢后快地移动的手势，起点 (100, 300)，终点 (300, 300)
+// 记录时的起点和元素的起始位置 position 不同，导出的坐标应从 position 出发
+function arcGesture(count = 40) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const f = i / (count - 1);
+        const angle = Math.PI * (1 - f * f);
+        points.push({ time: f * 1200, x: 200 + Math.cos(angle) * 100, y: 300 - Math.sin(angle) * 100 });
+    }
+    return points;
+}
+
+const position = { top: '120px', left: '80px' };
+const reference = { width: 1000, height: 500 };
+
+function arcTimeline(timing) {
+    return createTimeline([{ name: '圆弧', points: arcGesture(), position, timing }]);
+}
+
+// 代码中依次出现的 top/left 值（数字，单位由 pattern 决定）
+function values(code, property, unit) {
+    const pattern = new RegExp(`${property}: '?([\\d.-]+)${unit}`, 'g');
+    return [...code.matchAll(pattern)].map(m => parseFloat(m[1]));
+}
+
+test('相对坐标的CSS从元素的起始位置出发', () => {
+    const { tracks } = arcTimeline();
+    const css = generateExport('css', tracks, { unit: '%', reference });
+
+    const tops = values(css, 'top', '%');
+    const lefts = values(css, 'left', '%');
+    // 第一个是元素规则中的起始位置，随后是每个关键帧
+    assert.equal(tops[0], 24);
+    assert.equal(lefts[0], 8);
+    assert.equal(tops[1], 24);
+    assert.equal(lefts[1], 8);
+    assert.ok(Math.abs(lefts[lefts.length - 1] - 28) < 0.1, `终点 ${lefts[lefts.length - 1]}%`);
+    assert.ok(Math.abs(tops[tops.length - 1] - 24) < 0.1, `终点 ${tops[tops.length - 1]}%`);
+    // 圆弧最高处在起点上方100px（参考高度的20%）
+    assert.ok(Math.min(...tops) < 5, `最高处 ${Math.min(...tops)}%`);
+});
+
+test('相对坐标的 element.animate() 从元素的起始位置出发', () => {
+    const { tracks } = arcTimeline();
+    const js = generateExport('js', tracks, { unit: 'vw', reference });
+
+    const lefts = values(js, 'left', 'vw');
+    const tops = values(js, 'top', 'vh');
+    assert.equal(lefts[0], 8);
+    assert.equal(tops[0], 24);
+    assert.ok(Math.abs(lefts[lefts.length - 1] - 28) < 0.1, `终点 ${lefts[lefts.length - 1]}vw`);
+});
+
+test('element.animate() 在分段拟合缓动下沿曲线移动，而不是在稀疏的关键帧之间直线移动', () => {
+    const { tracks } = arcTimeline({ mode: 'fitted' });
+    const js = generateExport('js', tracks);
+
+    const tops = values(js, 'top', 'px');
+    assert.equal(tops[0], 120);
+    assert.equal(tops[tops.length - 1], 120);
+    assert.ok(Math.min(...tops) < 30, `最高处 ${Math.min(...tops)}px`);
+    assert.match(js, /easing: 'linear'/);
+});
+
+test('组件在不支持 offset-path 时使用沿曲线采样的回退关键帧', () => {
+    const { tracks } = arcTimeline({ mode: 'fitted' });
+
+    const react = generateExport('react', tracks);
+    assert.match(react, /CSS\.supports\('offset-path', "path\(''\)"\)/);
+    assert.ok(Math.min(...values(react.slice(react.indexOf('_FALLBACK = [')), 'top', 'px')) < 30);
+
+    ['vue', 'svelte'].forEach(format => {
+        const code = generateExport(format, tracks);
+        const fallback = code.slice(code.indexOf("@supports not (offset-path: path(''))"));
+        assert.match(fallback, /animation-name: moveAlongPath-1;/);
+        assert.ok(Math.min(...values(fallback, 'top', 'px')) < 30, format);
+    });
+});
+
+test('SCSS 和 Tailwind 的回退关键帧沿曲线采样', () => {
+    const { tracks } = arcTimeline({ mode: 'bezier' });
+
+    const scss = generateExport('scss', tracks);
+    const scssFallback = scss.slice(scss.indexOf('@keyframes moveAlongPath-1'));
+    assert.match(scss, /animation: moveAlongPath-1 \$element-1-duration linear \$element-1-delay forwards;/);
+    // 偏移相对于位置变量，圆弧最高处在起点上方约100px
+    const rises = [...scssFallback.matchAll(/top: \$element-1-top - ([\d.]+)px;/g)].map(m => parseFloat(m[1]));
+    assert.ok(Math.max(...rises) > 90, `最高处 ${Math.max(...rises)}px`);
+
+    const tailwind = generateExport('tailwind', tracks);
+    const tailwindFallback = tailwind.slice(tailwind.indexOf("'moveAlongPath-1': {"));
+    assert.ok(Math.min(...values(tailwindFallback, 'top', 'px')) < 30);
+    assert.match(tailwind, /'moveAlongPath-1': 'moveAlongPath-1 1\.2s linear forwards',/);
+    assert.match(tailwind, /addVariant\('no-offset-path', "@supports not \(offset-path: path\(''\)\)"\)/);
+    assert.match(tailwind, /no-offset-path:animate-moveAlongPath-1/);
+});
+
+test('朝向运动方向时各格式的回退分支带有计入方向角的 rotate 关键帧', () => {
+    const { tracks } = createTimeline([{ name: '圆弧', points: arcGesture(), position, channels: { orient: true } }]);
+    // 沿上半圆从左到右移动，方向角从 -90deg 左右转到 90deg 左右
+    const rotations = (code, pattern) => [...code.matchAll(pattern)].map(m => parseFloat(m[1]));
+    const turns = (angles, format) => {
+        assert.ok(angles.length > 2, `${format} 缺少 rotate 关键帧`);
+        assert.ok(Math.max(...angles) - Math.min(...angles) > 150, `${format} 方向角 ${Math.min(...angles)}~${Math.max(...angles)}`);
+    };
+
+    ['css', 'scss'].forEach(format => {
+        const code = generateExport(format, tracks);
+        const fallback = code.slice(code.indexOf("@supports not (offset-path: path(''))"));
+        assert.match(fallback, /animation: moveAlongPath-1 .*, orientedChannels-1 /);
+        turns(rotations(fallback.slice(fallback.indexOf('@keyframes orientedChannels-1')), /rotate: ([\d.-]+)deg;/g), format);
+    });
+
+    const tailwind = generateExport('tailwind', tracks);
+    assert.match(tailwind, /'moveAlongPath-1': 'moveAlongPath-1 1\.2s linear forwards, orientedChannels-1 1\.2s linear forwards',/);
+    turns(rotations(tailwind.slice(tailwind.indexOf("'orientedChannels-1': {")), /rotate: '([\d.-]+)deg'/g), 'tailwind');
+
+    const svg = generateExport('svg', tracks);
+    assert.doesNotMatch(svg, /rotate="auto"/);
+    turns(svg.match(/type="rotate" values="([^"]+)"/)[1].split(';').map(parseFloat), 'svg');
+
+    const react = generateExport('react', tracks);
+    assert.match(react, /SUPPORTS_OFFSET_PATH \? ELEMENT_1_CHANNELS : ELEMENT_1_FALLBACK_CHANNELS/);
+    turns(rotations(react.slice(react.indexOf('ELEMENT_1_FALLBACK_CHANNELS = [')), /rotate: '([\d.-]+)deg'/g), 'react');
+
+    ['vue', 'svelte'].forEach(format => {
+        const code = generateExport(format, tracks);
+        const fallback = code.slice(code.indexOf("@supports not (offset-path: path(''))"));
+        assert.match(fallback, /animation-name: moveAlongPath-1, orientedChannels-1;/);
+        turns(rotations(fallback, /rotate: ([\d.-]+)deg;/g), format);
+    });
+});
@@ -0,0 +1,64 @@
+// 撤销/重做历史的测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createHistory, DEFAULT_HISTORY_LIMIT } from '../history.js';
+
+test('撤销和重做在快照之间切换，新的修改清空重做', () => {
+    const history = createHistory();
+    history.record({ step: 0 });
+    history.record({ step: 1 });
+
+    assert.deepEqual(history.undo({ step: 2 }), { step: 1 });
+    assert.deepEqual(history.undo({ step: 1 }), { step: 0 });
+    assert.equal(history.undo({ step: 0 }), null);
+    assert.deepEqual(history.redo({ step: 0 }), { step: 1 });
+    assert.ok(history.canRedo());
+
+    history.record({ step: 1 });
+    assert.equal(history.canRedo(), false);
+    assert.equal(history.redo({ step: 'x' }), null);
+});
+
+test('最多保留50步，超出时丢弃最早的快照', () => {
+    const history = createHistory();
+    for (let i = 0; i < DEFAULT_HISTORY_LIMIT + 10; i++) {
+        history.record(i);
+    }
+
+    const restored = [];
+    let state;
+    while ((state = history.undo('current')) !== null) {
+        restored.push(state);
+    }
+    assert.equal(DEFAULT_HISTORY_LIMIT, 50);
+    assert.equal(restored.length, 50);
+    assert.equal(restored[0], 59);
+    assert.equal(restored[49], 10);
+});
+
+test('连续修改只记录开始前的状态，取消时不记录', () => {
+    const history = createHistory();
+    history.begin('before drag');
+    history.begin('during drag');
+    history.commit();
+    assert.equal(history.undo('after drag'), 'before drag');
+
+    history.begin('before click');
+    history.cancel();
+    history.commit();
+    assert.equal(history.canUndo(), false);
+});
+
+test('状态变化时调用 onChange，clear 清空撤销和重做', () => {
+    let changes = 0;
+    const history = createHistory({ limit: 2, onChange: () => changes++ });
+    history.record('a');
+    history.undo('b');
+    history.clear();
+
+    assert.equal(changes, 3);
+    assert.equal(history.canUndo(), false);
+    assert.equal(history.canRedo(), false);
+});
@@ -0,0 +1,89 @@
+// 导入 @keyframes 的测试：导出的代码导入后得到相同的路径和节奏
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { importKeyframes, parseEasing, easingValue } from '../keyframes-import.js';
+import { parsePathData } from '../svg-import.js';
+import { createTimeline } from '../timeline.js';
+import { generateExport } from '../exporters.js';
+
+// 沿一段圆弧移动的手势，radius 为半径，duration 为时长（毫秒）
+function arcGesture(radius, duration, count = 40) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const f = i / (count - 1);
+        const angle = Math.PI * (1 - f);
+        points.push({ time: f * duration, x: 200 + Math.cos(angle) * radius, y: 300 - Math.sin(angle) * radius });
+    }
+    return points;
+}
+
+// 删除CSS中的某个 @keyframes 块
+function removeKeyframes(css, name) {
+    const start = css.indexOf(`@keyframes ${name} {`);
+    let depth = 0;
+    for (let i = css.indexOf('{', start); i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        if (css[i] === '}' && --depth === 0) return css.slice(0, start) + css.slice(i + 1);
+    }
+    return css;
+}
+
+test('导入导出的CSS得到 offset-path 的路径和 offset-distance 的节奏', () => {
+    const { tracks } = createTimeline([{ points: arcGesture(100, 1200), position: { top: '100px', left: '100px' } }]);
+    const imported = importKeyframes(generateExport('css', tracks));
+
+    assert.equal(imported.name, 'followPath-1');
+    assert.equal(imported.duration, 1.2);
+    assert.deepEqual(imported.segments, parsePathData(tracks[0].motion.path));
+    assert.equal(imported.points, null);
+    assert.equal(imported.samples[0].progress, 0);
+    assert.equal(imported.samples[imported.samples.length - 1].progress, 1);
+});
+
+test('多个元素的导出代码中，路径和时长取自引用所选 @keyframes 的规则', () => {
+    const { tracks } = createTimeline([
+        { points: arcGesture(100, 1200), position: { top: '100px', left: '100px' } },
+        { points: arcGesture(40, 2000), position: { top: '300px', left: '100px' } }
+    ]);
+    // 第一个元素的路径动画不在代码中，导入的是第二个元素
+    const css = removeKeyframes(generateExport('css', tracks), 'followPath-1');
+    const imported = importKeyframes(css);
+
+    assert.equal(imported.name, 'followPath-2');
+    assert.equal(imported.duration, 2);
+    assert.deepEqual(imported.segments, parsePathData(tracks[1].motion.path));
+});
+
+test('没有 offset-path 时按 left/top 关键帧和缓动生成轨迹点', () => {
+    const imported = importKeyframes(`
+        .box { animation: slide 500ms ease-in forwards; }
+        @keyframes slide {
+            from { left: 10px; top: 20px; }
+            to { left: 110px; top: 20px; }
+        }
+    `);
+
+    assert.equal(imported.duration, 0.5);
+    assert.equal(imported.segments, null);
+    const first = imported.points[0];
+    const last = imported.points[imported.points.length - 1];
+    assert.deepEqual([first.x, first.y, first.time], [0, 0, 0]);
+    assert.deepEqual([last.x, last.y, last.time], [100, 0, 500]);
+    // ease-in：时间过半时走过的路程不到一半
+    const middle = imported.points.find(p => p.time >= 250);
+    assert.ok(middle.x < 50, `中间的位置 ${middle.x}`);
+});
+
+test('没有可导入的关键帧时报错', () => {
+    assert.throws(() => importKeyframes('.box { color: red; }'), /没有找到 @keyframes/);
+    assert.throws(() => importKeyframes('@keyframes fade { to { opacity: 0; } }'), /没有找到可导入的 @keyframes/);
+});
+
+test('缓动函数支持 steps() 和 linear()', () => {
+    assert.equal(easingValue(parseEasing('steps(4, end)'), 0.3), 0.25);
+    assert.equal(easingValue(parseEasing('step-start'), 0.1), 1);
+    assert.equal(easingValue(parseEasing('linear(0, 0.8 50%, 1)'), 0.25), 0.4);
+    assert.deepEqual(parseEasing('unknown()'), { type: 'linear' });
+});
@@ -0,0 +1,168 @@
+// motion-core.js 和 CSS 生成的冒烟测试：node --test（或 npm test）
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createMotion, animationNames, generateKeyframeCSS, generatePresetCSS, generateBezierCSS, generatePositionCSS } from '../motion-core.js';
+import { createTimeline, generateTimelineCSS, trackNames } from '../timeline.js';
+
+// 沿一段圆弧先慢后快地移动的手势，起点 (100, 300)，终点 (300, 300)，共 1200 毫秒
+function arcGesture(count = 40) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        const f = i / (count - 1);
+        const angle = Math.PI * (1 - f * f);
+        points.push({ time: f * 1200, x: 200 + Math.cos(angle) * 100, y: 300 - Math.sin(angle) * 100 });
+    }
+    return points;
+}
+
+// CSS 中某个 @keyframes 块的内容
+function keyframesBlock(css, name) {
+    const start = css.indexOf(`@keyframes ${name} {`);
+    assert.notEqual(start, -1, `缺少 @keyframes ${name}`);
+    let depth = 0;
+    for (let i = css.indexOf('{', start); i < css.length; i++) {
+        if (css[i] === '{') depth++;
+        if (css[i] === '}' && --depth === 0) return css.slice(start, i + 1);
+    }
+    throw new Error(`@keyframes ${name} 没有闭合`);
+}
+
+const position = { top: '120px', left: '80px' };
+
+test('createMotion 需要至少3个点', () => {
+    assert.throws(() => createMotion([{ time: 0, x: 0, y: 0 }, { time: 10, x: 5, y: 5 }]), /至少3个点/);
+});
+
+test('createMotion 按记录的速度生成关键帧动画', () => {
+    const motion = createMotion(arcGesture(), { position });
+
+    assert.equal(motion.timingMode, 'keyframes');
+    assert.equal(motion.duration, 1.2);
+    assert.match(motion.path, /^M 0 0 C /);
+    assert.ok(Math.abs(motion.length - Math.PI * 100) < 5, `路径长度 ${motion.length}`);
+    assert.ok(motion.keyframes.length >= 3, `关键帧数 ${motion.keyframes.length}`);
+
+    const first = motion.keyframes[0];
+    const last = motion.keyframes[motion.keyframes.length - 1];
+    assert.equal(first.progress, 0);
+    assert.equal(first.distance, 0);
+    assert.equal(last.progress, 1);
+    assert.equal(last.distance, 1);
+    // 先慢后快：时间过半时走过的路程不到一半
+    const middle = motion.keyframes.find(kf => kf.progress >= 0.5);
+    assert.ok(middle.distance < 0.5, `中间关键帧的路程 ${middle.distance}`);
+});
+
+test('关键帧CSS使用 offset-path，回退关键帧从元素位置出发', () => {
+    const motion = createMotion(arcGesture(), { position });
+    const names = animationNames();
+
+    assert.ok(motion.css.startsWith(`${names.selector} {`));
+    assert.ok(motion.css.includes(`offset-path: path('${motion.path}');`));
+    assert.ok(motion.css.includes(`animation: ${names.path} 1.2s linear forwards;`));
+
+    const fallback = keyframesBlock(motion.css, names.fallback);
+    assert.match(fallback, /0% {\n {6}top: 120px;\n {6}left: 80px;/);
+    assert.match(fallback, /100% {\n {6}top: 120px;\n {6}left: 280px;/);
+});
+
+test('选择器、延迟和播放设置写入 animation', () => {
+    const names = trackNames(3);
+    const motion = createMotion(arcGesture(), { position, names, delay: 0.5, playback: { iterations: 2, direction: 'alternate' } });
+
+    assert.ok(motion.css.startsWith('.element-animation-3 {'));
+    assert.ok(motion.css.includes('animation: followPath-3 1.2s linear 0.5s 2 alternate forwards;'));
+    assert.ok(motion.css.includes('@keyframes moveAlongPath-3 {'));
+});
+
+test('贝塞尔节奏：整体使用 cubic-bezier 缓动', () => {
+    const bezier = { x1: 0.25, y1: 0.1, x2: 0.25, y2: 1 };
+    const motion = createMotion(arcGesture(), { position, timing: { mode: 'bezier', bezier } });
+
+    assert.equal(motion.timingMode, 'bezier');
+    assert.ok(motion.css.includes('animation: followPath 1.2s cubic-bezier(0.25, 0.10, 0.25, 1.00) forwards;'));
+    assert.match(keyframesBlock(motion.css, 'followPath'), /100% {\n {4}offset-distance: 100%;/);
+    assert.ok(motion.css.includes('animation: moveAlongPath 1.2s linear forwards;'));
+    // 回退关键帧从元素位置出发，沿圆弧而不是直线到达终点
+    const fallback = keyframesBlock(motion.css, 'moveAlongPath');
+    assert.match(fallback, /0% {\n {6}top: 120px;\n {6}left: 80px;/);
+    assert.match(fallback, /100% {\n {6}top: 120px;\n {6}left: 280px;/);
+    const tops = [...fallback.matchAll(/top: ([\d.]+)px;/g)].map(m => parseFloat(m[1]));
+    assert.ok(Math.min(...tops) < 30, `最高处 ${Math.min(...tops)}px`);
+});
+
+test('手动编辑的路径不再重新拟合', () => {
+    const fitted = createMotion(arcGesture(), { position });
+    const segments = fitted.segments.map(seg => ({ ...seg }));
+    segments[0].p1 = { x: segments[0].p1.x, y: segments[0].p1.y - 40 };
+
+    const motion = createMotion(arcGesture(), { position, path: { segments, locations: fitted.locations } });
+    assert.equal(motion.segments, segments);
+    assert.notEqual(motion.path, fitted.path);
+    assert.ok(motion.css.includes(`offset-path: path('${motion.path}');`));
+});
+
+test('节奏预设：回退关键帧按预设的采样点沿路径移动', () => {
+    const motion = createMotion(arcGesture(), { position, timing: { mode: 'preset', preset: { id: 'bounce', params: {} } } });
+
+    assert.equal(motion.timingMode, 'preset');
+    assert.ok(motion.css.includes(`animation: followPath 1.2s ${motion.preset.easing} forwards;`));
+    const fallback = keyframesBlock(motion.css, 'moveAlongPath');
+    const tops = [...fallback.matchAll(/top: ([\d.]+)px;/g)].map(m => parseFloat(m[1]));
+    assert.equal(tops.length, motion.preset.stops.length);
+    // 沿圆弧移动：最高处接近起点上方100px，而不是在起点和终点之间直线移动
+    assert.ok(Math.min(...tops) < 30, `最高处 ${Math.min(...tops)}px`);
+});
+
+test('CSS 生成函数可以单独使用', () => {
+    const keyframes = [
+        { progress: 0, distance: 0, position: { x: 10, y: 10 } },
+        { progress: 0.5, distance: 0.25, position: { x: 20, y: 10 } },
+        { progress: 1, distance: 1, position: { x: 50, y: 10 } }
+    ];
+    const keyframeCSS = generateKeyframeCSS(keyframes, 2, 'M 0 0 L 40 0', position);
+    assert.match(keyframeCSS, /50% {\n {4}offset-distance: 25%;/);
+    assert.match(keyframeCSS, /100% {\n {6}top: 120px;\n {6}left: 120px;/);
+
+    const frames = [{ progress: 0, dx: 0, dy: 0 }, { progress: 1, dx: 40, dy: -10 }];
+    const presetCSS = generatePresetCSS('ease-in-out', frames, 1, 'M 0 0 L 40 -10', position);
+    assert.match(presetCSS, /100% {\n {6}top: 110px;\n {6}left: 120px;/);
+
+    const bezierCSS = generateBezierCSS(1, 'M 0 0 L 40 -10', { x1: 0, y1: 0, x2: 1, y2: 1 }, position, frames);
+    assert.ok(bezierCSS.includes('animation: followPath 1s cubic-bezier(0.00, 0.00, 1.00, 1.00) forwards;'));
+    assert.match(bezierCSS, /100% {\n {6}top: 110px;\n {6}left: 120px;/);
+
+    assert.equal(generatePositionCSS(position), '.positioned-element {\n  position: fixed;\n  top: 120px;\n  left: 80px;\n}');
+});
+
+test('createTimeline 与 createMotion 使用相同的选项时生成相同的CSS', () => {
+    const points = arcGesture();
+    const timing = { mode: 'fitted', duration: { mode: 'custom', seconds: 2 } };
+    const channels = { orient: true, scaleSource: 'speed', scaleRange: { min: 0.8, max: 1.2 }, rotation: null, edits: {} };
+    const smoothing = { filter: 'moving-average', strength: 0.5 };
+    const entries = [
+        { id: 4, name: '卡片', points, position, delay: 0.2, timing, channels },
+        { name: '标题', points: [], position: { top: '0px', left: '0px' } }
+    ];
+    const timeline = createTimeline(entries, { tolerance: 4, smoothing });
+
+    const expected = createMotion(points, { position, tolerance: 4, names: trackNames(4), delay: 0.2, timing, channels, smoothing });
+    assert.equal(timeline.tracks[0].motion.duration, 2);
+    assert.equal(timeline.tracks[0].motion.css, expected.css);
+    assert.equal(timeline.tracks[0].names.selector, '.element-animation-4');
+    assert.equal(timeline.tracks[1].motion, null);
+    assert.ok(generateTimelineCSS(timeline.tracks).includes('.positioned-element-2 {'));
+});
+
+test('分段拟合缓动下仍然保留在其它关键帧上修改的通道值', () => {
+    const points = arcGesture();
+    const edited = createMotion(points, { position }).keyframes[Math.floor(points.length / 3)];
+    const channels = { edits: { [edited.index]: { opacity: 0.2 } } };
+
+    const motion = createMotion(points, { position, timing: { mode: 'fitted' }, channels });
+    assert.ok(!motion.keyframes.some(kf => kf.index === edited.index), '分段拟合的关键帧中不应包含被修改的关键帧');
+    assert.deepEqual(motion.channels.animated, ['opacity']);
+    assert.match(motion.css, new RegExp(`${Math.round(edited.progress * 1000) / 10}% {\\n {4}opacity: 0.2;`));
+});
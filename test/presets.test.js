@@ -0,0 +1,45 @@
+// 节奏预设的测试：各预设从起点出发、停在终点，弹簧按物理模拟静止在终点
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PRESETS, normalizePreset, compilePreset, presetValue, formatLinearEasing } from '../presets.js';
+
+test('各预设从0开始、在1结束', () => {
+    PRESETS.forEach(({ id }) => {
+        const compiled = compilePreset({ id });
+        assert.ok(Math.abs(presetValue(compiled, 0)) < 1e-9, id);
+        assert.equal(presetValue(compiled, 1), 1, id);
+        assert.equal(compiled.stops[0].progress, 0, id);
+        assert.equal(compiled.stops[compiled.stops.length - 1].progress, 1, id);
+    });
+});
+
+test('弹簧越过终点后回到1并静止', () => {
+    const compiled = compilePreset({ id: 'spring', params: { stiffness: 200, damping: 8 } });
+    const values = Array.from({ length: 101 }, (_, i) => presetValue(compiled, i / 100));
+
+    assert.ok(Math.max(...values) > 1.05, `最大值 ${Math.max(...values)}`);
+    values.slice(90).forEach(value => assert.ok(Math.abs(value - 1) < 0.01, `末尾的值 ${value}`));
+});
+
+test('回弹超出终点，幅度随参数增大', () => {
+    const peak = (amount) => {
+        const compiled = compilePreset({ id: 'overshoot', params: { amount } });
+        return Math.max(...compiled.stops.map(s => s.value));
+    };
+    assert.ok(peak(1) > 1);
+    assert.ok(peak(3) > peak(1));
+});
+
+test('缓入缓出使用关键字，其他预设编译为 linear()', () => {
+    assert.equal(compilePreset({ id: 'ease-in-out' }).easing, 'ease-in-out');
+    assert.match(compilePreset({ id: 'bounce' }).easing, /^linear\(0, .*, 1\)$/);
+    assert.equal(formatLinearEasing([{ progress: 0, value: 0 }, { progress: 0.2, value: 0.42 }, { progress: 1, value: 1 }]), 'linear(0, 0.42 20%, 1)');
+});
+
+test('缺省的参数取默认值，未知的预设报错', () => {
+    assert.deepEqual(normalizePreset({ id: 'spring', params: { damping: '20' } }), { id: 'spring', params: { stiffness: 100, damping: 20, mass: 1 } });
+    assert.deepEqual(normalizePreset(null), { id: 'ease-in-out', params: {} });
+    assert.throws(() => normalizePreset({ id: 'wobble' }), /未知的节奏预设/);
+});
@@ -0,0 +1,45 @@
+// 项目文件的测试：保存后读取得到相同的元素，版本迁移拒绝无法处理的版本
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { serializeProject, parseProject, migrateProject, PROJECT_FORMAT, PROJECT_VERSION } from '../project.js';
+
+const element = {
+    id: 1,
+    name: '元素1',
+    delay: 0.5,
+    placed: true,
+    position: { top: '100px', left: '50px' },
+    size: { width: 40, height: 40 },
+    points: [{ time: 0, x: 0, y: 0, pressure: 0.5, tiltX: 0, tiltY: 0 }],
+    timing: { mode: 'preset', preset: { id: 'bounce', params: {} } },
+    pathEdit: null
+};
+
+test('保存的项目可以从JSON读取', () => {
+    const doc = serializeProject({ elements: [element], activeId: 1, isPathMode: true, tolerance: 5 });
+    const parsed = parseProject(JSON.stringify(doc));
+
+    assert.equal(parsed.format, PROJECT_FORMAT);
+    assert.equal(parsed.version, PROJECT_VERSION);
+    assert.equal(parsed.settings.mode, 'path');
+    assert.deepEqual(parsed.elements[0].points, element.points);
+    assert.deepEqual(parsed.elements[0].timing, element.timing);
+    assert.equal(parsed.elements[0].path, null);
+    assert.deepEqual(parsed.elements[0].keyframes, []);
+});
+
+test('迁移拒绝高于当前版本和没有迁移函数的版本', () => {
+    assert.throws(() => migrateProject({ version: PROJECT_VERSION + 1 }), /高于当前支持的版本/);
+    assert.throws(() => migrateProject({ version: 0 }), /无法升级版本 0/);
+    const current = { version: PROJECT_VERSION };
+    assert.equal(migrateProject(current), current);
+});
+
+test('无效的文档报错', () => {
+    assert.throws(() => parseProject('{'), /不是有效的JSON/);
+    assert.throws(() => parseProject({ format: 'other', version: 1 }), /不是AnimDraw项目文件/);
+    assert.throws(() => parseProject({ format: PROJECT_FORMAT, version: 1, elements: [] }), /项目中没有元素/);
+    assert.throws(() => parseProject({ format: PROJECT_FORMAT, version: 1, elements: [{ id: 1 }] }), /元素数据不完整/);
+});
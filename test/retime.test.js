@@ -0,0 +1,77 @@
+// 重新定时的测试：按进度采样沿路径生成轨迹点，手势的节奏按比例拉伸到0~1
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { pathPoints, gestureProgress, createPathFollower, holdStep, normalizeGesture } from '../retime.js';
+import { filterPoints } from '../motion-core.js';
+
+// 从 (0, 0) 到 (300, 0) 的直线
+const line = [{ p0: { x: 0, y: 0 }, p1: { x: 100, y: 0 }, p2: { x: 200, y: 0 }, p3: { x: 300, y: 0 } }];
+
+test('pathPoints 按进度采样插值，轨迹点不会被 filterPoints 去掉', () => {
+    const { segments, locations, points } = pathPoints(line, [
+        { time: 0, progress: 0 },
+        { time: 1000, progress: 0.5 },
+        { time: 3000, progress: 1 }
+    ]);
+
+    assert.equal(segments, line);
+    assert.equal(locations.length, points.length);
+    assert.equal(filterPoints(points).length, points.length);
+    // 前半段1秒走完150px，后半段2秒走完150px
+    const at = (time) => points.find(p => Math.abs(p.time - time) < 1e-6);
+    assert.ok(Math.abs(at(1000).x - 150) < 1e-6);
+    assert.equal(points[points.length - 1].x, 300);
+    points.forEach(p => {
+        const expected = p.time <= 1000 ? p.time * 0.15 : 150 + (p.time - 1000) * 0.075;
+        assert.ok(Math.abs(p.x - expected) < 1e-6, `${p.time}ms 处 ${p.x}px`);
+    });
+});
+
+test('pathPoints 拒绝过短的路径和不足两个的采样', () => {
+    const short = [{ p0: { x: 0, y: 0 }, p1: { x: 1, y: 0 }, p2: { x: 2, y: 0 }, p3: { x: 3, y: 0 } }];
+    assert.throws(() => pathPoints(short, [{ time: 0, progress: 0 }, { time: 100, progress: 1 }]), /路径太短/);
+    assert.throws(() => pathPoints(line, [{ time: 0, progress: 0 }]), /至少需要两个进度采样/);
+});
+
+test('gestureProgress 只保留手势的节奏', () => {
+    const samples = gestureProgress([
+        { time: 500, x: 0, y: 0 },
+        { time: 600, x: 30, y: 40 },
+        { time: 900, x: 30, y: 90 }
+    ]);
+    assert.deepEqual(samples, [{ time: 0, progress: 0 }, { time: 100, progress: 0.5 }, { time: 400, progress: 1 }]);
+    assert.throws(() => gestureProgress([{ time: 0, x: 1, y: 1 }, { time: 10, x: 1, y: 1 }]), /手势没有移动/);
+});
+
+test('normalizeGesture 去掉首尾的等待并拉伸到终点', () => {
+    const samples = normalizeGesture([
+        { time: 0, progress: 0 },
+        { time: 100, progress: 0 },
+        { time: 200, progress: 0.2 },
+        { time: 300, progress: 0.4 },
+        { time: 400, progress: 0.4 }
+    ]);
+    assert.deepEqual(samples, [{ time: 0, progress: 0 }, { time: 100, progress: 0.5 }, { time: 200, progress: 1 }]);
+    assert.throws(() => normalizeGesture([{ time: 0, progress: 0 }, { time: 100, progress: 0 }]), /手势没有沿路径前进/);
+});
+
+test('createPathFollower 返回指针在路径上最近位置的进度', () => {
+    const follower = createPathFollower(line);
+    assert.equal(follower.follow({ x: 0, y: 10 }), 0);
+    assert.ok(Math.abs(follower.follow({ x: 30, y: -20 }) - 0.1) < 0.01);
+    assert.ok(Math.abs(follower.follow({ x: 60, y: 5 }) - 0.2) < 0.01);
+    assert.deepEqual(follower.pointAt(1), { x: 300, y: 0 });
+});
+
+test('holdStep 按住时加速到最高速度，松开后减速停下', () => {
+    let state = { progress: 0, speed: 0 };
+    for (let i = 0; i < 60; i++) state = holdStep(state, true, 1 / 60);
+    assert.equal(state.speed, 0.8);
+    const moving = state.progress;
+    for (let i = 0; i < 60; i++) state = holdStep(state, false, 1 / 60);
+    assert.equal(state.speed, 0);
+    assert.ok(state.progress > moving);
+    assert.equal(holdStep({ progress: 0.99, speed: 0.8 }, true, 1).progress, 1);
+});
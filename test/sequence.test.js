@@ -0,0 +1,48 @@
+// 定位序列的测试：停靠点之间的关键帧和缓动
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createSequence } from '../sequence.js';
+
+const stop = (left, top, settings) => ({ position: { top: `${top}px`, left: `${left}px` }, ...settings });
+
+test('停留后移动到下一个停靠点：到达、离开各一帧，离开帧带上移动的缓动', () => {
+    const sequence = createSequence([
+        stop(0, 0, { hold: 1 }),
+        stop(100, 50, { hold: 0, duration: 1, easing: 'ease-out' })
+    ]);
+
+    assert.equal(sequence.duration, 2);
+    assert.deepEqual(sequence.frames, [
+        { progress: 0, top: 0, left: 0, easing: null },
+        { progress: 0.5, top: 0, left: 0, easing: 'ease-out' },
+        { progress: 1, top: 50, left: 100, easing: null }
+    ]);
+});
+
+test('移动时间为0时停留期间保持在原位，到时间后跳到下一个停靠点', () => {
+    const sequence = createSequence([
+        stop(0, 0, { hold: 1 }),
+        stop(100, 50, { hold: 1, duration: 0 })
+    ]);
+
+    assert.deepEqual(sequence.frames, [
+        { progress: 0, top: 0, left: 0, easing: 'step-end' },
+        { progress: 0.5, top: 50, left: 100, easing: null },
+        { progress: 1, top: 50, left: 100, easing: null }
+    ]);
+    assert.match(sequence.css, /0% {\n {4}top: 0px;\n {4}left: 0px;\n {4}animation-timing-function: step-end;/);
+});
+
+test('停留和移动时间都为0的停靠点被直接跳过', () => {
+    const sequence = createSequence([
+        stop(0, 0, { hold: 0 }),
+        stop(100, 50, { hold: 1, duration: 0 })
+    ]);
+
+    assert.deepEqual(sequence.frames, [
+        { progress: 0, top: 50, left: 100, easing: null },
+        { progress: 1, top: 50, left: 100, easing: null }
+    ]);
+});
@@ -0,0 +1,76 @@
+// 几何图形的测试：生成的路径从 origin 出发、形状与参数一致，轨迹点匀速走完全程
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SHAPES, normalizeShape, createShape } from '../shapes.js';
+import { buildArcLengthTable, bezierPoint } from '../curve-fit.js';
+
+const origin = { x: 400, y: 300 };
+
+function near(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) < tolerance, `${message}：${actual}，应为 ${expected}`);
+}
+
+test('每种图形都从 origin 出发，轨迹点与曲线段对应', () => {
+    SHAPES.forEach(({ id }) => {
+        const { segments, locations, points } = createShape({ id, origin });
+        assert.deepEqual(segments[0].p0, origin, id);
+        assert.deepEqual({ x: points[0].x, y: points[0].y }, origin, id);
+        assert.equal(locations.length, points.length, id);
+        points.forEach((p, i) => {
+            const onCurve = bezierPoint(segments[locations[i].segment], locations[i].t);
+            near(p.x, onCurve.x, 1e-9, `${id} 第 ${i} 个点 x`);
+            near(p.y, onCurve.y, 1e-9, `${id} 第 ${i} 个点 y`);
+        });
+    });
+});
+
+test('直线按长度和方向到达终点', () => {
+    const { segments, points } = createShape({ id: 'line', params: { length: 200, angle: 90 }, origin });
+    assert.equal(segments.length, 1);
+    const last = points[points.length - 1];
+    near(last.x, 400, 1e-9, '终点 x');
+    near(last.y, 500, 1e-9, '终点 y');
+});
+
+test('圆轨道的周长与半径一致，转一圈回到起点，曲线上的点在圆上', () => {
+    const { segments, points } = createShape({ id: 'orbit', params: { radiusX: 100, radiusY: 100, turns: 1 }, origin });
+    near(buildArcLengthTable(segments).total, Math.PI * 200, 0.5, '周长');
+    const last = points[points.length - 1];
+    near(last.x, origin.x, 1e-6, '终点 x');
+    near(last.y, origin.y, 1e-6, '终点 y');
+    // 圆心在起点左侧100px
+    segments.forEach(seg => {
+        const p = bezierPoint(seg, 0.5);
+        near(Math.hypot(p.x - 300, p.y - 300), 100, 0.05, '到圆心的距离');
+    });
+});
+
+test('多边形经过每个顶点，回到起点', () => {
+    const { segments } = createShape({ id: 'polygon', params: { sides: 4, radius: 100 }, origin });
+    assert.equal(segments.length, 4);
+    // 旋转为0时起点在正上方，圆心在起点下方100px，顺时针依次到右、下、左三个顶点
+    near(segments[0].p3.x, 500, 1e-9, '第一个顶点 x');
+    near(segments[0].p3.y, 400, 1e-9, '第一个顶点 y');
+    near(segments[1].p3.y, 500, 1e-9, '第二个顶点 y');
+    assert.deepEqual(segments[3].p3, origin);
+});
+
+test('轨迹点在时长内匀速移动', () => {
+    const { points } = createShape({ id: 'line', params: { length: 300, angle: 0 }, duration: 3, origin });
+    assert.equal(points[0].time, 0);
+    near(points[points.length - 1].time, 3000, 1e-9, '结束时间');
+    points.forEach(p => near(p.x - origin.x, p.time / 10, 1e-6, '匀速'));
+});
+
+test('参数按范围限制，缺省取默认值；未知的图形、缓动和过小的图形报错', () => {
+    const shape = normalizeShape({ id: 'spiral', params: { turns: 100 }, duration: -1 });
+    assert.deepEqual(shape.params, { startRadius: 10, endRadius: 150, turns: 20 });
+    assert.equal(shape.duration, 2);
+    assert.equal(shape.easing, 'linear');
+
+    assert.throws(() => normalizeShape({ id: 'star' }), /未知的图形/);
+    assert.throws(() => normalizeShape({ id: 'line', easing: 'wobble' }), /未知的图形缓动/);
+    assert.throws(() => createShape({ id: 'spiral', params: { startRadius: 0, endRadius: 0 } }), /图形太小/);
+});
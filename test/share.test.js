@@ -0,0 +1,66 @@
+// 分享链接的测试：编码再解码后项目中的轨迹和手动编辑的路径保持一致
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { encodeShare, decodeShare, isShareHash } from '../share.js';
+import { serializeProject } from '../project.js';
+import { createMotion, filterPoints } from '../motion-core.js';
+
+// 沿波浪线移动的轨迹，相邻点的距离略小于 filterPoints 的阈值（2px），取整到 0.01px 会改变保留的点
+function wavePoints(count = 60) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push({
+            time: 1000 + i * 16.7,
+            x: 100 + i * 1.996,
+            y: 200 + Math.sin(i / 6) * 0.004,
+            pressure: 0.5,
+            tiltX: i % 2 ? 12 : -3,
+            tiltY: 7
+        });
+    }
+    return points;
+}
+
+function project(element) {
+    return serializeProject({
+        elements: [{ id: 1, name: '元素1', delay: 0, placed: true, position: { top: '200px', left: '100px' }, timing: {}, ...element }],
+        activeId: 1,
+        isPathMode: true,
+        tolerance: 5
+    });
+}
+
+test('编辑过路径的元素保留原始轨迹点，曲线段与过滤后的点仍然对应', async () => {
+    const points = wavePoints();
+    const motion = createMotion(points);
+    const pathEdit = { segments: motion.segments, locations: motion.locations };
+
+    const hash = await encodeShare(project({ points, pathEdit }));
+    assert.ok(isShareHash(hash));
+    const [element] = (await decodeShare(hash)).elements;
+
+    assert.deepEqual(element.path, pathEdit);
+    assert.equal(filterPoints(element.points).length, filterPoints(points).length);
+    assert.deepEqual(element.points.map(p => p.x), points.map(p => p.x));
+    assert.deepEqual(element.points.map(p => [p.tiltX, p.tiltY]), points.map(p => [p.tiltX, p.tiltY]));
+    const restored = createMotion(element.points, { path: element.path });
+    assert.deepEqual(restored.keyframes.map(kf => kf.distance), motion.keyframes.map(kf => kf.distance));
+});
+
+test('未编辑路径的轨迹点取整，时间从0开始，倾角保留', async () => {
+    const points = wavePoints();
+    const [element] = (await decodeShare(await encodeShare(project({ points, pathEdit: null })))).elements;
+
+    assert.equal(element.points[0].time, 0);
+    assert.equal(element.points[1].time, 17);
+    assert.equal(element.points[1].x, 102);
+    assert.equal(element.points[1].tiltX, 12);
+    assert.equal(element.points[0].tiltX, -3);
+});
+
+test('损坏的分享链接报错', async () => {
+    await assert.rejects(decodeShare('#share=not-valid'), /分享链接已损坏/);
+    await assert.rejects(decodeShare('#other'), /不是分享链接/);
+});
@@ -0,0 +1,68 @@
+// 手势平滑的测试：各平滑方式保持点数、时间和首尾两点，并减小噪声
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SMOOTHING_FILTERS, smoothPoints, speedSmoothingRadius, smoothSpeeds } from '../smoothing.js';
+
+// 沿水平直线匀速移动、y 方向交替抖动 ±2px 的轨迹
+function noisyLine(count = 40) {
+    const points = [];
+    for (let i = 0; i < count; i++) {
+        points.push({ time: i * 16, x: i * 5, y: 100 + (i % 2 ? 2 : -2), pressure: 0.5 });
+    }
+    return points;
+}
+
+// 去掉两端（窗口收窄处）后 y 偏离直线的最大值
+function maxNoise(points) {
+    return Math.max(...points.slice(2, -2).map(p => Math.abs(p.y - 100)));
+}
+
+test('各平滑方式保持点数、时间和首尾两点', () => {
+    const points = noisyLine();
+    SMOOTHING_FILTERS.forEach(({ id }) => {
+        const smoothed = smoothPoints(points, { filter: id, strength: 0.8 });
+        assert.equal(smoothed.length, points.length, id);
+        assert.deepEqual(smoothed.map(p => p.time), points.map(p => p.time), id);
+        assert.deepEqual(smoothed[0], points[0], id);
+        assert.deepEqual(smoothed[smoothed.length - 1], points[points.length - 1], id);
+    });
+});
+
+test('移动平均和 Savitzky-Golay 减小抖动', () => {
+    const points = noisyLine();
+    ['moving-average', 'savitzky-golay'].forEach(filter => {
+        const smoothed = smoothPoints(points, { filter, strength: 0.8 });
+        assert.ok(maxNoise(smoothed) < 1, `${filter} 抖动 ${maxNoise(smoothed)}px`);
+    });
+});
+
+test('RDP 把直线附近的点投影到首尾之间的线段上，沿线段单调前进', () => {
+    const points = noisyLine();
+    const first = points[0];
+    const last = points[points.length - 1];
+    const smoothed = smoothPoints(points, { filter: 'rdp', strength: 0.5 });
+    for (let i = 1; i < smoothed.length; i++) {
+        const { x, y } = smoothed[i];
+        const onLine = first.y + (last.y - first.y) * (x - first.x) / (last.x - first.x);
+        assert.ok(Math.abs(y - onLine) < 1e-9, `第 ${i} 个点不在线段上`);
+        assert.ok(x >= smoothed[i - 1].x, `第 ${i} 个点后退`);
+    }
+});
+
+test('不平滑时原样返回，未知的平滑方式报错', () => {
+    const points = noisyLine();
+    assert.equal(smoothPoints(points, { filter: 'none' }), points);
+    assert.equal(speedSmoothingRadius({ filter: 'none' }), 0);
+    assert.throws(() => smoothPoints(points, { filter: 'gaussian' }), /未知的平滑方式/);
+});
+
+test('速度序列按半径做移动平均，首尾不变', () => {
+    const speeds = [0, 10, 0, 10, 0].map((speed, i) => ({ index: i, speed }));
+    const smoothed = smoothSpeeds(speeds, 1);
+    assert.deepEqual(smoothed.map(s => s.index), [0, 1, 2, 3, 4]);
+    assert.equal(smoothed[0].speed, 0);
+    assert.equal(smoothed[2].speed, 20 / 3);
+    assert.equal(smoothed[4].speed, 0);
+});
@@ -0,0 +1,51 @@
+// 吸附与参考线的测试
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeSnapping, guideLines, snapBox, snapToGrid, lockAxis, GUIDE_THRESHOLD } from '../snapping.js';
+
+const viewport = { width: 1000, height: 600 };
+
+test('吸附到网格只对齐左上角', () => {
+    const lines = { x: [], y: [] };
+    const snapped = snapBox({ x: 31, y: 49, width: 50, height: 50 }, { snapToGrid: true, pitch: 20, guides: false }, lines);
+    assert.deepEqual(snapped, { x: 40, y: 40, guides: [] });
+    assert.equal(snapToGrid(-11, 20), -20);
+});
+
+test('矩形的边缘或中心靠近参考线时吸附过去，参考线优先于网格', () => {
+    const lines = guideLines(viewport, [{ x: 200, y: 100, width: 100, height: 40 }]);
+    // 中心 x = 477 + 20 靠近视口中心线 500，上边 y = 97 靠近另一个元素的上边 100，都不按网格取整
+    const snapped = snapBox({ x: 477, y: 97, width: 40, height: 20 }, { snapToGrid: true, pitch: 20 }, lines);
+    assert.equal(snapped.x, 480);
+    assert.equal(snapped.y, 100);
+    assert.deepEqual(snapped.guides, [{ axis: 'x', value: 500 }, { axis: 'y', value: 100 }]);
+});
+
+test('超出吸附距离时不吸附', () => {
+    const lines = guideLines(viewport);
+    const point = { x: 500 + GUIDE_THRESHOLD + 1, y: 300 - GUIDE_THRESHOLD - 1 };
+    assert.deepEqual(snapBox(point, {}, lines), { ...point, guides: [] });
+});
+
+test('参考线包括视口和其他元素的边缘与中心线', () => {
+    assert.deepEqual(guideLines(viewport, [{ x: 10, y: 20, width: 30, height: 40 }]), {
+        x: [0, 500, 1000, 10, 25, 40],
+        y: [0, 300, 600, 20, 40, 60]
+    });
+});
+
+test('锁定方向时另一个方向停在起点且不再吸附', () => {
+    const lines = guideLines(viewport);
+    const origin = { x: 100, y: 302 };
+    const snapped = snapBox({ x: 498, y: 320 }, {}, lines, origin);
+    assert.deepEqual(snapped, { x: 500, y: 302, guides: [{ axis: 'x', value: 500 }] });
+    assert.deepEqual(lockAxis({ x: 110, y: 180 }, { x: 100, y: 100 }), { x: 100, y: 180 });
+});
+
+test('网格间距无效时取默认值', () => {
+    assert.equal(normalizeSnapping({ pitch: 'abc' }).pitch, 20);
+    assert.equal(normalizeSnapping({ pitch: 1 }).pitch, 20);
+    assert.deepEqual(normalizeSnapping(), { grid: false, pitch: 20, snapToGrid: false, guides: true });
+});
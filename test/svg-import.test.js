@@ -0,0 +1,64 @@
+// 导入SVG路径的测试：圆弧和 transform 转换为三次贝塞尔曲线段后与已知的形状一致
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parsePathData, parseTransform, placeSegments } from '../svg-import.js';
+import { bezierPoint } from '../curve-fit.js';
+
+function near(actual, expected, message) {
+    assert.ok(Math.abs(actual - expected) < 0.01, `${message}：${actual}，应为 ${expected}`);
+}
+
+function nearPoint(actual, expected, message) {
+    near(actual.x, expected.x, `${message} x`);
+    near(actual.y, expected.y, `${message} y`);
+}
+
+test('直线、二次曲线和相对坐标转换为三次曲线段', () => {
+    const segments = parsePathData('M 10 10 h 20 v 20 Q 30 50 10 50 Z');
+
+    assert.equal(segments.length, 4);
+    nearPoint(segments[0].p0, { x: 10, y: 10 }, '起点');
+    nearPoint(segments[0].p3, { x: 30, y: 10 }, 'h 的终点');
+    nearPoint(segments[1].p3, { x: 30, y: 30 }, 'v 的终点');
+    // 二次曲线的控制点按 2/3 换算为三次曲线的控制点
+    nearPoint(segments[2].p1, { x: 30, y: 30 + 20 * 2 / 3 }, 'Q 的第一个控制点');
+    nearPoint(segments[2].p2, { x: 10 + 20 * 2 / 3, y: 50 }, 'Q 的第二个控制点');
+    nearPoint(segments[3].p3, { x: 10, y: 10 }, 'Z 回到子路径起点');
+});
+
+test('半圆圆弧按90°分段，曲线上的点在圆上', () => {
+    // 圆心 (50, 0)，半径 50，顺时针从左端经过最高点到右端
+    const segments = parsePathData('M 0 0 A 50 50 0 0 1 100 0');
+
+    assert.equal(segments.length, 2);
+    nearPoint(segments[0].p0, { x: 0, y: 0 }, '起点');
+    nearPoint(segments[0].p3, { x: 50, y: -50 }, '最高点');
+    nearPoint(segments[1].p3, { x: 100, y: 0 }, '终点');
+    segments.forEach(seg => {
+        for (let k = 1; k < 4; k++) {
+            const p = bezierPoint(seg, k / 4);
+            assert.ok(Math.abs(Math.hypot(p.x - 50, p.y) - 50) < 0.05, `(${p.x}, ${p.y}) 不在圆上`);
+        }
+    });
+});
+
+test('transform 按从左到右的顺序合成并作用在控制点上', () => {
+    assert.deepEqual(parseTransform('translate(10, 20) scale(2)'), [2, 0, 0, 2, 10, 20]);
+
+    // 绕 (10, 0) 旋转90°后 (20, 0) 落在 (10, 10)
+    const segments = parsePathData('M 10 0 L 20 0', parseTransform('rotate(90, 10, 0)'));
+    nearPoint(segments[0].p0, { x: 10, y: 0 }, '旋转中心');
+    nearPoint(segments[0].p3, { x: 10, y: 10 }, '旋转后的终点');
+});
+
+test('路径数据必须以 M 开始', () => {
+    assert.throws(() => parsePathData('L 10 10'), /必须以 M 命令开始/);
+});
+
+test('placeSegments 把路径起点移到 origin 并按起点缩放', () => {
+    const placed = placeSegments(parsePathData('M 10 10 L 20 10'), { x: 100, y: 200 }, 2);
+    nearPoint(placed[0].p0, { x: 100, y: 200 }, '起点');
+    nearPoint(placed[0].p3, { x: 120, y: 200 }, '终点');
+});
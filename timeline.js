@@ -0,0 +1,108 @@
+// 多元素时间轴 - 每个元素拥有独立的路径或位置以及开始延迟，合并输出为一份CSS
+//
+// 用法：
+//   import { createTimeline } from './timeline.js';
+//   const timeline = createTimeline([
+//       { name: '元素1', points: pointsA, position: { top: '100px', left: '100px' } },
+//       { name: '元素2', points: pointsB, position: { top: '200px', left: '100px' }, delay: 0.3 },
+//       { name: '元素3', points: [], position: { top: '0px', left: '0px' }, stops: [stopA, stopB] }
+//   ]);
+// 项目文件中的元素（见 project.js）可以直接作为 entries，生成的CSS与页面上导出的一致：
+//   createTimeline(project.elements, project.settings);
+//   console.log(timeline.css);
+
+import { createMotion, animationNames, generatePositionCSS } from './motion-core.js';
+import { createSequence } from './sequence.js';
+
+// 第 index 个元素（从1开始）的选择器和@keyframes名称，保证各元素互不冲突
+export function trackNames(index) {
+    return animationNames(`-${index}`);
+}
+
+// 元素导出时使用的名称：有目标元素时选择器换成目标元素的选择器，@keyframes 名称不变
+export function targetNames(index, target) {
+    const names = trackNames(index);
+    if (!target) return names;
+    return { ...names, selector: target.selector, positioned: target.selector };
+}
+
+// 从每个元素记录的点创建时间轴
+// entries: [{ id, name, points, position, delay, timing, channels, path, stops, target }]，格式同项目文件中的元素，
+//   id 用于选择器和@keyframes名称的后缀（默认为序号），timing/channels/path 同 createMotion 的同名选项，
+//   points 少于3个的元素按定位模式输出，有两个以上停靠点（stops，见 sequence.js）时输出在停靠点之间移动的定位序列
+// options: { tolerance, smoothing, playback }，同 createMotion 的同名选项
+export function createTimeline(entries, options = {}) {
+    const tracks = entries.map((entry, i) => {
+        const names = targetNames(entry.id != null ? entry.id : i + 1, entry.target);
+        const delay = entry.delay || 0;
+        const motion = entry.points && entry.points.length >= 3 ?
+            createMotion(entry.points, {
+                position: entry.position,
+                tolerance: options.tolerance,
+                names,
+                delay,
+                timing: entry.timing,
+                channels: entry.channels,
+                path: entry.path,
+                smoothing: options.smoothing,
+                playback: options.playback
+            }) :
+            null;
+        const sequence = !motion && entry.stops && entry.stops.length >= 2 ?
+            createSequence(entry.stops, { names, delay, playback: options.playback }) :
+            null;
+
+        return {
+            name: entry.name || `元素${i + 1}`,
+            names,
+            delay,
+            position: entry.position,
+            target: entry.target || null,
+            motion,
+            sequence
+        };
+    });
+
+    return {
+        tracks,
+        duration: timelineDuration(tracks),
+        css: generateTimelineCSS(tracks)
+    };
+}
+
+// 时间轴总时长（秒）：所有元素中最晚结束的时间
+export function timelineDuration(tracks) {
+    return tracks.reduce((max, track) => {
+        const end = (track.delay || 0) + trackDuration(track);
+        return Math.max(max, end);
+    }, 0);
+}
+
+// 单个元素的动画时长（秒），静态定位的元素为0
+export function trackDuration(track) {
+    if (track.motion) return track.motion.duration;
+    return track.sequence ? track.sequence.duration : 0;
+}
+
+// 合并所有元素的CSS，每个元素一条规则和各自的@keyframes
+// tracks: [{ name, names, position, motion, sequence, target }]
+//   target: 页面上的目标元素 { selector, width, height }，此时 names 中的选择器应为目标元素的选择器
+export function generateTimelineCSS(tracks) {
+    return tracks.map(track => {
+        let css;
+        if (track.motion) {
+            css = track.motion.css;
+        } else if (track.sequence) {
+            css = track.sequence.css;
+        } else {
+            css = generatePositionCSS(track.position, track.names.positioned);
+        }
+        return `/* ${describeTrack(track)} */\n${css}`;
+    }).join('\n\n');
+}
+
+// 注释中的元素说明，有目标元素时附上选择器和实际尺寸
+export function describeTrack(track) {
+    const target = track.target;
+    return target ? `${track.name}：${target.selector}（${target.width}×${target.height}px）` : track.name;
+}
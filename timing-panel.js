@@ -0,0 +1,401 @@
+// 节奏编辑面板 - 显示当前元素的关键帧、速度曲线和贝塞尔缓动曲线，并支持直接拖动修改
+// 关键帧标记可以在进度条上左右拖动，点击则选中该关键帧，贝塞尔曲线可以拖动两个控制柄
+// 动画时长可以按记录时长、自定义或吸附到设计时长，并显示与记录时长的差别
+// 分段拟合缓动时每个关键帧带有到下一关键帧之间的缓动，速度曲线按缓动采样；使用节奏预设时速度曲线显示预设的速度
+
+import { DURATION_MODES, distanceAtProgress } from './motion-core.js';
+import { DEFAULT_FIT_ERROR } from './easing-fit.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// 拖动关键帧时与相邻关键帧保留的最小时间间隔
+const MIN_GAP = 0.005;
+
+// 贝塞尔编辑器中y轴的显示范围，允许回弹类曲线超出0~1
+const BEZIER_Y_MIN = -0.25;
+const BEZIER_Y_MAX = 1.25;
+
+// onChange(patch, final): 节奏被修改时调用
+//   patch 为要合并到元素节奏设置中的字段，为 null 时表示恢复记录时的节奏
+//   final 为 false 表示拖动过程中的实时更新，为 true 表示本次修改完成
+// onSelect(index): 点击关键帧标记时调用，index 为关键帧的 index
+// onRetime(): 点击“录制节奏”按钮时调用，开始或取消重新定时
+export function createTimingPanel({ panel, lane, speedCanvas, bezierEditor, modeSelect, fitErrorInput, durationModeSelect, durationInput, durationInfo, resetButton, retimeButton, onChange, onSelect = () => {}, onRetime = () => {} }) {
+    let track = null;
+    let dragging = false;
+    let selectedIndex = null;
+
+    const bezier = createBezierEditor(bezierEditor);
+
+    DURATION_MODES.forEach(mode => {
+        const option = document.createElement('option');
+        option.value = mode.id;
+        option.textContent = mode.label;
+        durationModeSelect.appendChild(option);
+    });
+
+    modeSelect.addEventListener('change', () => {
+        onChange({ mode: modeSelect.value }, true);
+    });
+
+    // 误差以百分比输入，保存为路程比例
+    fitErrorInput.addEventListener('change', () => {
+        const percent = parseFloat(fitErrorInput.value);
+        if (!Number.isFinite(percent) || percent <= 0) {
+            render(track);
+            return;
+        }
+        onChange({ fitError: percent / 100 }, true);
+    });
+
+    // 切换到自定义时从当前时长开始修改
+    durationModeSelect.addEventListener('change', () => {
+        const seconds = track && track.motion ? track.motion.duration : 1;
+        onChange({ duration: { mode: durationModeSelect.value, seconds } }, true);
+    });
+
+    // 直接输入时长即切换到自定义
+    durationInput.addEventListener('change', () => {
+        const seconds = parseFloat(durationInput.value);
+        if (!Number.isFinite(seconds) || seconds <= 0) {
+            render(track);
+            return;
+        }
+        onChange({ duration: { mode: 'custom', seconds } }, true);
+    });
+
+    resetButton.addEventListener('click', () => {
+        onChange(null, true);
+    });
+
+    retimeButton.addEventListener('click', () => onRetime());
+
+    // 显示某个元素的节奏，拖动过程中不重新渲染以免打断拖动
+    function render(nextTrack) {
+        track = nextTrack;
+        if (dragging) return;
+
+        const motion = track && track.motion;
+        panel.classList.toggle('empty', !motion);
+        lane.innerHTML = '';
+
+        if (!motion) {
+            clearCanvas();
+            return;
+        }
+
+        modeSelect.value = motion.fitted ? 'fitted' : motion.timingMode;
+        panel.classList.toggle('fitted', motion.fitted);
+        panel.classList.toggle('preset', motion.timingMode === 'preset');
+        fitErrorInput.value = Math.round(((track.timing && track.timing.fitError) || DEFAULT_FIT_ERROR) * 1000) / 10;
+        renderDuration(motion);
+        renderMarkers(motion);
+        drawSpeedGraph(motion);
+        bezier.update(motion.bezier);
+    }
+
+    // 时长设置，以及记录时长与导出时长的差别
+    function renderDuration(motion) {
+        const setting = (track.timing && track.timing.duration) || {};
+        const recorded = motion.recordedDuration / 1000;
+        const change = recorded > 0 ? Math.round((motion.duration / recorded - 1) * 100) : 0;
+
+        durationModeSelect.value = setting.mode || 'recorded';
+        durationInput.value = motion.duration;
+        durationInfo.textContent = `记录 ${recorded.toFixed(2)}s → 导出 ${motion.duration}s` +
+            (change !== 0 ? `（${change > 0 ? '+' : ''}${change}%）` : '');
+        durationInfo.classList.toggle('changed', change !== 0);
+    }
+
+    // 关键帧标记
+    function renderMarkers(motion) {
+        const keyframes = motion.keyframes;
+
+        keyframes.forEach((kf, i) => {
+            const marker = document.createElement('div');
+            const fixed = i === 0 || i === keyframes.length - 1;
+            marker.className = 'keyframe-marker' + (fixed ? ' fixed' : '');
+            marker.classList.toggle('selected', kf.index === selectedIndex);
+            marker.style.left = `${kf.progress * 100}%`;
+            marker.title = describeKeyframe(kf);
+
+            if (fixed) {
+                marker.addEventListener('click', () => select(kf));
+            } else {
+                bindMarkerDrag(marker, keyframes, i);
+            }
+
+            lane.appendChild(marker);
+        });
+    }
+
+    function select(kf) {
+        selectedIndex = kf.index;
+        [...lane.children].forEach((marker, i) => {
+            marker.classList.toggle('selected', track.motion.keyframes[i].index === selectedIndex);
+        });
+        onSelect(selectedIndex);
+    }
+
+    // 拖动关键帧，时间限制在前后两个关键帧之间；没有移动时视为点击
+    function bindMarkerDrag(marker, keyframes, i) {
+        marker.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            marker.setPointerCapture(e.pointerId);
+            dragging = true;
+
+            const kf = keyframes[i];
+            const min = keyframes[i - 1].progress + MIN_GAP;
+            const max = keyframes[i + 1].progress - MIN_GAP;
+            const rect = lane.getBoundingClientRect();
+            let edits = { ...(track.timing && track.timing.progress) };
+            let moved = false;
+
+            const move = (ev) => {
+                if (rect.width === 0) return;
+                // 忽略按下时的细微抖动，避免点击被当作拖动
+                if (!moved && Math.abs(ev.clientX - e.clientX) < 3) return;
+                moved = true;
+                const raw = (ev.clientX - rect.left) / rect.width;
+                const progress = Math.round(Math.max(min, Math.min(max, raw)) * 1000) / 1000;
+
+                marker.style.left = `${progress * 100}%`;
+                marker.title = describeKeyframe({ ...kf, progress });
+                edits = { ...edits, [kf.index]: progress };
+                onChange({ progress: edits }, false);
+            };
+
+            const up = () => {
+                marker.removeEventListener('pointermove', move);
+                marker.removeEventListener('pointerup', up);
+                marker.removeEventListener('pointercancel', up);
+                dragging = false;
+                if (moved) {
+                    onChange({ progress: edits }, true);
+                } else {
+                    select(kf);
+                }
+            };
+
+            marker.addEventListener('pointermove', move);
+            marker.addEventListener('pointerup', up);
+            marker.addEventListener('pointercancel', up);
+        });
+    }
+
+    function describeKeyframe(kf) {
+        return `时间 ${Math.round(kf.progress * 1000) / 10}% · 路程 ${Math.round(kf.distance * 1000) / 10}%`;
+    }
+
+    // 速度曲线：浅色区域为记录时的原始速度，折线为当前导出动画按导出时长的速度
+    function drawSpeedGraph(motion) {
+        const ctx = resizeCanvas();
+        if (!ctx) return;
+
+        const { width, height } = speedCanvas;
+        const recorded = motion.speeds.map(s => ({ progress: s.progress, speed: s.speed }));
+        let exported;
+        if (motion.fitted || motion.timingMode === 'preset') {
+            exported = sampledSpeeds(motion);
+        } else if (motion.timingMode === 'keyframes') {
+            exported = keyframeSpeeds(motion);
+        } else {
+            exported = bezierSpeeds(motion);
+        }
+
+        const maxSpeed = Math.max(0.001, ...recorded.map(s => s.speed), ...exported.map(s => s.speed));
+        const toX = (progress) => progress * width;
+        const toY = (speed) => height - (speed / maxSpeed) * (height - 4);
+
+        ctx.clearRect(0, 0, width, height);
+
+        // 原始速度
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        recorded.forEach(s => ctx.lineTo(toX(s.progress), toY(s.speed)));
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(52, 152, 219, 0.2)';
+        ctx.fill();
+
+        // 导出动画的速度
+        ctx.beginPath();
+        exported.forEach((s, i) => {
+            if (i === 0) {
+                ctx.moveTo(toX(s.progress), toY(s.speed));
+            } else {
+                ctx.lineTo(toX(s.progress), toY(s.speed));
+            }
+        });
+        ctx.strokeStyle = '#e67e22';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    // 分段拟合缓动和节奏预设按时间逐点采样路程，相邻两点的差即速度
+    function sampledSpeeds(motion) {
+        const result = [];
+        const samples = 100;
+        const dt = motion.duration * 1000 / samples;
+
+        for (let k = 0; k < samples; k++) {
+            const delta = distanceAtProgress(motion, (k + 1) / samples) - distanceAtProgress(motion, k / samples);
+            result.push({ progress: (k + 0.5) / samples, speed: delta * motion.length / dt });
+        }
+
+        return result;
+    }
+
+    // 关键帧模式下每两个关键帧之间是匀速的，画成阶梯线
+    function keyframeSpeeds(motion) {
+        const result = [];
+        const keyframes = motion.keyframes;
+
+        for (let i = 1; i < keyframes.length; i++) {
+            const a = keyframes[i - 1];
+            const b = keyframes[i];
+            const dt = (b.progress - a.progress) * motion.duration * 1000;
+            if (dt <= 0) continue;
+
+            const speed = (b.distance - a.distance) * motion.length / dt;
+            result.push({ progress: a.progress, speed }, { progress: b.progress, speed });
+        }
+
+        return result;
+    }
+
+    // 贝塞尔模式下速度为缓动曲线的斜率
+    function bezierSpeeds(motion) {
+        const { x1, y1, x2, y2 } = motion.bezier;
+        const result = [];
+        const samples = 40;
+
+        for (let k = 0; k <= samples; k++) {
+            const u = k / samples;
+            const dx = cubicDerivative(x1, x2, u);
+            const dy = cubicDerivative(y1, y2, u);
+            if (dx <= 0) continue;
+
+            result.push({
+                progress: cubic(x1, x2, u),
+                speed: Math.max(0, dy / dx) * motion.length / (motion.duration * 1000)
+            });
+        }
+
+        return result;
+    }
+
+    function resizeCanvas() {
+        const ctx = speedCanvas.getContext('2d');
+        if (!ctx) return null;
+
+        const ratio = window.devicePixelRatio || 1;
+        speedCanvas.width = speedCanvas.clientWidth * ratio;
+        speedCanvas.height = speedCanvas.clientHeight * ratio;
+        return ctx;
+    }
+
+    function clearCanvas() {
+        const ctx = speedCanvas.getContext('2d');
+        if (ctx) ctx.clearRect(0, 0, speedCanvas.width, speedCanvas.height);
+    }
+
+    // 贝塞尔曲线编辑器
+    function createBezierEditor(svg) {
+        let params = { x1: 0.42, y1: 0, x2: 0.58, y2: 1 };
+
+        const toSvgX = (x) => x * 100;
+        const toSvgY = (y) => 100 - (y - BEZIER_Y_MIN) / (BEZIER_Y_MAX - BEZIER_Y_MIN) * 100;
+
+        const frame = createSvg('rect', { class: 'bezier-frame', x: 0, y: toSvgY(1), width: 100, height: toSvgY(0) - toSvgY(1) });
+        const line1 = createSvg('line', { class: 'bezier-arm' });
+        const line2 = createSvg('line', { class: 'bezier-arm' });
+        const curve = createSvg('path', { class: 'bezier-curve' });
+        const handle1 = createSvg('circle', { class: 'bezier-handle', r: 4 });
+        const handle2 = createSvg('circle', { class: 'bezier-handle', r: 4 });
+        [frame, line1, line2, curve, handle1, handle2].forEach(el => svg.appendChild(el));
+
+        bindHandleDrag(handle1, 1);
+        bindHandleDrag(handle2, 2);
+
+        function update(next) {
+            params = { ...next };
+
+            const p0 = [toSvgX(0), toSvgY(0)];
+            const p1 = [toSvgX(params.x1), toSvgY(params.y1)];
+            const p2 = [toSvgX(params.x2), toSvgY(params.y2)];
+            const p3 = [toSvgX(1), toSvgY(1)];
+
+            curve.setAttribute('d', `M ${p0} C ${p1} ${p2} ${p3}`);
+            setAttrs(line1, { x1: p0[0], y1: p0[1], x2: p1[0], y2: p1[1] });
+            setAttrs(line2, { x1: p3[0], y1: p3[1], x2: p2[0], y2: p2[1] });
+            setAttrs(handle1, { cx: p1[0], cy: p1[1] });
+            setAttrs(handle2, { cx: p2[0], cy: p2[1] });
+            svg.setAttribute('aria-label', `cubic-bezier(${params.x1}, ${params.y1}, ${params.x2}, ${params.y2})`);
+        }
+
+        // 拖动控制柄，x限制在0~1之间
+        function bindHandleDrag(handle, n) {
+            handle.addEventListener('pointerdown', (e) => {
+                if (!track || !track.motion) return;
+                e.preventDefault();
+                handle.setPointerCapture(e.pointerId);
+                dragging = true;
+                modeSelect.value = 'bezier';
+
+                const move = (ev) => {
+                    const rect = svg.getBoundingClientRect();
+                    if (rect.width === 0 || rect.height === 0) return;
+                    const x = Math.max(0, Math.min(1, (ev.clientX - rect.left) / rect.width));
+                    const y = BEZIER_Y_MIN + (rect.bottom - ev.clientY) / rect.height * (BEZIER_Y_MAX - BEZIER_Y_MIN);
+                    const clampedY = Math.max(BEZIER_Y_MIN, Math.min(BEZIER_Y_MAX, y));
+
+                    update({ ...params, [`x${n}`]: round(x), [`y${n}`]: round(clampedY) });
+                    onChange({ bezier: params, mode: 'bezier' }, false);
+                };
+
+                const up = () => {
+                    handle.removeEventListener('pointermove', move);
+                    handle.removeEventListener('pointerup', up);
+                    handle.removeEventListener('pointercancel', up);
+                    dragging = false;
+                    onChange({ bezier: params, mode: 'bezier' }, true);
+                };
+
+                handle.addEventListener('pointermove', move);
+                handle.addEventListener('pointerup', up);
+                handle.addEventListener('pointercancel', up);
+            });
+        }
+
+        update(params);
+        return { update };
+    }
+
+    return { render };
+}
+
+// 一维三次贝塞尔（起点0、终点1）及其导数
+function cubic(p1, p2, u) {
+    const mt = 1 - u;
+    return 3 * mt * mt * u * p1 + 3 * mt * u * u * p2 + u * u * u;
+}
+
+function cubicDerivative(p1, p2, u) {
+    const mt = 1 - u;
+    return 3 * mt * mt * p1 + 6 * mt * u * (p2 - p1) + 3 * u * u * (1 - p2);
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+function createSvg(tag, attrs) {
+    const el = document.createElementNS(SVG_NS, tag);
+    setAttrs(el, attrs);
+    return el;
+}
+
+function setAttrs(el, attrs) {
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+}
@@ -0,0 +1,147 @@
+// 预览播放控制 - 播放/暂停、拖动进度条定位、循环、往返、倒放和播放速度
+//
+// 控制的是预览中由 element.animate() 创建的所有动画，进度条对应 animation.currentTime（毫秒）。
+// 循环次数和播放方向同时是导出的设置（animation-iteration-count / animation-direction），
+// 修改时通过 onChange 交给调用方重新生成动画；播放速度只影响预览。
+
+// 可选的播放速度，顺序即选择框中的顺序
+export const PLAYBACK_RATES = [0.25, 0.5, 0.75, 1, 1.5, 2];
+
+// 默认播放设置：{ iterations: 次数或 'infinite', direction: CSS animation-direction 的值 }
+export const DEFAULT_PLAYBACK = { iterations: 1, direction: 'normal' };
+
+// 由往返、倒放两个开关得到 animation-direction
+export function playbackDirection(alternate, reverse) {
+    if (alternate) return reverse ? 'alternate-reverse' : 'alternate';
+    return reverse ? 'reverse' : 'normal';
+}
+
+// getAnimations(): 返回预览中当前的所有动画
+// onPlay(): 没有可继续的动画时点击播放调用，由调用方重新创建预览
+// onChange(playback): 循环次数或播放方向被修改时调用
+export function createTransport({ playButton, scrubber, timeLabel, loopToggle, alternateToggle, reverseToggle, iterationInput, rateSelect, getAnimations, onPlay, onChange }) {
+    let rate = 1;
+    let frame = null;
+
+    PLAYBACK_RATES.forEach(value => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = `${value}×`;
+        rateSelect.appendChild(option);
+    });
+    rateSelect.value = rate;
+
+    rateSelect.addEventListener('change', () => {
+        rate = parseFloat(rateSelect.value);
+        getAnimations().forEach(animation => animation.updatePlaybackRate(rate));
+    });
+
+    playButton.addEventListener('click', () => {
+        const animations = getAnimations();
+        if (animations.some(animation => animation.playState === 'running')) {
+            animations.forEach(animation => animation.pause());
+        } else if (animations.length > 0 && animations.some(animation => animation.playState === 'paused')) {
+            animations.forEach(animation => animation.play());
+        } else {
+            onPlay();
+        }
+        sync();
+    });
+
+    // 拖动进度条时暂停所有动画，定位到对应时间
+    scrubber.addEventListener('input', () => {
+        const animations = getAnimations();
+        if (animations.length === 0) return;
+
+        const time = parseFloat(scrubber.value) / 1000 * timelineLength(animations);
+        animations.forEach(animation => {
+            animation.pause();
+            animation.currentTime = time;
+        });
+        sync();
+    });
+
+    [loopToggle, alternateToggle, reverseToggle].forEach(input => {
+        input.addEventListener('change', () => onChange(readPlayback()));
+    });
+
+    iterationInput.addEventListener('change', () => {
+        const count = parseFloat(iterationInput.value);
+        if (!Number.isFinite(count) || count <= 0) {
+            iterationInput.value = 1;
+        }
+        onChange(readPlayback());
+    });
+
+    function readPlayback() {
+        iterationInput.disabled = loopToggle.checked;
+        return {
+            iterations: loopToggle.checked ? 'infinite' : parseFloat(iterationInput.value) || 1,
+            direction: playbackDirection(alternateToggle.checked, reverseToggle.checked)
+        };
+    }
+
+    // 显示播放设置
+    function render(playback) {
+        const settings = { ...DEFAULT_PLAYBACK, ...playback };
+        loopToggle.checked = settings.iterations === 'infinite';
+        iterationInput.disabled = loopToggle.checked;
+        if (!loopToggle.checked) {
+            iterationInput.value = settings.iterations;
+        }
+        alternateToggle.checked = settings.direction.startsWith('alternate');
+        reverseToggle.checked = settings.direction.endsWith('reverse');
+    }
+
+    // 新建动画后调用：应用播放速度，并在播放期间让进度条跟随动画
+    function sync() {
+        const animations = getAnimations();
+        animations.forEach(animation => {
+            if (animation.playbackRate !== rate) {
+                animation.updatePlaybackRate(rate);
+            }
+        });
+
+        const running = animations.some(animation => animation.playState === 'running');
+        playButton.textContent = running ? '暂停' : '播放';
+        updateScrubber(animations);
+
+        if (running && frame === null) {
+            frame = requestAnimationFrame(tick);
+        }
+    }
+
+    function tick() {
+        frame = null;
+        sync();
+    }
+
+    function updateScrubber(animations) {
+        const length = timelineLength(animations);
+        const current = animations.length > 0 ? animations[0].currentTime || 0 : 0;
+        // 无限循环时进度条按一轮的长度循环显示
+        const time = length > 0 && current > length ? current % length : current;
+
+        scrubber.disabled = animations.length === 0;
+        scrubber.value = length > 0 ? Math.round(time / length * 1000) : 0;
+        timeLabel.textContent = `${formatSeconds(time)} / ${formatSeconds(length)}`;
+    }
+
+    return { render, sync, rate: () => rate };
+}
+
+// 进度条的总长度（毫秒）：最晚结束的动画的结束时间，无限循环的动画按一轮（往返时为两轮）计算
+function timelineLength(animations) {
+    return Math.max(0, ...animations.map(animation => {
+        const timing = animation.effect.getComputedTiming();
+        if (Number.isFinite(timing.endTime)) return timing.endTime;
+
+        const base = animation.effect.getTiming();
+        const rounds = String(base.direction || '').startsWith('alternate') ? 2 : 1;
+        return (base.delay || 0) + base.duration * rounds;
+    }));
+}
+
+function formatSeconds(ms) {
+    return `${(ms / 1000).toFixed(2)}s`;
+}